@@ -0,0 +1,28 @@
+// aggregate-worker.js
+// Web Worker started by data.js: holds the signed-in user's history (aggregator.js) and runs the
+// history-wide aggregation off the page's main thread.
+// Messages in:  { id, op: 'load', userId, rows } and { id, op: 'analyze', userId, query, records }
+// Messages out: { id, result } or { id, error }
+
+importScripts('analytics.js', 'recurring.js', 'report.js', 'anomalies.js', 'txstore.js', 'aggregator.js');
+
+let history = null;
+let historyUserId = null;
+
+self.onmessage = ev => {
+  const msg = ev.data;
+  try{
+    if(msg.op === 'load'){
+      history = RadiusAggregator.createHistory(msg.rows);
+      historyUserId = msg.userId;
+      self.postMessage({ id: msg.id, result: true });
+    }else if(msg.op === 'analyze'){
+      if(!history || historyUserId !== msg.userId) throw new Error('No history loaded for user ' + msg.userId);
+      self.postMessage({ id: msg.id, result: history.analyze(msg.query, msg.records) });
+    }else{
+      throw new Error('Unknown operation: ' + msg.op);
+    }
+  }catch(err){
+    self.postMessage({ id: msg.id, error: err.message });
+  }
+};
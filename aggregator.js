@@ -0,0 +1,114 @@
+// aggregator.js
+// One user's transaction history indexed by week, and the work each redraw does over the whole
+// of it: recurring charges and unusual activity. A history answers range queries by reading only
+// the weeks in range, and keeps its history-wide results until the local changes layered over
+// it (txstore.js records) or the options differ. Runs inside the dashboard's Web Worker
+// (aggregate-worker.js) and, where workers are unavailable, on the page.
+// Exposed as self.RadiusAggregator.
+
+(function(root){
+
+  const { weekStartISO, addDaysISO, periodEndISO, periodsFromRange, sumByPeriod, mapUserToWeeks } = root.RadiusAnalytics;
+
+  function byDate(a, b){
+    return a.purchase_date < b.purchase_date ? -1 : a.purchase_date > b.purchase_date ? 1 : 0;
+  }
+
+  // createHistory(rows) -> { rows, range, analyze }
+  // rows: the server's transactions for one user (/api/users/:id/transactions), any order
+  function createHistory(rows){
+    const sorted = rows.filter(r => r.purchase_date).sort(byDate);
+    const byWeek = new Map();
+    for(const r of sorted){
+      const week = weekStartISO(r.purchase_date);
+      if(!byWeek.has(week)) byWeek.set(week, []);
+      byWeek.get(week).push(r);
+    }
+    const weeks = Array.from(byWeek.keys()).sort();
+
+    // range({ from, to, types }) -> the rows dated from..to (inclusive, either may be left out)
+    // of the given types (all when left out), in date order
+    function range(filter){
+      const f = filter || {};
+      let from = f.from || null, to = f.to || null;
+      if(from && to && from > to){ const tmp = from; from = to; to = tmp; }
+      const typesSet = f.types ? new Set(f.types) : null;
+      // First week ending on or after from
+      let lo = 0, hi = weeks.length;
+      while(from && lo < hi){
+        const mid = (lo + hi) >> 1;
+        if(addDaysISO(weeks[mid], 6) < from) lo = mid + 1;
+        else hi = mid;
+      }
+      const out = [];
+      for(let i = lo; i < weeks.length && !(to && weeks[i] > to); i++){
+        for(const r of byWeek.get(weeks[i])){
+          if((from && r.purchase_date < from) || (to && r.purchase_date > to)) continue;
+          if(typesSet && !typesSet.has(r.purchase_type)) continue;
+          out.push(r);
+        }
+      }
+      return out;
+    }
+
+    // The history with the local changes applied, and what has been worked out from it so far
+    let merged = null;
+    function mergedHistory(records){
+      const key = JSON.stringify(records || []);
+      if(!merged || merged.key !== key){
+        merged = { key, rows: root.RadiusTxStore.applyOverlay(sorted, records, {}), recurring: new Map(), transactionFlags: null, periodFlags: new Map() };
+      }
+      return merged;
+    }
+
+    // analyze(query, records) -> { rows, anomalies: { transactions, periods }, recurring, variable }
+    // query: { periods, granularity, types, dataRange, tolerance, asOf }. rows are the user's
+    // transactions of the types over the periods, anomalies the flags falling in them (none
+    // without types), recurring the detectRecurring result for the whole history and variable the
+    // categories that recur in time but not in amount (variableCategories).
+    function analyze(query, records){
+      const { periods, granularity, types } = query;
+      const m = mergedHistory(records);
+      const recurringKey = query.tolerance + '|' + query.asOf;
+      if(!m.recurring.has(recurringKey)){
+        m.recurring.set(recurringKey, {
+          series: root.RadiusRecurring.detectRecurring(m.rows, { tolerance: query.tolerance, asOf: query.asOf }),
+          variable: root.RadiusRecurring.variableCategories(m.rows, { tolerance: query.tolerance })
+        });
+      }
+      const { series, variable } = m.recurring.get(recurringKey);
+      const result = { rows: [], anomalies: { transactions: [], periods: [] }, recurring: series, variable };
+      if(!types.length || !periods.length) return result;
+
+      const filter = { from: periods[0], to: periodEndISO(periods[periods.length - 1], granularity), types };
+      result.rows = root.RadiusTxStore.applyOverlay(range(filter), records, filter);
+
+      // Transactions are judged against their own type only, so one pass covers every selection
+      if(!m.transactionFlags) m.transactionFlags = root.RadiusAnomalies.detectTransactionAnomalies(m.rows);
+      const typesSet = new Set(types);
+      result.anomalies.transactions = m.transactionFlags
+        .filter(a => typesSet.has(a.row.purchase_type) && a.row.purchase_date >= filter.from && a.row.purchase_date <= filter.to);
+
+      // Period totals are judged over every period the data covers in full
+      const dataRange = query.dataRange || {};
+      const periodKey = granularity + '|' + types.slice().sort().join(',');
+      if(!m.periodFlags.has(periodKey)){
+        let flags = [];
+        if(dataRange.min && dataRange.max){
+          const all = periodsFromRange(dataRange.min, dataRange.max, granularity)
+            .filter(p => p >= dataRange.min && periodEndISO(p, granularity) <= dataRange.max);
+          const totals = mapUserToWeeks(sumByPeriod(m.rows.filter(r => typesSet.has(r.purchase_type)), granularity), all);
+          flags = root.RadiusAnomalies.detectPeriodAnomalies(all, totals, { noun: granularity });
+        }
+        m.periodFlags.set(periodKey, flags);
+      }
+      const visible = new Set(periods);
+      result.anomalies.periods = m.periodFlags.get(periodKey).filter(a => visible.has(a.period));
+      return result;
+    }
+
+    return { rows: sorted, range, analyze };
+  }
+
+  root.RadiusAggregator = { createHistory };
+})(self);
@@ -0,0 +1,328 @@
+// analytics.js
+// DOM-free date bucketing and aggregation shared by the dashboard and the API server.
+// All dates are ISO strings (YYYY-MM-DD) and all arithmetic is done in UTC so the browser and
+// the server agree on week boundaries regardless of their local timezones.
+// Exposed as window.RadiusAnalytics in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory();
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusAnalytics = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  function parseISODate(iso){
+    return new Date(String(iso).slice(0,10) + 'T00:00:00Z');
+  }
+
+  function toISODate(d){
+    return d.toISOString().slice(0,10);
+  }
+
+  function addDaysISO(iso, days){
+    const d = parseISODate(iso);
+    d.setUTCDate(d.getUTCDate() + days);
+    return toISODate(d);
+  }
+
+  function weekStartISO(dateStr){
+    const d = parseISODate(dateStr);
+    const day = d.getUTCDay(); // 0 Sun, 1 Mon
+    const diff = (day === 0 ? -6 : 1 - day);
+    d.setUTCDate(d.getUTCDate() + diff);
+    return toISODate(d);
+  }
+
+  // Last day (Sunday) of the week starting at the given Monday
+  function weekEndISO(weekStart){
+    return addDaysISO(weekStart, 6);
+  }
+
+  function lastNWeeks(n){
+    // default: end at today
+    return lastNWeeksEndingAt(n, toISODate(new Date()));
+  }
+
+  function lastNWeeksEndingAt(n, endIso){
+    // endIso: YYYY-MM-DD (inclusive); compute the Monday of that week then back n-1 weeks
+    const monday = weekStartISO(endIso);
+    const labels = [];
+    for(let i=n-1;i>=0;i--) labels.push(addDaysISO(monday, -i*7));
+    return labels;
+  }
+
+  function weeksFromRange(startIso, endIso){
+    // Return array of ISO dates (YYYY-MM-DD) for each Monday between start and end inclusive
+    const mondayEnd = weekStartISO(endIso);
+    const labels = [];
+    for(let w = weekStartISO(startIso); w <= mondayEnd; w = addDaysISO(w, 7)){
+      labels.push(w);
+      if(labels.length > 520) break; // safety cap to avoid runaway array
+    }
+    return labels;
+  }
+
+  // Chart buckets. Months and quarters are calendar periods, so they vary in length.
+  const GRANULARITIES = ['day', 'week', 'month', 'quarter'];
+  const MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const MAX_PERIODS = 3660; // ten years of days
+
+  // First day of the period containing dateStr
+  function periodStartISO(dateStr, granularity){
+    const iso = String(dateStr).slice(0,10);
+    if(granularity === 'day') return iso;
+    if(granularity === 'month') return iso.slice(0,8) + '01';
+    if(granularity === 'quarter'){
+      const m = Number(iso.slice(5,7));
+      return iso.slice(0,5) + String(m - (m - 1) % 3).padStart(2, '0') + '-01';
+    }
+    return weekStartISO(iso);
+  }
+
+  // First day of the period after the one starting at start
+  function nextPeriodISO(start, granularity){
+    if(granularity === 'day') return addDaysISO(start, 1);
+    if(granularity === 'month' || granularity === 'quarter'){
+      const d = parseISODate(start);
+      d.setUTCMonth(d.getUTCMonth() + (granularity === 'month' ? 1 : 3));
+      return toISODate(d);
+    }
+    return addDaysISO(start, 7);
+  }
+
+  // Last day of the period starting at start
+  function periodEndISO(start, granularity){
+    return addDaysISO(nextPeriodISO(start, granularity), -1);
+  }
+
+  function periodDays(start, granularity){
+    return Math.round((parseISODate(nextPeriodISO(start, granularity)) - parseISODate(start)) / 86400000);
+  }
+
+  // Start dates of every period overlapping startIso..endIso (inclusive)
+  function periodsFromRange(startIso, endIso, granularity){
+    const last = periodStartISO(endIso, granularity);
+    const labels = [];
+    for(let p = periodStartISO(startIso, granularity); p <= last; p = nextPeriodISO(p, granularity)){
+      labels.push(p);
+      if(labels.length >= MAX_PERIODS) break;
+    }
+    return labels;
+  }
+
+  // Short axis label: 2025-03-24 (day/week), Mar 2025, Q1 2025
+  function periodLabel(start, granularity){
+    const m = Number(start.slice(5,7));
+    if(granularity === 'month') return MONTH_NAMES[m - 1] + ' ' + start.slice(0,4);
+    if(granularity === 'quarter') return 'Q' + ((m + 2) / 3) + ' ' + start.slice(0,4);
+    return start;
+  }
+
+  function getRowsDateRange(rows){
+    let min = null, max = null;
+    for(const r of rows){
+      const ds = r.purchase_date;
+      if(!ds) continue;
+      const t = Date.parse(ds);
+      if(Number.isNaN(t)) continue;
+      const iso = new Date(t).toISOString().slice(0,10);
+      if(min === null || iso < min) min = iso;
+      if(max === null || iso > max) max = iso;
+    }
+    return { min, max };
+  }
+
+  // Weekly spending for one user plus per-user weekly totals grouped by state.
+  // types (optional) restricts the rows to a set of purchase types; granularity (default 'week')
+  // picks the bucket, keyed by period start.
+  function computeAggregates(rows, userId, types, granularity){
+    // user spending per week
+    const userMap = new Map();
+    // state -> week -> array of user totals (we'll compute averages per user then per week)
+    const stateUserWeek = new Map(); // state -> Map(userId -> Map(week->sum))
+    const typesSet = types ? new Set(types) : null;
+
+    for(const r of rows){
+      if(typesSet && !typesSet.has(r.purchase_type)) continue;
+      const id = String(r.id);
+      const loc = r.location;
+      const amt = parseFloat(r.purchase_amount);
+      if(Number.isNaN(amt)) continue;
+      const week = periodStartISO(r.purchase_date, granularity || 'week');
+      // user map
+      if(userId !== undefined && userId !== null && id === String(userId)){
+        userMap.set(week, (userMap.get(week) || 0) + amt);
+      }
+      // state per-user accumulation
+      if(!stateUserWeek.has(loc)) stateUserWeek.set(loc, new Map());
+      const userMapInState = stateUserWeek.get(loc);
+      if(!userMapInState.has(id)) userMapInState.set(id, new Map());
+      const weekMap = userMapInState.get(id);
+      weekMap.set(week, (weekMap.get(week) || 0) + amt);
+    }
+
+    return { userMap, stateUserWeek };
+  }
+
+  // Total purchase_amount per period (keyed by period start) for rows already scoped to one user.
+  // types (optional) restricts the rows to a set of purchase types.
+  function sumByPeriod(rows, granularity, types){
+    const typesSet = types ? new Set(types) : null;
+    const m = new Map();
+    for(const r of rows){
+      if(typesSet && !typesSet.has(r.purchase_type)) continue;
+      const amt = parseFloat(r.purchase_amount);
+      if(Number.isNaN(amt) || !r.purchase_date) continue;
+      const period = periodStartISO(r.purchase_date, granularity);
+      m.set(period, (m.get(period) || 0) + amt);
+    }
+    return m;
+  }
+
+  // Total purchase_amount per Monday-start week
+  function sumByWeek(rows, types){
+    return sumByPeriod(rows, 'week', types);
+  }
+
+  function computeStateAverageForWeeks(stateUserWeekMap, state, weeks){
+    const res = [];
+    const userMap = stateUserWeekMap.get(state) || new Map();
+    // for each week, compute average across users (sum each user's total for that week then divide by number of users)
+    for(const w of weeks){
+      let sum = 0;
+      let count = 0;
+      for(const weekMap of userMap.values()){
+        sum += weekMap.get(w) || 0;
+        count++;
+      }
+      const avg = count === 0 ? 0 : sum / count;
+      res.push(Number(avg.toFixed(2)));
+    }
+    return res;
+  }
+
+  // Value at percentile p (0-100) of ascending values, interpolating between neighbours
+  function percentileOf(sorted, p){
+    if(sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * p / 100;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  // Percentile rank of x among values (x included): the share below it plus half the share equal
+  // to it, 0-100. Amounts within half a cent count as equal.
+  function percentileRank(values, x){
+    if(values.length === 0) return null;
+    let below = 0, equal = 0;
+    for(const v of values){
+      if(Math.abs(v - x) < 0.005) equal++;
+      else if(v < x) below++;
+    }
+    return (below + 0.5 * equal) / values.length * 100;
+  }
+
+  // Per-week percentiles across the users of a state, same inputs as computeStateAverageForWeeks.
+  // Returns { p10: [...], p25: [...], ... } for each requested percentile.
+  function computeStatePercentilesForWeeks(stateUserWeekMap, state, weeks, percentiles){
+    const userMap = stateUserWeekMap.get(state) || new Map();
+    const res = {};
+    for(const p of percentiles) res['p' + p] = [];
+    for(const w of weeks){
+      const totals = Array.from(userMap.values(), weekMap => weekMap.get(w) || 0).sort((a, b) => a - b);
+      for(const p of percentiles) res['p' + p].push(Number(percentileOf(totals, p).toFixed(2)));
+    }
+    return res;
+  }
+
+  function mapUserToWeeks(userMap, weeks){
+    return weeks.map(w => Number((userMap.get(w) || 0).toFixed(2)));
+  }
+
+  function stateToRegion(state){
+    if(!state) return 'United States';
+    const s = String(state).trim();
+    const mapping = {
+      'Connecticut':'Northeast','Maine':'Northeast','Massachusetts':'Northeast','New Hampshire':'Northeast','Rhode Island':'Northeast','Vermont':'Northeast','New Jersey':'Northeast','New York':'Northeast','Pennsylvania':'Northeast',
+      'Illinois':'Midwest','Indiana':'Midwest','Michigan':'Midwest','Ohio':'Midwest','Wisconsin':'Midwest','Iowa':'Midwest','Kansas':'Midwest','Minnesota':'Midwest','Missouri':'Midwest','Nebraska':'Midwest','North Dakota':'Midwest','South Dakota':'Midwest',
+      'Delaware':'South','Florida':'South','Georgia':'South','Maryland':'South','North Carolina':'South','South Carolina':'South','Virginia':'South','West Virginia':'South','Alabama':'South','Kentucky':'South','Mississippi':'South','Tennessee':'South','Arkansas':'South','Louisiana':'South','Oklahoma':'South','Texas':'South','District of Columbia':'South',
+      'Arizona':'West','Colorado':'West','Idaho':'West','Montana':'West','Nevada':'West','New Mexico':'West','Utah':'West','Wyoming':'West','Alaska':'West','California':'West','Hawaii':'West','Oregon':'West','Washington':'West'
+    };
+    return mapping[s] || 'United States';
+  }
+
+  // Weekly income of a row, preferring the explicit weekly column over yearly / 52
+  function rowWeeklyIncome(r){
+    let inc = Number(r.income_weekly);
+    if(Number.isNaN(inc) || inc === 0){
+      const y = Number(r.income_yearly);
+      if(!Number.isNaN(y) && y !== 0) inc = y / 52;
+    }
+    return (Number.isNaN(inc) || inc === 0) ? null : inc;
+  }
+
+  // Income brackets (income_yearly lower bounds); the last one is open-ended
+  const INCOME_BRACKETS = [0, 25000, 50000, 75000, 100000, 150000, 200000];
+
+  // Bracket holding a yearly income: { id: '75000-100000', label: '$75k–$100k' } ('0-25000' is
+  // 'under $25k', '200000+' is '$200k+'), or null without a usable income
+  function incomeBracket(incomeYearly){
+    const inc = Number(incomeYearly);
+    if(incomeYearly === null || incomeYearly === '' || !Number.isFinite(inc) || inc < 0) return null;
+    let i = INCOME_BRACKETS.length - 1;
+    while(INCOME_BRACKETS[i] > inc) i--;
+    const lo = INCOME_BRACKETS[i], hi = INCOME_BRACKETS[i + 1];
+    const k = v => '$' + (v / 1000) + 'k';
+    if(hi === undefined) return { id: lo + '+', label: k(lo) + '+' };
+    return { id: lo + '-' + hi, label: lo === 0 ? 'under ' + k(hi) : k(lo) + '–' + k(hi) };
+  }
+
+  // Average weekly income per user in a census region, or across every user when region is null
+  function computeRegionAverageWeeklyIncome(rows, region){
+    const seen = new Set();
+    let sum = 0;
+    let count = 0;
+    for(const r of rows){
+      const id = String(r.id);
+      if(seen.has(id)) continue;
+      seen.add(id);
+      const reg = stateToRegion(r.location);
+      if(region !== null && reg !== region) continue;
+      const inc = rowWeeklyIncome(r);
+      if(inc === null) continue;
+      sum += inc;
+      count++;
+    }
+    return count === 0 ? null : (sum / count);
+  }
+
+  return {
+    parseISODate,
+    toISODate,
+    addDaysISO,
+    weekStartISO,
+    weekEndISO,
+    lastNWeeks,
+    lastNWeeksEndingAt,
+    weeksFromRange,
+    GRANULARITIES,
+    periodStartISO,
+    nextPeriodISO,
+    periodEndISO,
+    periodDays,
+    periodsFromRange,
+    periodLabel,
+    getRowsDateRange,
+    computeAggregates,
+    sumByPeriod,
+    sumByWeek,
+    computeStateAverageForWeeks,
+    percentileOf,
+    percentileRank,
+    computeStatePercentilesForWeeks,
+    mapUserToWeeks,
+    stateToRegion,
+    rowWeeklyIncome,
+    INCOME_BRACKETS,
+    incomeBracket,
+    computeRegionAverageWeeklyIncome
+  };
+});
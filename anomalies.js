@@ -0,0 +1,100 @@
+// anomalies.js
+// Flags unusual spending against a user's own history.
+//   Transactions: an amount far above the user's typical amount for its purchase_type, using the
+//   median and the median absolute deviation (MAD) so the outliers themselves do not move the
+//   baseline. Robust z = 0.6745 * (amount - median) / MAD; flagged at MIN_ROBUST_Z and above.
+//   Periods: a period total several standard deviations from the user's other periods (the
+//   period under test is left out of its own mean and deviation). Skipped when most periods have
+//   no spending at all (e.g. daily buckets for weekly purchases), where every purchase would stand out.
+// Each flag carries a plain-language reason for the dashboard to show.
+// Exposed as window.RadiusAnomalies in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusReport || (typeof require === 'function' ? require('./report.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusAnomalies = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusReport){
+
+  const { formatMoney } = RadiusReport;
+
+  const MIN_ROBUST_Z = 3.5;       // Iglewicz & Hoaglin's cut-off for modified z-scores
+  const MIN_TYPE_HISTORY = 5;     // purchases of a type needed before judging one of them
+  const PERIOD_Z = 2.5;
+  const MIN_PERIOD_HISTORY = 6;   // periods needed before judging one of them
+
+  function median(sorted){
+    const n = sorted.length;
+    if(n === 0) return 0;
+    return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  }
+
+  // detectTransactionAnomalies(rows) -> [{ row, zScore, median, reason }]
+  // rows: { tx_id, purchase_type, purchase_amount, purchase_date } for one user
+  function detectTransactionAnomalies(rows, options){
+    const minZ = (options && options.minZ) || MIN_ROBUST_Z;
+    const byType = new Map();
+    for(const r of rows){
+      if(!Number.isFinite(r.purchase_amount)) continue;
+      if(!byType.has(r.purchase_type)) byType.set(r.purchase_type, []);
+      byType.get(r.purchase_type).push(r);
+    }
+    const out = [];
+    for(const [type, list] of byType){
+      if(list.length < MIN_TYPE_HISTORY) continue;
+      const amounts = list.map(r => r.purchase_amount).sort((a, b) => a - b);
+      const med = median(amounts);
+      const mad = median(amounts.map(a => Math.abs(a - med)).sort((a, b) => a - b));
+      if(mad === 0) continue;
+      for(const r of list){
+        const z = 0.6745 * (r.purchase_amount - med) / mad;
+        if(z < minZ) continue;
+        const times = med > 0 ? (r.purchase_amount / med).toFixed(1) + '× ' : '';
+        out.push({
+          row: r,
+          zScore: z,
+          median: med,
+          reason: `${formatMoney(r.purchase_amount)} is ${times}your typical ${type} purchase (median ${formatMoney(med)} over ${list.length} purchases).`
+        });
+      }
+    }
+    return out.sort((a, b) => b.zScore - a.zScore);
+  }
+
+  // detectPeriodAnomalies(periods, totals, { noun, minZ }) -> [{ period, index, total, zScore, mean, sd, direction, reason }]
+  // periods and totals are parallel arrays (period start dates and the user's totals); callers
+  // should leave out periods only partly covered by data.
+  function detectPeriodAnomalies(periods, totals, options){
+    const opts = options || {};
+    const minZ = opts.minZ || PERIOD_Z;
+    const noun = opts.noun || 'week';
+    const out = [];
+    if(totals.length < MIN_PERIOD_HISTORY) return out;
+    if(totals.filter(t => t === 0).length > totals.length / 2) return out;
+    const n = totals.length;
+    const sum = totals.reduce((a, b) => a + b, 0);
+    const sumSq = totals.reduce((a, b) => a + b * b, 0);
+    for(let i = 0; i < n; i++){
+      const x = totals[i];
+      const mean = (sum - x) / (n - 1);
+      const variance = ((sumSq - x * x) - (n - 1) * mean * mean) / (n - 2);
+      const sd = Math.sqrt(Math.max(variance, 0));
+      if(sd === 0) continue;
+      const z = (x - mean) / sd;
+      if(Math.abs(z) < minZ) continue;
+      const direction = z > 0 ? 'above' : 'below';
+      out.push({
+        period: periods[i],
+        index: i,
+        total: x,
+        zScore: z,
+        mean,
+        sd,
+        direction,
+        reason: `${formatMoney(x)} is ${Math.abs(z).toFixed(1)} standard deviations ${direction} your usual ${formatMoney(mean)} per ${noun} (±${formatMoney(sd)}).`
+      });
+    }
+    return out.sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+  }
+
+  return { MIN_ROBUST_Z, PERIOD_Z, detectTransactionAnomalies, detectPeriodAnomalies };
+});
@@ -0,0 +1,143 @@
+// api.js
+// Thin client for the local Radius Finance API (server/index.js). Keeps the session token in
+// localStorage and turns non-2xx responses into ApiError instances carrying the HTTP status and
+// the response body (e.g. the current row of a 409 conflict).
+// Pages can register onSessionEnd() to hear when the session is rejected (401) or when the expiry
+// announced by the server (X-Session-Expires) passes without further activity.
+// Responses the service worker (sw.js) answered from its saved copy because the server was
+// unreachable are marked with X-Radius-Cached-At; cachedAt(data) tells them apart.
+// Exposed as window.RadiusAPI.
+
+(function(root){
+
+  const TOKEN_KEY = 'sessionToken';
+
+  let sessionEndHandler = null;
+  let expiryTimer = null;
+  const offlineCopies = new WeakMap(); // response data -> ISO time it was saved
+
+  // When data was saved, if it is the service worker's offline copy; null for a live response
+  function cachedAt(data){
+    return (data && typeof data === 'object' && offlineCopies.get(data)) || null;
+  }
+
+  class ApiError extends Error {
+    constructor(status, message, body){
+      super(message);
+      this.status = status;
+      this.body = body || null;
+    }
+  }
+
+  function getToken(){
+    try{ return localStorage.getItem(TOKEN_KEY); }catch(e){ return null; }
+  }
+
+  function setToken(token){
+    try{
+      if(token) localStorage.setItem(TOKEN_KEY, token);
+      else localStorage.removeItem(TOKEN_KEY);
+    }catch(e){}
+  }
+
+  function onSessionEnd(handler){
+    sessionEndHandler = handler;
+  }
+
+  function endSession(reason){
+    if(expiryTimer){ clearTimeout(expiryTimer); expiryTimer = null; }
+    setToken(null);
+    if(sessionEndHandler) sessionEndHandler(reason);
+  }
+
+  // Every authenticated response pushes the idle expiry forward; re-arm the timer each time.
+  function trackExpiry(r){
+    const exp = Number(r.headers.get('X-Session-Expires'));
+    if(!exp) return;
+    if(expiryTimer) clearTimeout(expiryTimer);
+    expiryTimer = setTimeout(() => endSession('expired'), Math.max(0, exp - Date.now()));
+  }
+
+  function queryString(params){
+    const q = new URLSearchParams();
+    for(const [k, v] of Object.entries(params || {})){
+      if(v === undefined || v === null || v === '') continue;
+      q.set(k, Array.isArray(v) ? v.join(',') : String(v));
+    }
+    const s = q.toString();
+    return s ? '?' + s : '';
+  }
+
+  async function request(method, path, body){
+    const headers = { 'Accept': 'application/json' };
+    const token = getToken();
+    if(token) headers['Authorization'] = 'Bearer ' + token;
+    if(body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    let data = null;
+    try{ data = await r.json(); }catch(e){ data = null; }
+    const message = (data && data.error) || ('Request failed (' + r.status + ')');
+    if(r.status === 401 && token){
+      endSession(message === 'Session expired' ? 'expired' : 'invalid');
+    }
+    if(!r.ok) throw new ApiError(r.status, message, data);
+    const savedAt = r.headers.get('X-Radius-Cached-At');
+    if(savedAt && data && typeof data === 'object'){
+      // The saved expiry is stale, and the server cannot be asked about the session anyway
+      offlineCopies.set(data, savedAt);
+      if(expiryTimer){ clearTimeout(expiryTimer); expiryTimer = null; }
+    }else{
+      trackExpiry(r);
+    }
+    return data;
+  }
+
+  async function login(id, name, password){
+    const res = await request('POST', '/api/login', { id, name, password });
+    setToken(res.token);
+    return res.user;
+  }
+
+  // Revoke the token on the server, then forget it locally even if the server is unreachable
+  async function logout(){
+    try{ await request('POST', '/api/logout'); }
+    finally{
+      if(expiryTimer){ clearTimeout(expiryTimer); expiryTimer = null; }
+      setToken(null);
+    }
+  }
+
+  function me(){
+    return request('GET', '/api/me');
+  }
+
+  // params: { from, to, types }
+  function transactions(userId, params){
+    return request('GET', '/api/users/' + encodeURIComponent(userId) + '/transactions' + queryString(params));
+  }
+
+  // Changes to the user's own transactions (see server/app.js for the bodies)
+  function addTransaction(userId, body){
+    return request('POST', '/api/users/' + encodeURIComponent(userId) + '/transactions', body);
+  }
+
+  function updateTransaction(userId, txId, body){
+    return request('PATCH', '/api/users/' + encodeURIComponent(userId) + '/transactions/' + encodeURIComponent(txId), body);
+  }
+
+  function deleteTransaction(userId, txId, body){
+    return request('DELETE', '/api/users/' + encodeURIComponent(userId) + '/transactions/' + encodeURIComponent(txId), body);
+  }
+
+  // kind: 'state' | 'region' | 'income' | 'national' (which takes no value)
+  function benchmark(kind, value, params){
+    const path = kind === 'national' ? '/api/benchmarks/national' : '/api/benchmarks/' + kind + '/' + encodeURIComponent(value);
+    return request('GET', path + queryString(params));
+  }
+
+  function stateBenchmark(state, params){
+    return benchmark('state', state, params);
+  }
+
+  root.RadiusAPI = { ApiError, getToken, setToken, onSessionEnd, cachedAt, request, login, logout, me, transactions, addTransaction, updateTransaction, deleteTransaction, benchmark, stateBenchmark };
+})(self);
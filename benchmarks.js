@@ -0,0 +1,117 @@
+// benchmarks.js
+// Registry of external benchmark tables (household spending surveys, custom baselines) listed in
+// benchmarks/index.json. Each table names its CSV file, the column holding the item names, one
+// column of weekly means per region, the year its dollars are from and a default mapping from our
+// purchase types to its items. The registry also points at the bundled CPI table (inflation.js).
+// The user's edits to a mapping are saved in localStorage under
+// 'dashboard.benchmarkMapping.<tableId>'. Purchase types without an item are reported as
+// unmatched instead of being guessed.
+// Exposed as window.RadiusBenchmarks in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusCSV || (typeof require === 'function' ? require('./csv.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusBenchmarks = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusCSV){
+
+  const REGISTRY_PATH = 'benchmarks/index.json';
+  const FALLBACK_REGION = 'United States';
+
+  // parseRegistry(json) -> { tables, cpi, errors }
+  // cpi is { file, series } or null. Entries without an id, file, item column or region columns
+  // (or repeating an id) are left out and described in errors.
+  function parseRegistry(json){
+    const list = json && Array.isArray(json.tables) ? json.tables : null;
+    if(!list) throw new Error('Benchmark registry must have a "tables" list');
+    const tables = [];
+    const errors = [];
+    list.forEach((t, i) => {
+      const where = `Table ${i + 1}${t && t.id ? ' (' + t.id + ')' : ''}`;
+      if(!t || typeof t.id !== 'string' || !t.id) return errors.push(`${where}: missing id`);
+      if(tables.some(o => o.id === t.id)) return errors.push(`${where}: duplicate id`);
+      if(typeof t.file !== 'string' || !t.file) return errors.push(`${where}: missing file`);
+      if(typeof t.itemColumn !== 'string' || !t.itemColumn) return errors.push(`${where}: missing itemColumn`);
+      const regionColumns = t.regionColumns && typeof t.regionColumns === 'object' ? t.regionColumns : {};
+      if(Object.keys(regionColumns).length === 0) return errors.push(`${where}: no regionColumns`);
+      tables.push({
+        id: t.id,
+        label: String(t.label || t.id),
+        surveyYear: Number.isInteger(t.surveyYear) ? t.surveyYear : null,
+        file: t.file,
+        itemColumn: t.itemColumn,
+        regionColumns: Object.assign({}, regionColumns),
+        mapping: Object.assign({}, t.mapping || {})
+      });
+    });
+    const cpi = json.cpi && typeof json.cpi.file === 'string' ? { file: json.cpi.file, series: String(json.cpi.series || '') } : null;
+    return { tables, cpi, errors };
+  }
+
+  // parseBenchmarkTable(text, table) -> { items, errors }
+  // items maps each item name to { <region>: weekly mean }.
+  function parseBenchmarkTable(text, table){
+    const columns = {};
+    for(const column of Object.values(table.regionColumns)) columns[column] = 'number';
+    const { rows, errors } = RadiusCSV.parseCSV(text, { columns });
+    const items = new Map();
+    for(const row of rows){
+      const item = String(row[table.itemColumn] || '').trim();
+      if(!item) continue;
+      const entry = {};
+      for(const [region, column] of Object.entries(table.regionColumns)) entry[region] = row[column] || 0;
+      items.set(item, entry);
+    }
+    return { items, errors };
+  }
+
+  function storageKey(tableId){
+    return 'dashboard.benchmarkMapping.' + tableId;
+  }
+
+  // The table's default mapping with the user's saved choices on top. An empty string means the
+  // user chose not to compare that purchase type.
+  function loadMapping(table, storage){
+    let saved = {};
+    try{
+      const parsed = JSON.parse(storage.getItem(storageKey(table.id)) || '{}');
+      if(parsed && typeof parsed === 'object' && !Array.isArray(parsed)) saved = parsed;
+    }catch(e){}
+    return Object.assign({}, table.mapping, saved);
+  }
+
+  // Keep only the choices that differ from the table's defaults
+  function saveMapping(table, mapping, storage){
+    const changed = {};
+    for(const [type, item] of Object.entries(mapping)){
+      if((table.mapping[type] || '') !== (item || '')) changed[type] = item || '';
+    }
+    if(Object.keys(changed).length === 0) storage.removeItem(storageKey(table.id));
+    else storage.setItem(storageKey(table.id), JSON.stringify(changed));
+  }
+
+  function resetMapping(table, storage){
+    storage.removeItem(storageKey(table.id));
+  }
+
+  // benchmarkWeekly(items, mapping, types, region) -> { total, matched: [{ type, item, weekly }], unmatched }
+  // Sums the weekly means of the items mapped to types for region (the national column when the
+  // table has none for it). unmatched lists the types with no item, or with an item the table
+  // does not have.
+  function benchmarkWeekly(items, mapping, types, region){
+    const matched = [];
+    const unmatched = [];
+    for(const type of types){
+      const entry = mapping[type] ? items.get(mapping[type]) : null;
+      if(!entry){
+        unmatched.push(type);
+        continue;
+      }
+      const weekly = Number(region in entry ? entry[region] : entry[FALLBACK_REGION]) || 0;
+      matched.push({ type, item: mapping[type], weekly });
+    }
+    const total = matched.reduce((acc, m) => acc + m.weekly, 0);
+    return { total: Math.round(total * 100) / 100, matched, unmatched };
+  }
+
+  return { REGISTRY_PATH, FALLBACK_REGION, parseRegistry, parseBenchmarkTable, loadMapping, saveMapping, resetMapping, benchmarkWeekly };
+});
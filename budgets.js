@@ -0,0 +1,72 @@
+// budgets.js
+// Per-category spending budgets: a weekly or monthly limit per purchase_type, saved per user in
+// localStorage under 'dashboard.budgets.<userId>' as { [purchase_type]: { amount, period } }.
+// Also works out what a budget allows for any chart period and how far spending has got.
+// Exposed as window.RadiusBudgets in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusAnalytics || (typeof require === 'function' ? require('./analytics.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusBudgets = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusAnalytics){
+
+  const { addDaysISO, periodStartISO, periodEndISO, periodDays } = RadiusAnalytics;
+
+  const BUDGET_PERIODS = ['week', 'month'];
+  const WARNING_RATIO = 0.8;
+
+  function storageKey(userId){
+    return 'dashboard.budgets.' + userId;
+  }
+
+  function loadBudgets(userId, storage){
+    try{
+      const saved = JSON.parse(storage.getItem(storageKey(userId)) || '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    }catch(e){ return {}; }
+  }
+
+  function saveBudgets(userId, budgets, storage){
+    storage.setItem(storageKey(userId), JSON.stringify(budgets));
+  }
+
+  // Validate a budget from the editor; throws with a user-facing message.
+  function cleanBudget(fields){
+    const amount = Number(fields.amount);
+    if(!Number.isFinite(amount) || amount <= 0) throw new Error('Budget must be a positive amount.');
+    if(!BUDGET_PERIODS.includes(fields.period)) throw new Error('Budget period must be weekly or monthly.');
+    return { amount: Math.round(amount * 100) / 100, period: fields.period };
+  }
+
+  // What a budget allows on one day: weekly budgets spread over 7 days, monthly ones over the
+  // days of that calendar month.
+  function dailyAllowance(budget, iso){
+    if(budget.period === 'week') return budget.amount / 7;
+    return budget.amount / periodDays(periodStartISO(iso, 'month'), 'month');
+  }
+
+  // Budget for a chart period (start date + granularity). Exact when the granularity matches the
+  // budget period; otherwise pro rata by day.
+  function budgetForPeriod(budget, periodStart, granularity){
+    if(granularity === budget.period) return budget.amount;
+    const end = periodEndISO(periodStart, granularity);
+    let total = 0;
+    for(let d = periodStart; d <= end; d = addDaysISO(d, 1)) total += dailyAllowance(budget, d);
+    return Math.round(total * 100) / 100;
+  }
+
+  // The budget period (week or calendar month) containing refDate
+  function budgetWindow(budget, refDate){
+    const from = periodStartISO(refDate, budget.period);
+    return { from, to: periodEndISO(from, budget.period) };
+  }
+
+  // level: 'ok' below 80%, 'warning' from 80%, 'over' from 100%
+  function budgetStatus(budget, spent){
+    const ratio = budget.amount > 0 ? spent / budget.amount : 0;
+    const level = ratio >= 1 ? 'over' : ratio >= WARNING_RATIO ? 'warning' : 'ok';
+    return { spent: Math.round(spent * 100) / 100, amount: budget.amount, ratio, level };
+  }
+
+  return { BUDGET_PERIODS, WARNING_RATIO, loadBudgets, saveBudgets, cleanBudget, budgetForPeriod, budgetWindow, budgetStatus };
+});
@@ -0,0 +1,84 @@
+// credentials.js
+// Salted password hashing for Radius Finance accounts (PBKDF2-SHA256 via WebCrypto).
+// Credentials are stored one record per account under server/credentials/, named by a SHA-256
+// key of "id:name". Only the API server (server/store.js) verifies logins against them; the
+// records are never served to the browser.
+// Exposed as window.RadiusCredentials in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory();
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusCredentials = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const ALGORITHM = 'PBKDF2-SHA256';
+  const DEFAULT_ITERATIONS = 600000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+  const SALT_BYTES = 16;
+  const HASH_BYTES = 32;
+
+  function webCrypto(){
+    if(typeof crypto !== 'undefined' && crypto.subtle) return crypto;
+    if(typeof require === 'function') return require('crypto').webcrypto;
+    throw new Error('WebCrypto is not available (serve the site over https or localhost)');
+  }
+
+  function toBase64(bytes){
+    let bin = '';
+    for(const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin);
+  }
+
+  function fromBase64(str){
+    const bin = atob(str);
+    const out = new Uint8Array(bin.length);
+    for(let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function toHex(bytes){
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Lookup key for an account's credential record. Ids and names are trimmed so the key matches
+  // what users type into the login form.
+  async function credentialKey(id, name){
+    const data = new TextEncoder().encode(String(id).trim() + ':' + String(name).trim());
+    const digest = await webCrypto().subtle.digest('SHA-256', data);
+    return toHex(new Uint8Array(digest));
+  }
+
+  async function deriveHash(password, salt, iterations){
+    const subtle = webCrypto().subtle;
+    const key = await subtle.importKey('raw', new TextEncoder().encode(String(password)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_BYTES * 8);
+    return new Uint8Array(bits);
+  }
+
+  // Build a credential record for an account. The plaintext password is not kept.
+  async function createCredential(id, name, password, options){
+    const iterations = (options && options.iterations) || DEFAULT_ITERATIONS;
+    const salt = webCrypto().getRandomValues(new Uint8Array(SALT_BYTES));
+    const hash = await deriveHash(password, salt, iterations);
+    return {
+      id: String(id).trim(),
+      name: String(name).trim(),
+      algorithm: ALGORITHM,
+      iterations,
+      salt: toBase64(salt),
+      hash: toBase64(hash)
+    };
+  }
+
+  // Compare a password against a stored record without short-circuiting on the first differing byte.
+  async function verifyPassword(record, password){
+    if(!record || record.algorithm !== ALGORITHM) throw new Error('Unsupported credential record');
+    const expected = fromBase64(record.hash);
+    const actual = await deriveHash(password, fromBase64(record.salt), record.iterations);
+    if(actual.length !== expected.length) return false;
+    let diff = 0;
+    for(let i = 0; i < actual.length; i++) diff |= actual[i] ^ expected[i];
+    return diff === 0;
+  }
+
+  return { ALGORITHM, DEFAULT_ITERATIONS, credentialKey, createCredential, verifyPassword };
+});
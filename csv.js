@@ -0,0 +1,223 @@
+// csv.js
+// Shared RFC 4180 CSV parser (and writer) used by the login page, the dashboard and the Node tools.
+// Handles quoted fields, escaped quotes (""), embedded newlines, a leading BOM and optional
+// per-column type coercion. Malformed rows are reported with their line number instead of
+// being silently dropped or shifted.
+// Exposed as window.RadiusCSV in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory();
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusCSV = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  // Split text into records of raw fields. Each record remembers the (1-based) line it starts on
+  // so callers can point at the offending line in the source file.
+  function tokenize(text, delimiter){
+    const records = [];
+    const errors = [];
+    let src = String(text == null ? '' : text);
+    if(src.charCodeAt(0) === 0xFEFF) src = src.slice(1);
+
+    let fields = [];
+    let field = '';
+    let quoted = false;      // current field started with a quote
+    let inQuotes = false;    // currently between opening and closing quote
+    let afterQuote = false;  // closing quote seen, expecting delimiter or newline
+    let bad = null;          // first problem found in the current record
+    let line = 1;
+    let recordLine = 1;
+
+    function endField(){
+      fields.push({ value: field, quoted });
+      field = '';
+      quoted = false;
+      afterQuote = false;
+    }
+    function endRecord(){
+      endField();
+      const blank = fields.length === 1 && fields[0].value === '' && !fields[0].quoted;
+      if(bad) errors.push({ line: recordLine, message: bad, fields: fields.map(f => f.value) });
+      else if(!blank) records.push({ line: recordLine, fields });
+      fields = [];
+      bad = null;
+    }
+
+    for(let i = 0; i < src.length; i++){
+      const ch = src[i];
+      if(inQuotes){
+        if(ch === '"'){
+          if(src[i+1] === '"'){ field += '"'; i++; }
+          else { inQuotes = false; afterQuote = true; }
+        }else{
+          if(ch === '\n' || (ch === '\r' && src[i+1] !== '\n')) line++;
+          field += ch;
+        }
+        continue;
+      }
+      if(ch === delimiter){ endField(); continue; }
+      if(ch === '\r' || ch === '\n'){
+        if(ch === '\r' && src[i+1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+        continue;
+      }
+      if(afterQuote){
+        if(!bad) bad = 'Unexpected character after closing quote';
+        field += ch;
+        continue;
+      }
+      if(ch === '"' && field.length === 0 && !quoted){
+        quoted = true;
+        inQuotes = true;
+        continue;
+      }
+      field += ch;
+    }
+    if(inQuotes && !bad) bad = 'Unterminated quoted field';
+    if(field.length > 0 || fields.length > 0 || quoted) endRecord();
+    return { records, errors };
+  }
+
+  function coerceNumber(raw){
+    let s = String(raw).trim();
+    if(s === '') return null;
+    let negative = false;
+    // accounting style negatives: (12.50)
+    if(/^\(.*\)$/.test(s)){ negative = true; s = s.slice(1, -1); }
+    s = s.replace(/[\s$,]/g, '');
+    if(!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) throw new Error('not a number: ' + raw);
+    const n = Number(s);
+    return negative ? -n : n;
+  }
+
+  // A YYYY-MM-DD string naming a real calendar day (no 2025-02-30 or 2025-13-01)
+  function isCalendarDate(s){
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || '');
+    if(!m) return false;
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    return d.toISOString().slice(0, 10) === s;
+  }
+
+  // Dates are YYYY-MM-DD only: Date.parse guesses at other text ('1' is 2001-01-01) and rolls
+  // impossible days over into the next month
+  function coerceDate(raw){
+    const s = String(raw).trim();
+    if(s === '') return null;
+    if(!isCalendarDate(s)) throw new Error('not a date (YYYY-MM-DD): ' + raw);
+    return s;
+  }
+
+  const COERCERS = {
+    string: raw => String(raw),
+    number: coerceNumber,
+    integer: raw => {
+      const n = coerceNumber(raw);
+      if(n !== null && !Number.isInteger(n)) throw new Error('not an integer: ' + raw);
+      return n;
+    },
+    date: coerceDate,
+    boolean: raw => {
+      const s = String(raw).trim().toLowerCase();
+      if(s === '') return null;
+      if(['true','yes','y','1'].includes(s)) return true;
+      if(['false','no','n','0'].includes(s)) return false;
+      throw new Error('not a boolean: ' + raw);
+    }
+  };
+
+  // parseCSV(text, options) -> { header, rows, lines, errors }
+  //   options.columns   : { columnName: 'string'|'number'|'integer'|'date'|'boolean'|fn(raw) }
+  //   options.delimiter : field separator (default ',')
+  //   options.trim      : trim unquoted values (default true)
+  // rows[i] started on source line lines[i]. Rows with the wrong number of fields, broken quoting
+  // or values that fail coercion are left out of rows and listed in errors as { line, message, fields }.
+  function parseCSV(text, options){
+    const opts = options || {};
+    const delimiter = opts.delimiter || ',';
+    const trim = opts.trim !== false;
+    const columns = opts.columns || {};
+    const { records, errors } = tokenize(text, delimiter);
+    const first = records.shift();
+    if(!first) return { header: [], rows: [], lines: [], errors };
+    const header = first.fields.map(f => f.value.trim());
+
+    const coercers = header.map(h => {
+      const spec = columns[h];
+      if(!spec) return null;
+      if(typeof spec === 'function') return spec;
+      const fn = COERCERS[spec];
+      if(!fn) throw new Error('Unknown column type "' + spec + '" for column ' + h);
+      return fn;
+    });
+
+    const rows = [];
+    const lines = [];
+    for(const rec of records){
+      let fields = rec.fields;
+      // tolerate trailing empty fields (e.g. a trailing delimiter) but not real extra data
+      if(fields.length > header.length && fields.slice(header.length).every(f => f.value.trim() === '')){
+        fields = fields.slice(0, header.length);
+      }
+      if(fields.length !== header.length){
+        errors.push({ line: rec.line, message: 'Expected ' + header.length + ' fields but found ' + fields.length, fields: rec.fields.map(f => f.value) });
+        continue;
+      }
+      const obj = {};
+      let problem = null;
+      for(let i = 0; i < header.length; i++){
+        const f = fields[i];
+        const raw = (trim && !f.quoted) ? f.value.trim() : f.value;
+        if(coercers[i]){
+          try{ obj[header[i]] = coercers[i](raw); }
+          catch(e){ problem = 'Column "' + header[i] + '": ' + e.message; break; }
+        }else{
+          obj[header[i]] = raw;
+        }
+      }
+      if(problem){
+        errors.push({ line: rec.line, message: problem, fields: fields.map(f => f.value) });
+        continue;
+      }
+      rows.push(obj);
+      lines.push(rec.line);
+    }
+    errors.sort((a, b) => a.line - b.line);
+    return { header, rows, lines, errors };
+  }
+
+  // One-line human readable description of parse errors, e.g. for a status message.
+  function describeErrors(errors, limit){
+    if(!errors || errors.length === 0) return '';
+    const max = limit || 3;
+    const parts = errors.slice(0, max).map(e => 'line ' + e.line + ': ' + e.message);
+    const more = errors.length > max ? ' (+' + (errors.length - max) + ' more)' : '';
+    return errors.length + ' malformed row' + (errors.length === 1 ? '' : 's') + ' — ' + parts.join('; ') + more;
+  }
+
+  // Quote a value only when needed: delimiter, quote or line break inside, or edge whitespace
+  // that the parser would otherwise trim.
+  function formatField(value, delimiter){
+    if(value === null || value === undefined) return '';
+    const s = String(value);
+    if(s.includes('"') || s.includes(delimiter || ',') || /[\r\n]/.test(s) || /^\s|\s$/.test(s)){
+      return '"' + s.replace(/"/g, '""') + '"';
+    }
+    return s;
+  }
+
+  // stringifyCSV(header, rows, options) -> CSV text with a trailing newline.
+  // rows are objects keyed by the header names; missing values are written as empty fields.
+  function stringifyCSV(header, rows, options){
+    const delimiter = (options && options.delimiter) || ',';
+    const eol = (options && options.eol) || '\n';
+    const out = [header.map(h => formatField(h, delimiter)).join(delimiter)];
+    for(const row of rows){
+      out.push(header.map(h => formatField(row[h], delimiter)).join(delimiter));
+    }
+    return out.join(eol) + eol;
+  }
+
+  return { parseCSV, stringifyCSV, formatField, describeErrors, isCalendarDate, coerce: COERCERS };
+});
@@ -1,7 +1,25 @@
 // dashboard.js
-// Reads assets/dataset.csv, computes weekly spending (sum of purchase_amount) for a given user id
-// and computes the average spending per week among users in the same state (location).
-// Renders a Chart.js line chart with two lines (user and state average) for the past 6 weeks.
+// Loads the signed-in user's transactions and a cohort benchmark from the API server, computes
+// weekly spending (sum of purchase_amount) for the user and compares it with the average spending
+// per week among users in the chosen cohort: the user's state (location) by default, or another
+// state, a census region, an income bracket or everyone.
+// Renders a Chart.js line chart with two lines (user and cohort average) bucketed by day, week,
+// calendar month or quarter (granularity control).
+
+const {
+  weekStartISO, weekEndISO, lastNWeeks, lastNWeeksEndingAt, weeksFromRange,
+  addDaysISO, periodStartISO, periodEndISO, nextPeriodISO, periodDays, periodsFromRange, periodLabel,
+  sumByPeriod, sumByWeek, mapUserToWeeks, stateToRegion
+} = RadiusAnalytics;
+const { formatMoney, ordinal, describeCohort, REGION_NAMES } = RadiusReport;
+
+// Wording per chart granularity
+const GRANULARITY_TEXT = {
+  day: { adjective: 'Daily', noun: 'day', axis: 'Day' },
+  week: { adjective: 'Weekly', noun: 'week', axis: 'Week starting' },
+  month: { adjective: 'Monthly', noun: 'month', axis: 'Month' },
+  quarter: { adjective: 'Quarterly', noun: 'quarter', axis: 'Quarter' }
+};
 
 async function fetchText(path){
   const r = await fetch(path);
@@ -9,144 +27,6 @@ async function fetchText(path){
   return await r.text();
 }
 
-function parseCSV(text){
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const header = lines.shift().split(',').map(h=>h.trim());
-  const rows = lines.map(l=>{
-    // naive split (CSV appears simple in dataset)
-    const parts = l.split(',');
-    const obj = {};
-    for(let i=0;i<header.length;i++) obj[header[i]] = parts[i];
-    return obj;
-  });
-  return {header, rows};
-}
-
-function formatMoney(value){
-  const n = Number(value);
-  if(isNaN(n)) return '$0.00';
-  return '$' + n.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2});
-}
-
-function weekStartISO(dateStr){
-  const d = new Date(dateStr);
-  const day = d.getDay(); // 0 Sun, 1 Mon
-  const diff = (day === 0 ? -6 : 1 - day);
-  d.setDate(d.getDate() + diff);
-  d.setHours(0,0,0,0);
-  return d.toISOString().slice(0,10);
-}
-
-function lastNWeeks(n){
-  // default: end at today
-  return lastNWeeksEndingAt(n, new Date().toISOString().slice(0,10));
-}
-
-function lastNWeeksEndingAt(n, endIso){
-  // endIso: YYYY-MM-DD (inclusive); compute the Monday of that week then back n-1 weeks
-  const end = new Date(endIso + 'T00:00:00');
-  const day = end.getDay();
-  const diff = (day === 0 ? -6 : 1 - day);
-  const monday = new Date(end);
-  monday.setDate(monday.getDate() + diff);
-  monday.setHours(0,0,0,0);
-  const labels = [];
-  for(let i=n-1;i>=0;i--){
-    const d = new Date(monday);
-    d.setDate(d.getDate() - i*7);
-    labels.push(d.toISOString().slice(0,10));
-  }
-  return labels;
-}
-
-function computeAggregates(rows, userId){
-  // user spending per week
-  const userMap = new Map();
-  // state -> week -> array of user totals (we'll compute averages per user then per week)
-  const stateUserWeek = new Map(); // state -> Map(userId -> Map(week->sum))
-
-  for(const r of rows){
-    const id = r.id;
-    const loc = r.location;
-    const date = r.purchase_date;
-    const amt = parseFloat(r.purchase_amount);
-    if(Number.isNaN(amt)) continue;
-    const week = weekStartISO(date);
-    // user map
-    if(id === userId){
-      userMap.set(week, (userMap.get(week) || 0) + amt);
-    }
-    // state per-user accumulation
-    if(!stateUserWeek.has(loc)) stateUserWeek.set(loc, new Map());
-    const userMapInState = stateUserWeek.get(loc);
-    if(!userMapInState.has(id)) userMapInState.set(id, new Map());
-    const weekMap = userMapInState.get(id);
-    weekMap.set(week, (weekMap.get(week) || 0) + amt);
-  }
-
-  return { userMap, stateUserWeek };
-}
-
-function computeStateAverageForWeeks(stateUserWeekMap, state, weeks){
-  const res = [];
-  const userMap = stateUserWeekMap.get(state) || new Map();
-  // for each week, compute average across users (sum each user's total for that week then divide by number of users)
-  for(const w of weeks){
-    let sum = 0;
-    let count = 0;
-    for(const [userId, weekMap] of userMap.entries()){
-      const v = weekMap.get(w) || 0;
-      sum += v;
-      count++;
-    }
-    const avg = count === 0 ? 0 : sum / count;
-    res.push(Number(avg.toFixed(2)));
-  }
-  return res;
-}
-
-function mapUserToWeeks(userMap, weeks){
-  return weeks.map(w => Number((userMap.get(w) || 0).toFixed(2)));
-}
-
-function getRowsDateRange(rows){
-  let min = null, max = null;
-  for(const r of rows){
-    const ds = r.purchase_date;
-    if(!ds) continue;
-    const t = Date.parse(ds);
-    if(Number.isNaN(t)) continue;
-    const iso = new Date(t).toISOString().slice(0,10);
-    if(min === null || iso < min) min = iso;
-    if(max === null || iso > max) max = iso;
-  }
-  return { min, max };
-}
-
-function weeksFromRange(startIso, endIso){
-  // Return array of ISO dates (YYYY-MM-DD) for each Monday between start and end inclusive
-  const start = new Date(startIso + 'T00:00:00');
-  const dayS = start.getDay();
-  const diffS = (dayS === 0 ? -6 : 1 - dayS);
-  const mondayStart = new Date(start);
-  mondayStart.setDate(mondayStart.getDate() + diffS);
-  mondayStart.setHours(0,0,0,0);
-
-  const end = new Date(endIso + 'T00:00:00');
-  const dayE = end.getDay();
-  const diffE = (dayE === 0 ? -6 : 1 - dayE);
-  const mondayEnd = new Date(end);
-  mondayEnd.setDate(mondayEnd.getDate() + diffE);
-  mondayEnd.setHours(0,0,0,0);
-
-  const labels = [];
-  for(let d = new Date(mondayStart); d <= mondayEnd; d.setDate(d.getDate() + 7)){
-    labels.push(d.toISOString().slice(0,10));
-    if(labels.length > 520) break; // safety cap to avoid runaway array
-  }
-  return labels;
-}
-
 async function drawChartForUser(userId){
   const status = document.getElementById('chart-status');
   const canvas = document.getElementById('dashboardChart');
@@ -169,17 +49,25 @@ async function drawChartForUser(userId){
   console.debug('drawChartForUser:', userId);
   try{
   status.textContent = 'Loading data...';
-  const text = await fetchText('assets/dataset.csv');
-  const {header, rows} = parseCSV(text);
-    console.debug('rows parsed:', rows ? rows.length : 0);
+  // The profile also carries the dataset's date range and the purchase types in use; it is
+  // fetched once per page, not on every redraw
+  const profile = await RadiusData.profile();
+  // Transactions added, edited or deleted on this device (txstore.js), layered over the server's rows
+  const localRecords = await RadiusTxStore.list(profile.id).catch(err => {
+    console.warn('Failed to read local transactions', err);
+    return [];
+  });
+  renderOfflineBanner(profile, localRecords);
 
-  // Extract all unique purchase types
-  const purchaseTypes = Array.from(new Set(rows.map(r => r.purchase_type).filter(Boolean)));
+  const purchaseTypes = profile.purchaseTypes || [];
   console.debug('purchaseTypes:', purchaseTypes);
   renderPurchaseTypeCheckboxes(purchaseTypes);
 
-    // Determine date range from dataset and from user-selected controls.
-    const { min: datasetMin, max: datasetMax } = getRowsDateRange(rows);
+    // Determine date range from dataset and from user-selected controls. Entries made or imported
+    // on this device may reach past the dataset's range.
+    const localDates = localRecords.filter(r => r.kind !== 'deleted' && r.purchase_date).map(r => r.purchase_date).sort();
+    const datasetMin = [profile.dataRange && profile.dataRange.min, localDates[0]].filter(Boolean).sort()[0];
+    const datasetMax = [profile.dataRange && profile.dataRange.max, localDates[localDates.length - 1]].filter(Boolean).sort().pop();
 
     // Wire up date inputs (they exist in dashboard.html). We'll set min/max and default values
     const startInput = document.getElementById('start-date');
@@ -191,8 +79,8 @@ async function drawChartForUser(userId){
       endInput.min = datasetMin;
       endInput.max = datasetMax;
       // restore saved range if available, otherwise default to full dataset range
-      const savedStart = localStorage.getItem('dashboard.rangeStart');
-      const savedEnd = localStorage.getItem('dashboard.rangeEnd');
+      const savedStart = loadViewSetting('dashboard.rangeStart');
+      const savedEnd = loadViewSetting('dashboard.rangeEnd');
       startInput.value = savedStart || datasetMin;
       endInput.value = savedEnd || datasetMax;
 
@@ -200,24 +88,25 @@ async function drawChartForUser(userId){
       if(!startInput.dataset.listenerAdded){
         startInput.addEventListener('change', ()=>{
           // persist and redraw
-          localStorage.setItem('dashboard.rangeStart', startInput.value);
+          storeViewSetting('dashboard.rangeStart', startInput.value);
           drawChartForUser(userId);
         });
         startInput.dataset.listenerAdded = '1';
       }
       if(!endInput.dataset.listenerAdded){
         endInput.addEventListener('change', ()=>{
-          localStorage.setItem('dashboard.rangeEnd', endInput.value);
+          storeViewSetting('dashboard.rangeEnd', endInput.value);
           drawChartForUser(userId);
         });
         endInput.dataset.listenerAdded = '1';
       }
       if(resetBtn && !resetBtn.dataset.listenerAdded){
         resetBtn.addEventListener('click', ()=>{
-          startInput.value = datasetMin;
-          endInput.value = datasetMax;
-          localStorage.setItem('dashboard.rangeStart', datasetMin);
-          localStorage.setItem('dashboard.rangeEnd', datasetMax);
+          // The bounds of the latest draw, which may have grown since this listener was added
+          startInput.value = startInput.min;
+          endInput.value = endInput.max;
+          storeViewSetting('dashboard.rangeStart', startInput.min);
+          storeViewSetting('dashboard.rangeEnd', endInput.max);
           drawChartForUser(userId);
         });
         resetBtn.dataset.listenerAdded = '1';
@@ -226,6 +115,7 @@ async function drawChartForUser(userId){
 
     // Decide which weeks to show. Prefer explicit start/end from inputs when available.
     let weeks = null;
+    let rangeStart = null, rangeEnd = null;
     if(startInput && endInput && startInput.value && endInput.value){
       let s = startInput.value;
       let e = endInput.value;
@@ -233,39 +123,29 @@ async function drawChartForUser(userId){
         const tmp = s; s = e; e = tmp;
       }
       weeks = weeksFromRange(s, e);
+      rangeStart = s;
+      rangeEnd = e;
     }
     // Fallback: if no valid range, show last 6 weeks ending at dataset max (or today)
     if(!weeks || weeks.length === 0){
       if(datasetMax) weeks = lastNWeeksEndingAt(6, datasetMax);
       else weeks = lastNWeeks(6);
+      rangeStart = weeks[0];
+      rangeEnd = weekEndISO(weeks[weeks.length - 1]);
     }
-    const firstRow = rows.find(r => r.id === String(userId));
-    const state = firstRow ? firstRow.location : null;
-    // Update account balance from CSV for the user (if present).
-    // Be robust: CSV may store balances with $ or commas. We'll sanitize; if that fails,
-    // fall back to reading the raw CSV line and using the 5th element (index 4).
+    // Bucket the range by the chosen granularity; every period touching the range is shown whole
+    const granularity = getSelectedGranularity();
+    const periods = periodsFromRange(rangeStart, rangeEnd, granularity);
+    const heading = document.getElementById('chart-heading');
+    const cohort = getSelectedCohort(profile);
+    if(heading) heading.textContent = GRANULARITY_TEXT[granularity].adjective + ` spending (you vs ${cohort.noun} average)`;
+    const horizonUnit = document.getElementById('forecast-horizon-unit');
+    if(horizonUnit) horizonUnit.textContent = GRANULARITY_TEXT[granularity].noun + 's';
+    const state = profile.location || null;
+    // Update account balance from the user's profile (if present), adjusted for local changes
     try{
       const balanceEl = document.getElementById('balance-amount');
-      let balanceValue = NaN;
-      if(firstRow && firstRow.balance !== undefined){
-        const raw = String(firstRow.balance);
-        const cleaned = raw.replace(/[^0-9.-]+/g,'');
-        balanceValue = parseFloat(cleaned);
-      }
-      // fallback: try raw CSV 5th element (index 4)
-      if(Number.isNaN(balanceValue)){
-        const lines = text.split(/\r?\n/).filter(Boolean);
-        // skip header (lines[0]) and search for matching id in column 0
-        for(let i=1;i<lines.length;i++){
-          const parts = lines[i].split(',');
-          if(parts[0] === String(userId)){
-            const candidate = parts[4] || '';
-            const cleaned2 = String(candidate).replace(/[^0-9.-]+/g,'');
-            balanceValue = parseFloat(cleaned2);
-            break;
-          }
-        }
-      }
+      const balanceValue = typeof profile.balance === 'number' ? profile.balance + RadiusTxStore.balanceDelta(localRecords) : NaN;
       if(!Number.isNaN(balanceValue)){
         if(balanceEl) balanceEl.textContent = formatMoney(balanceValue);
         try{ localStorage.setItem('balance', String(balanceValue)); }catch(e){}
@@ -281,15 +161,71 @@ async function drawChartForUser(userId){
     if(!selectedTypes) selectedTypes = [];
     console.debug('selectedTypes:', selectedTypes);
 
+    // Bills are expected from the end of the data (or today, if earlier)
+    const today = new Date().toISOString().slice(0,10);
+    const billsFrom = datasetMax && datasetMax < today ? datasetMax : today;
+
+    // The user's own rows and the cohort benchmarks covering the visible periods, from the
+    // per-page cache (data.js). The whole history (every type) is the baseline for recurring
+    // charges and, for the selected types, anomaly detection; the worker works those out.
+    let benchmark = null;
+    let overlayBenchmarks = [];
+    const withheld = [];
+    const unsaved = [];
+    const analysisRequest = RadiusData.analyze(profile.id, { periods, granularity, types: selectedTypes, dataRange: profile.dataRange || {}, tolerance: getRecurringTolerance(), asOf: billsFrom }, localRecords);
+    if(selectedTypes.length > 0){
+      const params = { from: periods[0], to: periodEndISO(periods[periods.length - 1], granularity), types: selectedTypes };
+      const fetchBenchmark = c => RadiusData.benchmark(c.kind, c.value, Object.assign({ granularity }, params)).catch(err => {
+        // Small cohorts are withheld by the server; draw the user's line without that comparison
+        if(err instanceof RadiusAPI.ApiError && err.status === 403){ console.warn(err.message); withheld.push(c.name); return null; }
+        // Offline, and this comparison was never loaded while online
+        if(err instanceof RadiusAPI.ApiError && err.status === 503){ unsaved.push(c.name); return null; }
+        throw err;
+      });
+      const overlayCohorts = getCohortOverlays().map(describeCohort);
+      const [bench, overlays] = await Promise.all([
+        fetchBenchmark(cohort),
+        Promise.all(overlayCohorts.map(fetchBenchmark)),
+        analysisRequest
+      ]);
+      benchmark = bench;
+      overlayBenchmarks = overlayCohorts.map((c, i) => ({ cohort: c, benchmark: overlays[i] })).filter(o => o.benchmark);
+    }
+    const { rows: userRows, anomalies, recurring, variable } = await analysisRequest;
+    renderAnomalies(anomalies, granularity);
+    renderTransactionList(userRows, profile, periods, granularity, anomalies.transactions);
+    renderUpcomingBills(recurring, billsFrom, variable);
+
+    // Constant dollars: the chart, its summary and the breakdown restate amounts in base-year
+    // dollars; the transaction table, budgets and balances stay as recorded
+    const inflation = await getInflationAdjustment();
+    let chartRows = userRows;
+    if(inflation){
+      chartRows = RadiusInflation.deflateRows(userRows, inflation.cpi, inflation.baseYear);
+      benchmark = deflateBenchmark(benchmark, periods, inflation);
+      overlayBenchmarks = overlayBenchmarks.map(o => ({ cohort: o.cohort, benchmark: deflateBenchmark(o.benchmark, periods, inflation) }));
+    }
+
   // Render quick statistical summary under the controls
-  try{ renderChartSummary(rows, userId, weeks, selectedTypes, state); }catch(e){ console.warn('Failed to render chart summary', e); }
+  try{ renderChartSummary(chartRows, benchmark, periods, granularity, selectedTypes, cohort, recurring, inflation); }catch(e){ console.warn('Failed to render chart summary', e); }
+  renderBreakdownCharts(chartRows, periods, granularity, selectedTypes, purchaseTypes);
+  // Budget progress covers the budget period containing the end of the range (or today, if earlier)
+  const budgets = RadiusBudgets.loadBudgets(profile.id, localStorage);
+  renderBudgetProgress(profile, budgets, localRecords, rangeEnd < today ? rangeEnd : today)
+    .catch(e => console.warn('Failed to render budget progress', e));
+  renderLedger(profile, localRecords, periods, granularity, rangeStart, rangeEnd)
+    .catch(e => console.warn('Failed to render balance ledger', e));
+  renderGoals(profile, localRecords)
+    .catch(e => console.warn('Failed to render savings goals', e));
 
-    // Aggregate selected types into summed user and state datasets (one line each)
+    // Aggregate selected types into summed user and cohort datasets (one line each)
     const datasets = [];
+    // Periods on the x axis; the forecast appends the projected ones
+    let chartPeriods = periods;
     // Visibility persistence: load stored map and capture previous chart visibility
     const visKey = 'dashboard.datasetVisibility';
     let storedVis = {};
-    try{ storedVis = JSON.parse(localStorage.getItem(visKey) || '{}'); }catch(e){ storedVis = {}; }
+    try{ storedVis = JSON.parse(loadViewSetting(visKey) || '{}'); }catch(e){ storedVis = {}; }
     const previousVis = {};
     if(window._dashboardChart && window._dashboardChart.data && Array.isArray(window._dashboardChart.data.datasets)){
       window._dashboardChart.data.datasets.forEach((d, idx) => {
@@ -300,11 +236,12 @@ async function drawChartForUser(userId){
         }catch(e){}
       });
     }
-    // If no types selected, show flat zero-slope lines for both You and state avg
+    const visible = id => storedVis.hasOwnProperty(id) ? storedVis[id] : (previousVis.hasOwnProperty(id) ? previousVis[id] : true);
+    // If no types selected, show flat zero-slope lines for both You and the cohort average
     if(!selectedTypes || selectedTypes.length === 0){
-      const zeros = weeks.map(()=>0);
+      const zeros = periods.map(()=>0);
       const youMeta = { label: 'You', data: zeros, borderColor: 'rgba(178,58,53,1)', backgroundColor: 'rgba(178,58,53,0.12)', tension:0.3, fill:true, metaId: 'you' };
-      const avgMeta = { label: `${state} — state average`, data: zeros, borderColor: 'rgba(80,120,200,1)', backgroundColor: 'rgba(80,120,200,0.12)', tension:0.3, fill:true, metaId: 'avg' };
+      const avgMeta = { label: cohort.lineLabel, data: zeros, borderColor: 'rgba(80,120,200,1)', backgroundColor: 'rgba(80,120,200,0.12)', tension:0.3, fill:true, metaId: 'avg' };
       const youVisible = storedVis.hasOwnProperty('you') ? storedVis['you'] : (previousVis.hasOwnProperty('you') ? previousVis['you'] : true);
       const avgVisible = storedVis.hasOwnProperty('avg') ? storedVis['avg'] : (previousVis.hasOwnProperty('avg') ? previousVis['avg'] : true);
       youMeta.hidden = !youVisible;
@@ -313,8 +250,8 @@ async function drawChartForUser(userId){
       datasets.push(avgMeta);
       // Also add a zero-slope region average line for consistency when no types are selected
       try{
-        const region = stateToRegion(state) || 'United States';
-        const regionLabel = `Avg - US ${region}`;
+        const region = cohort.benchmarkRegion || RadiusBenchmarks.FALLBACK_REGION;
+        const regionLabel = region === 'United States' ? 'Avg - US' : `Avg - US ${region}`;
         const regionMeta = { label: regionLabel, data: zeros, borderColor: 'rgba(120,120,120,0.28)', borderDash:[6,6], pointRadius:0, fill:false, metaId: 'regionAvg' };
         const regionVisible = storedVis.hasOwnProperty('regionAvg') ? storedVis['regionAvg'] : (previousVis.hasOwnProperty('regionAvg') ? previousVis['regionAvg'] : true);
         regionMeta.hidden = !regionVisible;
@@ -322,92 +259,114 @@ async function drawChartForUser(userId){
       }catch(e){ /* ignore region add errors */ }
     }else{
       // accumulate per-week sums
-      const userMap = new Map();
-      const stateUserWeek = new Map(); // state -> Map(userId -> Map(week->sum))
-      const typesSet = new Set(selectedTypes);
-      for(const r of rows){
-        if(!typesSet.has(r.purchase_type)) continue;
-        const id = r.id;
-        const loc = r.location;
-        const date = r.purchase_date;
-        const amt = parseFloat(r.purchase_amount);
-        if(Number.isNaN(amt)) continue;
-        const week = weekStartISO(date);
-        if(id === String(userId)){
-          userMap.set(week, (userMap.get(week) || 0) + amt);
-        }
-        if(!stateUserWeek.has(loc)) stateUserWeek.set(loc, new Map());
-        const userMapInState = stateUserWeek.get(loc);
-        if(!userMapInState.has(id)) userMapInState.set(id, new Map());
-        const weekMap = userMapInState.get(id);
-        weekMap.set(week, (weekMap.get(week) || 0) + amt);
-      }
-      const userData = mapUserToWeeks(userMap, weeks);
-      const stateAvg = computeStateAverageForWeeks(stateUserWeek, state, weeks);
+      const userMap = sumByPeriod(chartRows, granularity);
+      const userData = mapUserToWeeks(userMap, periods);
+      const stateAvg = benchmark ? benchmark.average : periods.map(()=>0);
     const youMeta = { label: 'You', data: userData, borderColor: 'rgba(178,58,53,1)', backgroundColor: 'rgba(178,58,53,0.12)', tension:0.3, fill:true, metaId: 'you' };
-    const avgMeta = { label: `${state} — state average`, data: stateAvg, borderColor: 'rgba(80,120,200,1)', backgroundColor: 'rgba(80,120,200,0.12)', tension:0.3, fill:true, metaId: 'avg' };
+    const avgMeta = { label: cohort.lineLabel, data: stateAvg, borderColor: 'rgba(80,120,200,1)', backgroundColor: 'rgba(80,120,200,0.12)', tension:0.3, fill:true, metaId: 'avg' };
     const youVisible = storedVis.hasOwnProperty('you') ? storedVis['you'] : (previousVis.hasOwnProperty('you') ? previousVis['you'] : true);
     const avgVisible = storedVis.hasOwnProperty('avg') ? storedVis['avg'] : (previousVis.hasOwnProperty('avg') ? previousVis['avg'] : true);
     youMeta.hidden = !youVisible;
     avgMeta.hidden = !avgVisible;
+    // Highlight flagged points: unusual period totals as large orange circles, periods holding an
+    // unusual transaction as orange triangles
+    const flaggedPeriods = new Set(anomalies.periods.map(a => a.period));
+    const flaggedTxPeriods = new Set(anomalies.transactions.map(a => periodStartISO(a.row.purchase_date, granularity)));
+    if(flaggedPeriods.size > 0 || flaggedTxPeriods.size > 0){
+      const flagged = p => flaggedPeriods.has(p) || flaggedTxPeriods.has(p);
+      youMeta.pointRadius = periods.map(p => flagged(p) ? 7 : 3);
+      youMeta.pointHoverRadius = periods.map(p => flagged(p) ? 9 : 4);
+      youMeta.pointStyle = periods.map(p => flaggedPeriods.has(p) ? 'circle' : flaggedTxPeriods.has(p) ? 'triangle' : 'circle');
+      youMeta.pointBackgroundColor = periods.map(p => flagged(p) ? 'rgba(230,140,20,1)' : 'rgba(178,58,53,1)');
+    }
     datasets.push(youMeta);
     datasets.push(avgMeta);
 
-      // Add faint horizontal region-average lines per selected purchase type using filtered_expenditures.csv
+      // Spread across the cohort's users: shaded 10th–90th and 25th–75th percentile bands, each
+      // drawn as an upper edge plus a lower edge filled up to it. The server leaves out the
+      // percentiles of cohorts too small to publish them; their bands are not drawn.
+      if(benchmark && benchmark.percentiles){
+        const pc = benchmark.percentiles;
+        for(const band of [{ id: 'band90', lower: pc.p10, upper: pc.p90, text: '10th–90th', alpha: 0.08 }, { id: 'band50', lower: pc.p25, upper: pc.p75, text: '25th–75th', alpha: 0.16 }]){
+          if(!band.lower || !band.upper) continue;
+          const color = `rgba(80,120,200,${band.alpha})`;
+          datasets.push({ label: `${cohort.name} — ${band.text} percentile`, data: band.upper, borderColor: 'rgba(80,120,200,0)', backgroundColor: color, pointRadius:0, fill:false, metaId: band.id, hidden: !visible(band.id) });
+          datasets.push({ label: `${cohort.name} — ${band.text} percentile`, data: band.lower, borderColor: 'rgba(80,120,200,0)', backgroundColor: color, pointRadius:0, fill:'-1', metaId: band.id, hideInLegend: true, hidden: !visible(band.id) });
+        }
+      }
+
+      // Overlay cohorts: one average line each
+      overlayBenchmarks.forEach((o, i) => {
+        const id = 'cohort:' + o.cohort.key;
+        datasets.push({ label: o.cohort.lineLabel, data: o.benchmark.average, borderColor: COHORT_COLORS[i % COHORT_COLORS.length], borderWidth:1.5, pointRadius:0, tension:0.3, fill:false, metaId: id, hidden: !visible(id) });
+      });
+
+      // Faint benchmark line: the weekly means of the benchmark items mapped to the selected types
       try{
-        const feText = await fetchText('filtered_expenditures.csv');
-        const feMap = parseFilteredExpenditures(feText);
-        const region = stateToRegion(state);
-        const norm = s => String(s||'').toLowerCase().replace(/[^a-z0-9]+/g,'');
-        // aggregate matched weekly means across selected types into a single horizontal line
-        let totalWeekly = 0;
-        let matchedCount = 0;
-        const matchedKeys = [];
-        for(const t of selectedTypes){
-          // find best match in filtered_expenditures
-          const target = norm(t);
-          let matchedKey = null;
-          for(const key of feMap.keys()){
-            const k = norm(key);
-            if(k === target || k.includes(target) || target.includes(k)){
-              matchedKey = key; break;
-            }
+        const table = getSelectedBenchmarkTable((await loadBenchmarkRegistry()).tables);
+        if(table){
+          const items = await loadBenchmarkItems(table);
+          const mapping = RadiusBenchmarks.loadMapping(table, localStorage);
+          const region = cohort.benchmarkRegion;
+          const { total, matched } = RadiusBenchmarks.benchmarkWeekly(items, mapping, selectedTypes, region);
+          // The survey's dollars are from its own year
+          const surveyFactor = inflation && table.surveyYear ? RadiusInflation.realFactor(inflation.cpi, table.surveyYear, inflation.baseYear) : 1;
+          if(matched.length > 0){
+            // Scale the aggregated regional weekly mean by user's weekly income relative to the region's average weekly income
+            let adjustedTotal = Number((total * surveyFactor).toFixed(2));
+            try{
+              const regionAvgInc = benchmark ? benchmark.regionAverageWeeklyIncome : null;
+              // Determine user weekly income from the profile (prefer explicit weekly column)
+              const userWeeklyInc = RadiusAnalytics.rowWeeklyIncome(profile);
+              if(regionAvgInc && userWeeklyInc && regionAvgInc > 0){
+                const factor = userWeeklyInc / regionAvgInc;
+                adjustedTotal = Number((total * surveyFactor * factor).toFixed(2));
+              }
+            }catch(e){ /* if anything fails, fall back to unadjusted value */ }
+            const label = (region === 'United States' ? 'Avg - US' : `Avg - US ${region}`) + (matched.length < selectedTypes.length ? ` (${matched.length} of ${selectedTypes.length} categories)` : '');
+            // The regional means are weekly; scale them to each period's length in days
+            const horizData = periods.map(p => Number((adjustedTotal * periodDays(p, granularity) / 7).toFixed(2)));
+            const regionMeta = { label: label, data: horizData, borderColor: 'rgba(120,120,120,0.28)', borderDash:[6,6], pointRadius:0, fill:false, metaId: 'regionAvg' };
+            regionMeta.hidden = !visible('regionAvg');
+            datasets.push(regionMeta);
           }
-          if(!matchedKey) continue;
-          const entry = feMap.get(matchedKey);
-          if(!entry) continue;
-          const weeklyVal = Number(entry[region] || entry['United States'] || 0);
-          if(Number.isNaN(weeklyVal)) continue;
-          totalWeekly += weeklyVal;
-          matchedKeys.push(matchedKey);
-          matchedCount++;
-        }
-        if(matchedCount > 0){
-          const roundedTotal = Number(totalWeekly.toFixed(2));
-          // Scale the aggregated regional weekly mean by user's weekly income relative to the region's average weekly income
-          let adjustedTotal = roundedTotal;
-          try{
-            const regionAvgInc = computeRegionAverageWeeklyIncome(rows, region);
-            // Determine user weekly income from dataset (prefer explicit weekly column)
-            const userIncRaw = (firstRow && (firstRow.income_weekly || firstRow.income_yearly)) ? (Number(firstRow.income_weekly) || (Number(firstRow.income_yearly) / 52)) : NaN;
-            const userWeeklyInc = Number(userIncRaw);
-            if(regionAvgInc && Number.isFinite(userWeeklyInc) && userWeeklyInc > 0 && regionAvgInc > 0){
-              const factor = userWeeklyInc / regionAvgInc;
-              adjustedTotal = Number((roundedTotal * factor).toFixed(2));
-            }
-          }catch(e){ /* if anything fails, fall back to unadjusted value */ }
-           const horiz = weeks.map(()=>roundedTotal);
-           const label = `Avg - US ${region}`;
-           const horizData = weeks.map(()=>adjustedTotal);
-           const regionMeta = { label: label, data: horizData, borderColor: 'rgba(120,120,120,0.28)', borderDash:[6,6], pointRadius:0, fill:false, metaId: 'regionAvg' };
-           const regionVisible = storedVis.hasOwnProperty('regionAvg') ? storedVis['regionAvg'] : (previousVis.hasOwnProperty('regionAvg') ? previousVis['regionAvg'] : true);
-           regionMeta.hidden = !regionVisible;
-           datasets.push(regionMeta);
         }
       }catch(e){
-        console.warn('filtered_expenditures.csv not available or failed to parse', e);
+        console.warn('Benchmark table not available or failed to parse', e);
+      }
+
+      // Budget threshold: the combined budgets of the selected categories that have one
+      const budgeted = selectedTypes.filter(t => budgets[t]);
+      if(budgeted.length > 0){
+        const budgetData = periods.map(p => Number(budgeted.reduce((acc, t) => acc + RadiusBudgets.budgetForPeriod(budgets[t], p, granularity), 0).toFixed(2)));
+        const budgetLabel = budgeted.length === selectedTypes.length ? 'Budget' : `Budget (${budgeted.length} of ${selectedTypes.length} categories)`;
+        const budgetMeta = { label: budgetLabel, data: budgetData, borderColor: 'rgba(230,140,20,0.9)', borderDash:[4,4], borderWidth:2, pointRadius:0, fill:false, stepped:true, metaId: 'budget' };
+        const budgetVisible = storedVis.hasOwnProperty('budget') ? storedVis['budget'] : (previousVis.hasOwnProperty('budget') ? previousVis['budget'] : true);
+        budgetMeta.hidden = !budgetVisible;
+        datasets.push(budgetMeta);
+      }
+
+      // Forecast: dashed continuation of the user's line with a 95% band, plus the cohort average
+      const forecastSettings = getForecastSettings();
+      if(forecastSettings.enabled){
+        const lastDataDate = [rangeEnd, datasetMax, new Date().toISOString().slice(0,10)].filter(Boolean).sort()[0];
+        const fc = buildForecast(chartRows, benchmark, periods, granularity, selectedTypes, forecastSettings, lastDataDate);
+        if(fc){
+          // Join each projection to the last complete actual value so the lines read as continuations
+          const pad = values => new Array(fc.anchorIndex).fill(null).concat(values);
+          const methodName = FORECAST_METHOD_NAMES[fc.method];
+          datasets.push({ label: `You — forecast (${methodName})`, data: pad([userData[fc.anchorIndex]].concat(fc.you.values)), borderColor: 'rgba(178,58,53,1)', borderDash:[6,4], pointRadius:2, fill:false, tension:0.3, metaId: 'forecast', hidden: !visible('forecast') });
+          datasets.push({ label: 'Forecast range (95%)', data: pad([userData[fc.anchorIndex]].concat(fc.you.upper)), borderColor: 'rgba(178,58,53,0)', pointRadius:0, fill:false, metaId: 'forecastBand', hidden: !visible('forecastBand') });
+          datasets.push({ label: 'Forecast range (95%)', data: pad([userData[fc.anchorIndex]].concat(fc.you.lower)), borderColor: 'rgba(178,58,53,0)', backgroundColor: 'rgba(178,58,53,0.1)', pointRadius:0, fill:'-1', metaId: 'forecastBand', hideInLegend: true, hidden: !visible('forecastBand') });
+          if(fc.state){
+            datasets.push({ label: `${cohort.name} — projected average`, data: pad([stateAvg[fc.anchorIndex]].concat(fc.state)), borderColor: 'rgba(80,120,200,1)', borderDash:[6,4], pointRadius:2, fill:false, tension:0.3, metaId: 'avgForecast', hidden: !visible('avgForecast') });
+          }
+          chartPeriods = periods.concat(fc.extraPeriods);
+          renderForecastSummary(fc, granularity);
+        }else{
+          renderForecastSummary(null, granularity);
+        }
       }
- 
      }
     console.debug('datasets count:', datasets.length);
     if(datasets.length === 0){
@@ -416,77 +375,184 @@ async function drawChartForUser(userId){
       if(window._dashboardChart) window._dashboardChart.destroy();
       return;
     }
-    status.textContent = '';
+    status.textContent = [
+      withheld.length ? `Not enough users to compare with ${withheld.join(', ')}.` : '',
+      unsaved.length ? `Comparison with ${unsaved.join(', ')} is not saved for offline use.` : ''
+    ].filter(Boolean).join(' ');
     if(window._dashboardChart) window._dashboardChart.destroy();
+    const labelPeriods = chartPeriods;
     window._dashboardChart = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: weeks,
+        labels: labelPeriods.map(p => periodLabel(p, granularity)),
         datasets: datasets
       },
       options: {
         responsive:true,
+        // Clicking a point narrows the transaction table to that period
+        onClick: function(evt, elements){
+          if(elements && elements.length > 0 && elements[0].index < periods.length) setTransactionPeriodFilter(periods[elements[0].index]);
+        },
         plugins: {
           legend: {
+            labels: { filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend },
             onClick: function(e, legendItem, legend) {
               const index = legendItem.datasetIndex;
               const ci = legend.chart;
               const meta = ci.getDatasetMeta(index);
               // toggle visibility using Chart.js API
               meta.hidden = meta.hidden === null ? !ci.data.datasets[index].hidden : !meta.hidden;
+              // datasets drawn as one series (the forecast band's two edges) share a metaId
+              ci.data.datasets.forEach((d, i) => {
+                if(i !== index && d.metaId && d.metaId === ci.data.datasets[index].metaId) ci.getDatasetMeta(i).hidden = meta.hidden;
+              });
               ci.update();
               // persist visibility map by metaId (or label)
               try{
-                const vis = JSON.parse(localStorage.getItem('dashboard.datasetVisibility') || '{}');
+                const vis = JSON.parse(loadViewSetting('dashboard.datasetVisibility') || '{}');
                 const ds = ci.data.datasets[index];
                 const key = ds.metaId || ds.label;
                 vis[key] = !meta.hidden;
-                localStorage.setItem('dashboard.datasetVisibility', JSON.stringify(vis));
+                storeViewSetting('dashboard.datasetVisibility', JSON.stringify(vis));
               }catch(e){ /* ignore storage errors */ }
+              recordView(true);
             }
           }
         },
-        scales: { y: { beginAtZero:true, title: { display:true, text:'Spending (USD)' } }, x: { title: { display:true, text:'Week starting' } } }
+        scales: { y: { beginAtZero:true, title: { display:true, text: inflation ? `Spending (${inflation.baseYear} USD)` : 'Spending (USD)' } }, x: { title: { display:true, text: GRANULARITY_TEXT[granularity].axis } } }
       }
     });
+    // The selection the export menu saves
+    lastChartView = { periods: chartPeriods, granularity, from: rangeStart, to: rangeEnd, types: selectedTypes.slice(), cohort: cohort.name, baseYear: inflation ? inflation.baseYear : null };
+    recordView(false);
 
   }catch(err){
+    if(err instanceof RadiusAPI.ApiError && err.status === 401){
+      status.textContent = 'Please log in to see your dashboard.';
+      return;
+    }
     console.error(err);
     status.textContent = 'Failed to load data: ' + err.message;
   }
 }
 
-document.addEventListener('DOMContentLoaded', ()=>{
-  // Determine current user id from localStorage (set at login). Fallback to '1' for dev.
-  const loggedId = localStorage.getItem('loggedUserId') || '1';
-  // Populate welcome message from stored user name
-  const welcomeEl = document.getElementById('welcome-msg');
+// Leave the dashboard for the login page, dropping the local copy of the session.
+// reason ('expired' | 'invalid') is passed along so the login page can explain why.
+function redirectToLogin(reason){
   try{
-    const name = localStorage.getItem('loggedUserName') || localStorage.getItem('username') || 'Guest';
-    if(welcomeEl) welcomeEl.textContent = 'Welcome, ' + name;
-  }catch(e){ /* ignore localStorage failures */ }
+    localStorage.removeItem('loggedUserId');
+    localStorage.removeItem('loggedUserName');
+    localStorage.removeItem('balance');
+    RadiusAPI.setToken(null);
+    RadiusData.clear();
+  }catch(e){}
+  window.location.href = 'index.html' + (reason ? '?session=' + encodeURIComponent(reason) : '');
+}
+
+document.addEventListener('DOMContentLoaded', ()=>{
+  // No session token means nobody is signed in: there is no default user to fall back to
+  if(!RadiusAPI.getToken()){
+    redirectToLogin();
+    return;
+  }
+  // Rejected or lapsed sessions (server 401 or the announced expiry passing) go back to login
+  RadiusAPI.onSessionEnd(reason => redirectToLogin(reason));
+
   // Wire logout button
   const logoutBtn = document.getElementById('logout-btn');
   if(logoutBtn){
     logoutBtn.addEventListener('click', ()=>{
-      // Clear session/local keys used by the app
-      try{
-        localStorage.removeItem('loggedUserId');
-        localStorage.removeItem('loggedUserName');
-        localStorage.removeItem('balance');
-        // optionally clear persisted dashboard selection
-        // localStorage.removeItem('dashboard.selectedPurchaseTypes');
-      }catch(e){}
-      // Redirect to login page (index.html)
-      window.location.href = 'index.html';
+      // Revoke the token server-side, then clear session/local keys used by the app
+      RadiusAPI.logout()
+        .catch(e => console.warn('Logout request failed', e))
+        .finally(() => redirectToLogin());
     });
   }
-  // Immediately draw chart for the logged-in user
-  drawChartForUser(loggedId);
 
-  // Listen for purchase type checkbox changes
-  document.getElementById('purchase-type-select').addEventListener('change', ()=>{
-    drawChartForUser(loggedId);
+  // The signed-in user comes from the server session, never from a localStorage id
+  RadiusData.profile().then(profile => {
+    const welcomeEl = document.getElementById('welcome-msg');
+    if(welcomeEl) welcomeEl.textContent = 'Welcome, ' + (profile.name || 'Guest');
+    // A view in the URL (a shared or bookmarked link) takes precedence over the saved one
+    applyView(viewFromURL());
+    // Restore the saved granularity before the first draw
+    const granularitySelect = document.getElementById('granularity-select');
+    const savedGranularity = loadViewSetting('dashboard.granularity');
+    if(granularitySelect && RadiusAnalytics.GRANULARITIES.includes(savedGranularity)) granularitySelect.value = savedGranularity;
+    try{
+      const savedForecast = JSON.parse(localStorage.getItem('dashboard.forecast') || 'null');
+      if(savedForecast){
+        document.getElementById('forecast-toggle').checked = !!savedForecast.enabled;
+        if(RadiusForecast.METHODS.includes(savedForecast.method)) document.getElementById('forecast-method').value = savedForecast.method;
+        if(savedForecast.horizon) document.getElementById('forecast-horizon').value = savedForecast.horizon;
+      }
+    }catch(e){}
+    const savedTolerance = localStorage.getItem('dashboard.recurringTolerance');
+    const toleranceOption = savedTolerance && document.querySelector('#recurring-tolerance option[value="' + savedTolerance + '"]');
+    if(toleranceOption) document.getElementById('recurring-tolerance').value = savedTolerance;
+    initCohortControls(profile);
+    initBenchmarkControls(profile);
+    initInflationControls(profile);
+    // Send local changes still queued from an earlier visit, then draw chart for the logged-in user
+    const synced = RadiusAPI.cachedAt(profile) ? Promise.resolve(false) : syncLocalChanges(profile, true);
+    synced.then(changed => {
+      if(changed) RadiusData.clear();
+      drawChartForUser(profile.id);
+    });
+    initTransactionForm(profile);
+    initImportWizard(profile);
+    initExportMenu(profile);
+    initBudgetEditor(profile);
+    initGoalEditor(profile);
+    const openingInput = document.getElementById('opening-balance');
+    if(openingInput){
+      openingInput.addEventListener('change', ()=>{
+        const v = Number(openingInput.value);
+        if(openingInput.value === '' || !Number.isFinite(v)) localStorage.removeItem(openingBalanceKey(profile.id));
+        else localStorage.setItem(openingBalanceKey(profile.id), String(Math.round(v * 100) / 100));
+        drawChartForUser(profile.id);
+      });
+    }
+
+    // Listen for purchase type checkbox changes
+    document.getElementById('purchase-type-select').addEventListener('change', ()=>{
+      drawChartForUser(profile.id);
+    });
+    if(granularitySelect){
+      granularitySelect.addEventListener('change', ()=>{
+        try{ storeViewSetting('dashboard.granularity', granularitySelect.value); }catch(e){}
+        drawChartForUser(profile.id);
+      });
+    }
+    const toleranceSelect = document.getElementById('recurring-tolerance');
+    if(toleranceSelect){
+      toleranceSelect.addEventListener('change', ()=>{
+        try{ localStorage.setItem('dashboard.recurringTolerance', toleranceSelect.value); }catch(e){}
+        drawChartForUser(profile.id);
+      });
+    }
+    // Back/forward: show the view of that history entry
+    window.addEventListener('popstate', ()=>{
+      const view = viewFromURL();
+      applyView(view);
+      showView(view);
+      viewRestoring = true;
+      drawChartForUser(profile.id);
+    });
+    ['forecast-toggle', 'forecast-method', 'forecast-horizon'].forEach(id => {
+      const el = document.getElementById(id);
+      if(!el) return;
+      el.addEventListener('change', ()=>{
+        try{ localStorage.setItem('dashboard.forecast', JSON.stringify(getForecastSettings())); }catch(e){}
+        drawChartForUser(profile.id);
+      });
+    });
+  }).catch(err => {
+    // 401s are handled by onSessionEnd; anything else is shown in the status line
+    if(err instanceof RadiusAPI.ApiError && err.status === 401) return;
+    console.error(err);
+    const status = document.getElementById('chart-status');
+    if(status) status.textContent = 'Failed to load data: ' + err.message;
   });
 });
 
@@ -497,13 +563,13 @@ function renderPurchaseTypeCheckboxes(types){
   // Helper: load/save selection to localStorage
   function loadSavedTypes(){
     try{
-      const s = localStorage.getItem('dashboard.selectedPurchaseTypes');
+      const s = loadViewSetting('dashboard.selectedPurchaseTypes');
       if(!s) return null;
       return JSON.parse(s);
     }catch(e){ return null; }
   }
   function saveSelectedTypes(arr){
-    try{ localStorage.setItem('dashboard.selectedPurchaseTypes', JSON.stringify(arr || [])); }catch(e){}
+    try{ storeViewSetting('dashboard.selectedPurchaseTypes', JSON.stringify(arr || [])); }catch(e){}
   }
 
   // NOTE: controls will be created and appended after checkboxes are rendered so
@@ -582,188 +648,1761 @@ function renderPurchaseTypeCheckboxes(types){
   }
 }
 
+// Chart granularity from the Group by control ('day' | 'week' | 'month' | 'quarter')
+function getSelectedGranularity(){
+  const select = document.getElementById('granularity-select');
+  return select && RadiusAnalytics.GRANULARITIES.includes(select.value) ? select.value : 'week';
+}
+
+// Comparison cohorts, keyed 'state:<name>', 'region:<name>', 'income:<bracket id>' or 'national'.
+// The selected cohort drives the average line, the percentile bands, the summary and the forecast;
+// overlay cohorts add one average line each. Their wording comes from describeCohort (report.js).
+const COHORT_COLORS = ['#2a9d9a', '#8e5cb5', '#c25b8f', '#4c9a5b', '#e68c14', '#7a7a7a'];
+
+// The user's own cohorts first (state, region, everyone, income bracket), then the other states and regions
+function cohortChoices(profile){
+  const own = [];
+  if(profile.location) own.push({ key: 'state:' + profile.location, text: `${profile.location} (your state)` });
+  const region = stateToRegion(profile.location);
+  if(REGION_NAMES.includes(region)) own.push({ key: 'region:' + region, text: `${region} (your region)` });
+  own.push({ key: 'national', text: 'All users (national)' });
+  const bracket = RadiusAnalytics.incomeBracket(profile.income_yearly);
+  if(bracket) own.push({ key: 'income:' + bracket.id, text: `${bracket.label} (your income bracket)` });
+  const other = (profile.states || []).filter(s => s !== profile.location).map(s => ({ key: 'state:' + s, text: s }))
+    .concat(REGION_NAMES.filter(r => r !== region).map(r => ({ key: 'region:' + r, text: r + ' (region)' })));
+  return { own, other };
+}
+
+// Fill the cohort select and the overlay checkboxes, restoring the saved choices
+function initCohortControls(profile){
+  const select = document.getElementById('cohort-select');
+  const overlays = document.getElementById('cohort-overlays');
+  if(!select || !overlays || select.dataset.listenerAdded) return;
+  const { own, other } = cohortChoices(profile);
+  for(const [label, list] of [['Your cohorts', own], ['Other cohorts', other]]){
+    if(list.length === 0) continue;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for(const c of list){
+      const opt = document.createElement('option');
+      opt.value = c.key;
+      opt.textContent = c.text;
+      group.appendChild(opt);
+    }
+    select.appendChild(group);
+  }
+  const saved = loadViewSetting('dashboard.cohort');
+  if(saved && own.concat(other).some(c => c.key === saved)) select.value = saved;
+  let savedOverlays = [];
+  try{ savedOverlays = JSON.parse(loadViewSetting('dashboard.cohortOverlays') || '[]'); }catch(e){}
+  for(const c of own.concat(other)){
+    const label = document.createElement('label');
+    label.className = 'cohort-overlay';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = c.key;
+    cb.checked = savedOverlays.includes(c.key);
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(c.text));
+    overlays.appendChild(label);
+  }
+  select.addEventListener('change', ()=>{
+    try{ storeViewSetting('dashboard.cohort', select.value); }catch(e){}
+    drawChartForUser(profile.id);
+  });
+  overlays.addEventListener('change', ()=>{
+    try{ storeViewSetting('dashboard.cohortOverlays', JSON.stringify(getCohortOverlays())); }catch(e){}
+    drawChartForUser(profile.id);
+  });
+  select.dataset.listenerAdded = '1';
+}
+
+function getSelectedCohort(profile){
+  const select = document.getElementById('cohort-select');
+  return describeCohort(select && select.value ? select.value : 'state:' + profile.location);
+}
+
+// Overlay cohort keys, without the selected cohort itself
+function getCohortOverlays(){
+  const container = document.getElementById('cohort-overlays');
+  const select = document.getElementById('cohort-select');
+  if(!container) return [];
+  return Array.from(container.querySelectorAll('input[type=checkbox]:checked')).map(cb => cb.value).filter(k => !select || k !== select.value);
+}
+
+// Benchmark tables (benchmarks.js): the registry and each table's items are fetched once per page
+let benchmarkRegistry = null;
+const benchmarkItems = new Map();
+
+function loadBenchmarkRegistry(){
+  if(!benchmarkRegistry){
+    benchmarkRegistry = fetchText(RadiusBenchmarks.REGISTRY_PATH).then(text => {
+      const { tables, cpi, errors } = RadiusBenchmarks.parseRegistry(JSON.parse(text));
+      if(errors.length) console.warn(RadiusBenchmarks.REGISTRY_PATH + ': ' + errors.join('; '));
+      return { tables, cpi };
+    });
+    // Try again on the next draw rather than keeping the failure
+    benchmarkRegistry.catch(() => { benchmarkRegistry = null; });
+  }
+  return benchmarkRegistry;
+}
+
+function loadBenchmarkItems(table){
+  if(!benchmarkItems.has(table.id)){
+    const loading = fetchText(table.file).then(text => {
+      const { items, errors } = RadiusBenchmarks.parseBenchmarkTable(text, table);
+      if(errors.length) console.warn(table.file + ': ' + RadiusCSV.describeErrors(errors, errors.length));
+      return items;
+    });
+    loading.catch(() => benchmarkItems.delete(table.id));
+    benchmarkItems.set(table.id, loading);
+  }
+  return benchmarkItems.get(table.id);
+}
+
+// The table picked in #benchmark-table, else the saved choice, else the first one listed
+function getSelectedBenchmarkTable(tables){
+  const select = document.getElementById('benchmark-table');
+  const id = (select && select.value) || loadViewSetting('dashboard.benchmarkTable');
+  return tables.find(t => t.id === id) || tables[0] || null;
+}
+
+// Redraws the mapping editor for the selected table once initBenchmarkControls has run
+let refreshBenchmarkMapping = () => {};
+
+async function initBenchmarkControls(profile){
+  const select = document.getElementById('benchmark-table');
+  const list = document.getElementById('benchmark-mapping');
+  const resetBtn = document.getElementById('benchmark-reset');
+  if(!select || !list || select.dataset.listenerAdded) return;
+  select.dataset.listenerAdded = '1';
+  let tables;
+  try{
+    tables = (await loadBenchmarkRegistry()).tables;
+  }catch(e){
+    console.warn('Benchmark registry not available', e);
+    renderBenchmarkNote('No benchmark tables could be loaded.');
+    return;
+  }
+  const current = getSelectedBenchmarkTable(tables);
+  for(const t of tables){
+    const opt = document.createElement('option');
+    opt.value = t.id;
+    opt.textContent = t.label;
+    select.appendChild(opt);
+  }
+  if(current) select.value = current.id;
+  const refresh = async () => {
+    const table = getSelectedBenchmarkTable(tables);
+    if(!table) return renderBenchmarkNote('No benchmark tables are listed in ' + RadiusBenchmarks.REGISTRY_PATH + '.');
+    try{
+      renderBenchmarkMapping(table, await loadBenchmarkItems(table), RadiusBenchmarks.loadMapping(table, localStorage), profile.purchaseTypes || []);
+    }catch(e){
+      console.warn('Benchmark table not available', e);
+      list.innerHTML = '';
+      renderBenchmarkNote(`Could not load ${table.file}.`);
+    }
+  };
+  refreshBenchmarkMapping = refresh;
+  select.addEventListener('change', ()=>{
+    try{ storeViewSetting('dashboard.benchmarkTable', select.value); }catch(e){}
+    refresh();
+    drawChartForUser(profile.id);
+  });
+  list.addEventListener('change', ev => {
+    const type = ev.target && ev.target.dataset.type;
+    const table = getSelectedBenchmarkTable(tables);
+    if(!type || !table) return;
+    const mapping = RadiusBenchmarks.loadMapping(table, localStorage);
+    mapping[type] = ev.target.value;
+    try{ RadiusBenchmarks.saveMapping(table, mapping, localStorage); }catch(e){}
+    refresh();
+    drawChartForUser(profile.id);
+  });
+  if(resetBtn){
+    resetBtn.addEventListener('click', ()=>{
+      const table = getSelectedBenchmarkTable(tables);
+      if(!table) return;
+      try{ RadiusBenchmarks.resetMapping(table, localStorage); }catch(e){}
+      refresh();
+      drawChartForUser(profile.id);
+    });
+  }
+  refresh();
+}
+
+// One row per purchase type with the benchmark item it is compared with, plus a note listing the
+// types left unmatched
+function renderBenchmarkMapping(table, items, mapping, purchaseTypes){
+  const list = document.getElementById('benchmark-mapping');
+  if(!list) return;
+  list.innerHTML = '';
+  for(const type of purchaseTypes){
+    const li = document.createElement('li');
+    li.className = 'benchmark-map-row';
+    const label = document.createElement('label');
+    label.textContent = type;
+    const sel = document.createElement('select');
+    sel.dataset.type = type;
+    sel.id = 'benchmark-map-' + type.replace(/[^\w-]+/g, '-');
+    label.htmlFor = sel.id;
+    const options = [['', 'Not compared']].concat(Array.from(items.keys()).map(item => [item, item]));
+    // A saved item the table no longer has stays visible so the user sees what is unmatched
+    if(mapping[type] && !items.has(mapping[type])) options.push([mapping[type], mapping[type] + ' (not in this table)']);
+    for(const [value, text] of options){
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      sel.appendChild(opt);
+    }
+    sel.value = mapping[type] || '';
+    li.appendChild(label);
+    li.appendChild(sel);
+    list.appendChild(li);
+  }
+  const { unmatched } = RadiusBenchmarks.benchmarkWeekly(items, mapping, purchaseTypes, RadiusBenchmarks.FALLBACK_REGION);
+  renderBenchmarkNote(unmatched.length ? `Not mapped to a ${table.label} item: ${unmatched.join(', ')}. Left out of the benchmark line.` : '');
+}
+
+function renderBenchmarkNote(text){
+  const note = document.getElementById('benchmark-unmatched');
+  if(!note) return;
+  note.textContent = text;
+  note.classList.toggle('hidden', !text);
+}
+
+// Bundled CPI table named by the benchmark registry (inflation.js), fetched once per page
+let cpiTable = null;
+
+function loadCPI(){
+  if(!cpiTable){
+    cpiTable = loadBenchmarkRegistry().then(({ cpi }) => {
+      if(!cpi) throw new Error('No CPI table in ' + RadiusBenchmarks.REGISTRY_PATH);
+      return fetchText(cpi.file).then(text => {
+        const parsed = RadiusInflation.parseCPITable(text);
+        if(parsed.errors.length) console.warn(cpi.file + ': ' + RadiusCSV.describeErrors(parsed.errors, parsed.errors.length));
+        return parsed.cpi;
+      });
+    });
+    cpiTable.catch(() => { cpiTable = null; });
+  }
+  return cpiTable;
+}
+
+// Saved constant-dollar settings: { real, baseYear }
+function loadInflationSettings(){
+  try{ return JSON.parse(loadViewSetting('dashboard.inflation') || '{}') || {}; }catch(e){ return {}; }
+}
+
+function initInflationControls(profile){
+  const toggle = document.getElementById('real-toggle');
+  const yearSelect = document.getElementById('cpi-base-year');
+  if(!toggle || !yearSelect || toggle.dataset.listenerAdded) return;
+  toggle.dataset.listenerAdded = '1';
+  const saved = loadInflationSettings();
+  toggle.checked = !!saved.real;
+  loadCPI().then(cpi => {
+    const years = RadiusInflation.baseYears(cpi);
+    for(const y of years){
+      const opt = document.createElement('option');
+      opt.value = String(y);
+      opt.textContent = String(y);
+      yearSelect.appendChild(opt);
+    }
+    yearSelect.value = years.includes(Number(saved.baseYear)) ? String(saved.baseYear) : String(years[years.length - 1]);
+  }).catch(e => {
+    console.warn('CPI table not available', e);
+    toggle.checked = false;
+    toggle.disabled = true;
+    yearSelect.disabled = true;
+    toggle.parentNode.title = 'The CPI table could not be loaded';
+  });
+  [toggle, yearSelect].forEach(el => el.addEventListener('change', ()=>{
+    try{ storeViewSetting('dashboard.inflation', JSON.stringify({ real: toggle.checked, baseYear: Number(yearSelect.value) || null })); }catch(e){}
+    drawChartForUser(profile.id);
+  }));
+}
+
+// { cpi, baseYear } when the chart should show constant dollars, otherwise null
+async function getInflationAdjustment(){
+  const toggle = document.getElementById('real-toggle');
+  if(!toggle || !toggle.checked) return null;
+  try{
+    const cpi = await loadCPI();
+    const years = RadiusInflation.baseYears(cpi);
+    const yearSelect = document.getElementById('cpi-base-year');
+    const chosen = Number(yearSelect && yearSelect.value);
+    const baseYear = years.includes(chosen) ? chosen : years[years.length - 1];
+    return baseYear ? { cpi, baseYear } : null;
+  }catch(e){
+    console.warn('CPI table not available; showing nominal amounts', e);
+    return null;
+  }
+}
+
+// Copy of a benchmark response with its per-period means and percentiles in base-year dollars
+function deflateBenchmark(benchmark, periods, inflation){
+  if(!benchmark) return benchmark;
+  const deflate = values => RadiusInflation.deflateSeries(values, periods, inflation.cpi, inflation.baseYear);
+  const out = Object.assign({}, benchmark, { average: deflate(benchmark.average) });
+  if(benchmark.percentiles){
+    out.percentiles = {};
+    for(const [k, values] of Object.entries(benchmark.percentiles)) out.percentiles[k] = deflate(values);
+  }
+  if(benchmark.byType){
+    out.byType = {};
+    for(const [t, values] of Object.entries(benchmark.byType)) out.byType[t] = deflate(values);
+  }
+  return out;
+}
+
 function getSelectedPurchaseTypes(){
   const container = document.getElementById('purchase-type-select');
   if(!container) return [];
   return Array.from(container.querySelectorAll('input[type=checkbox]:checked')).map(cb => cb.value);
 }
 
-// Compute simple statistics and render a brief bullet list under the controls
-function renderChartSummary(rows, userId, weeks, selectedTypes, state){
-  const summaryEl = document.getElementById('chart-summary');
-  const listEl = document.getElementById('chart-summary-list');
-  if(!summaryEl || !listEl) return;
-  listEl.innerHTML = '';
-  if(!selectedTypes || selectedTypes.length === 0){
-    summaryEl.style.display = 'none';
-    return;
+// Row currently loaded into the transaction form for editing (null when adding a new one)
+let editingTxRow = null;
+
+function setTransactionFormMode(row){
+  editingTxRow = row;
+  const saveBtn = document.getElementById('tx-save');
+  const cancelBtn = document.getElementById('tx-cancel');
+  const errorEl = document.getElementById('tx-form-error');
+  if(saveBtn) saveBtn.textContent = row ? 'Save changes' : 'Add';
+  if(cancelBtn) cancelBtn.classList.toggle('hidden', !row);
+  if(errorEl) errorEl.textContent = '';
+  document.getElementById('tx-amount').value = row ? row.purchase_amount : '';
+  document.getElementById('tx-date').value = row ? row.purchase_date : '';
+  document.getElementById('tx-note').value = row ? (row.note || '') : '';
+  if(row) document.getElementById('tx-type').value = row.purchase_type;
+}
+
+// Wire the add/edit form. Saved changes go to the local store and the whole dashboard redraws.
+function initTransactionForm(profile){
+  const form = document.getElementById('tx-form');
+  if(!form || form.dataset.listenerAdded) return;
+  const typeSelect = document.getElementById('tx-type');
+  for(const type of profile.purchaseTypes || []){
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = type;
+    typeSelect.appendChild(opt);
   }
+  form.addEventListener('submit', async (ev)=>{
+    ev.preventDefault();
+    const fields = {
+      purchase_amount: document.getElementById('tx-amount').value,
+      purchase_date: document.getElementById('tx-date').value,
+      purchase_type: typeSelect.value,
+      note: document.getElementById('tx-note').value
+    };
+    try{
+      if(editingTxRow) await RadiusTxStore.update(profile.id, editingTxRow, fields);
+      else await RadiusTxStore.add(profile.id, fields);
+    }catch(err){
+      document.getElementById('tx-form-error').textContent = err.message;
+      return;
+    }
+    setTransactionFormMode(null);
+    changedLocally(profile);
+  });
+  document.getElementById('tx-cancel').addEventListener('click', ()=> setTransactionFormMode(null));
+  form.dataset.listenerAdded = '1';
+}
 
-  // Compute total spent per month (use selected types if provided, otherwise all types)
-  const typeFilter = (selectedTypes && selectedTypes.length > 0) ? new Set(selectedTypes) : null;
-  const userTotalsMap = new Map(); // week -> total for user
-  const stateUserWeek = new Map(); // userId -> Map(week->sum) for state (reuse name later)
-  for(const r of rows){
-    // skip rows not in selected types when a filter is active
-    if(typeFilter && !typeFilter.has(r.purchase_type)) continue;
-    const week = weekStartISO(r.purchase_date);
-    const amt = Number(r.purchase_amount) || 0;
-    if(r.id === String(userId)){
-      userTotalsMap.set(week, (userTotalsMap.get(week) || 0) + amt);
-    }
-    if(r.location === state){
-      if(!stateUserWeek.has(r.id)) stateUserWeek.set(r.id, new Map());
-      const wm = stateUserWeek.get(r.id);
-      wm.set(week, (wm.get(week) || 0) + amt);
-    }
-  }
-  // Sum across the requested weeks
-  const totalUserWeeks = weeks.reduce((acc,w)=> acc + (userTotalsMap.get(w) || 0), 0);
-  const userMonthly = weeks.length ? (totalUserWeeks / weeks.length) * 4.345 : 0; // 4.345 weeks/month
-  // compute state per-week mean then monthly
-  const perWeekStateMeans = weeks.map(w => {
-    let sum = 0, count = 0;
-    for(const [uid, wm] of stateUserWeek.entries()){
-      sum += (wm.get(w) || 0);
-      count++;
-    }
-    return count === 0 ? 0 : (sum / count);
+// Statement import wizard (importer.js): read an OFX/QFX or CSV file, map CSV columns, review the
+// categorised purchases with duplicates unticked, then store the ticked ones as local entries.
+const importState = { profile: null, kind: null, parsed: null, candidates: [] };
+
+function initImportWizard(profile){
+  const fileInput = document.getElementById('import-file');
+  if(!fileInput || fileInput.dataset.listenerAdded) return;
+  importState.profile = profile;
+  const rulesInput = document.getElementById('import-rules');
+  const rulesError = document.getElementById('import-rules-error');
+  rulesInput.value = RadiusImport.rulesToText(RadiusImport.loadRules(profile.id, localStorage));
+
+  fileInput.addEventListener('change', async ()=>{
+    const file = fileInput.files && fileInput.files[0];
+    if(!file) return;
+    try{
+      loadImportFile(file.name, await file.text());
+    }catch(err){
+      document.getElementById('import-error').textContent = 'Could not read ' + file.name + ': ' + err.message;
+    }
   });
-  const avgStatePerWeek = weeks.length ? (perWeekStateMeans.reduce((a,b)=>a+b,0) / weeks.length) : 0;
-  const stateMonthly = avgStatePerWeek * 4.345;
-
-  // Compare using percent difference and 10% threshold
-  function fmtPct(p){
-    if(p === null || !Number.isFinite(p)) return 'N/A';
-    return (p >= 0 ? '+' : '') + p.toFixed(1) + '%';
-  }
-  const totalPct = (stateMonthly === 0) ? null : ((userMonthly - stateMonthly) / stateMonthly) * 100;
-  let totalLabel;
-  if(stateMonthly === 0 && userMonthly === 0) totalLabel = 'No spending in the selected categories for both you and the state.';
-  else if(stateMonthly === 0 && userMonthly > 0) totalLabel = 'You spend in the selected categories while the state average is zero.';
-  else if(userMonthly === 0 && stateMonthly > 0) totalLabel = 'You spend significantly less (zero) than the state average.';
-  else {
-    const absPct = Math.abs(totalPct || 0);
-    if(absPct > 10) totalLabel = (totalPct > 0) ? 'Higher than the state average.' : 'Lower than the state average.';
-    else totalLabel = 'Similar to the state average.';
-  }
-  const totalLi = document.createElement('li');
-  totalLi.style.marginBottom = '8px';
-  const labelText = typeFilter ? 'Total of selected categories per month:' : 'Total (all types) per month:';
-  totalLi.textContent = `${labelText} ${totalLabel} (You: ${formatMoney(userMonthly)}, State: ${formatMoney(stateMonthly)}, ${fmtPct(totalPct)})`;
-  listEl.appendChild(totalLi);
-
-  // For each selected type, compute user's mean weekly spending and state's mean weekly spending
-  for(const type of selectedTypes){
-    // user weekly totals for this type across weeks
-    const userTotals = new Map(); // week -> total
-    const stateUserWeek = new Map(); // userId -> Map(week->sum) for state
-    for(const r of rows){
-      if(r.purchase_type !== type) continue;
-      const week = weekStartISO(r.purchase_date);
-      const amt = Number(r.purchase_amount) || 0;
-      if(r.id === String(userId)){
-        userTotals.set(week, (userTotals.get(week)||0) + amt);
-      }
-      if(r.location === state){
-        if(!stateUserWeek.has(r.id)) stateUserWeek.set(r.id, new Map());
-        const wm = stateUserWeek.get(r.id);
-        wm.set(week, (wm.get(week)||0) + amt);
-      }
+  ['import-col-date', 'import-date-format', 'import-col-amount', 'import-col-description', 'import-positive'].forEach(id => {
+    document.getElementById(id).addEventListener('change', ()=> refreshImportPreview());
+  });
+  document.getElementById('import-tbody').addEventListener('change', ev => {
+    const tr = ev.target.closest('tr');
+    const c = tr && importState.candidates[Number(tr.dataset.index)];
+    if(!c) return;
+    if(ev.target.type === 'checkbox') c.include = ev.target.checked;
+    else if(ev.target.tagName === 'SELECT'){
+      c.type = ev.target.value || null;
+      c.include = !!c.type && !c.duplicate;
+      tr.querySelector('input[type=checkbox]').checked = c.include;
     }
-    // Align to the weeks array: compute mean per-week for user and state
-    const userWeekValues = weeks.map(w => Number((userTotals.get(w) || 0).toFixed(2)));
-    const userMean = userWeekValues.reduce((a,b)=>a+b,0) / (weeks.length || 1);
+    updateImportButton();
+  });
+  document.getElementById('import-confirm').addEventListener('click', ()=> confirmImport());
+  document.getElementById('import-cancel').addEventListener('click', ()=> resetImportWizard(''));
+  document.getElementById('import-rules-save').addEventListener('click', ()=>{
+    try{
+      const rules = RadiusImport.parseRulesText(rulesInput.value, profile.purchaseTypes || []);
+      RadiusImport.saveRules(profile.id, rules, localStorage);
+      rulesError.textContent = '';
+    }catch(err){
+      rulesError.textContent = err.message;
+      return;
+    }
+    refreshImportPreview();
+  });
+  document.getElementById('import-rules-reset').addEventListener('click', ()=>{
+    try{ RadiusImport.resetRules(profile.id, localStorage); }catch(e){}
+    rulesInput.value = RadiusImport.rulesToText(RadiusImport.loadRules(profile.id, localStorage));
+    rulesError.textContent = '';
+    refreshImportPreview();
+  });
+  fileInput.dataset.listenerAdded = '1';
+}
 
-    // state mean: for each week compute average across users in that state, then average across weeks
-    const perWeekStateMeans = weeks.map(w => {
-      let sum = 0, count = 0;
-      for(const [uid, wm] of stateUserWeek.entries()){
-        sum += (wm.get(w) || 0);
-        count++;
+function loadImportFile(name, text){
+  const isOFX = /\.(ofx|qfx)$/i.test(name) || /<OFX>/i.test(text);
+  importState.kind = isOFX ? 'ofx' : 'csv';
+  importState.parsed = isOFX ? RadiusImport.parseOFX(text) : RadiusImport.readCSVStatement(text);
+  const mappingEl = document.getElementById('import-mapping');
+  mappingEl.classList.toggle('hidden', isOFX);
+  if(!isOFX){
+    const header = importState.parsed.header;
+    const guess = RadiusImport.guessColumnMapping(header);
+    for(const [id, key, optional] of [['import-col-date', 'date', false], ['import-col-amount', 'amount', false], ['import-col-description', 'description', true]]){
+      const select = document.getElementById(id);
+      select.innerHTML = '';
+      const choices = (optional ? [['', '(none)']] : [['', 'Choose a column']]).concat(header.map(h => [h, h]));
+      for(const [value, text] of choices){
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        select.appendChild(opt);
       }
-      return count === 0 ? 0 : (sum / count);
+      select.value = guess[key];
+    }
+    document.getElementById('import-date-format').value = 'auto';
+  }
+  refreshImportPreview();
+}
+
+// Statement lines -> categorised purchase candidates, checked against the rows already recorded
+async function refreshImportPreview(){
+  const { profile, parsed, kind } = importState;
+  if(!parsed) return;
+  const errorEl = document.getElementById('import-error');
+  const statusEl = document.getElementById('import-status');
+  let result = parsed;
+  if(kind === 'csv'){
+    result = RadiusImport.mapCSVRows(parsed, {
+      date: document.getElementById('import-col-date').value,
+      amount: document.getElementById('import-col-amount').value,
+      description: document.getElementById('import-col-description').value,
+      dateFormat: document.getElementById('import-date-format').value
+    });
+  }
+  errorEl.textContent = result.errors.length ? RadiusCSV.describeErrors(result.errors, 3) : '';
+  const { purchases, skipped } = RadiusImport.toPurchases(result.lines, document.getElementById('import-positive').checked);
+  const rules = RadiusImport.loadRules(profile.id, localStorage);
+  let existing = [];
+  if(purchases.length){
+    const dates = purchases.map(p => p.date).sort();
+    const filter = { from: dates[0], to: dates[dates.length - 1] };
+    try{
+      const [tx, records] = await Promise.all([RadiusData.transactions(profile.id, filter), RadiusTxStore.list(profile.id)]);
+      existing = RadiusTxStore.applyOverlay(tx.transactions, records, filter);
+    }catch(err){
+      console.warn('Could not load existing transactions for duplicate detection', err);
+      errorEl.textContent = 'Could not check for duplicates: ' + err.message;
+    }
+  }
+  importState.candidates = RadiusImport.markDuplicates(purchases, existing).map(p => {
+    const type = RadiusImport.categorize(p.description, rules);
+    return Object.assign(p, { type, include: !!type && !p.duplicate });
+  });
+  const dupes = importState.candidates.filter(c => c.duplicate).length;
+  const uncategorized = importState.candidates.filter(c => !c.type).length;
+  statusEl.textContent = `${purchases.length} purchase${purchases.length === 1 ? '' : 's'} found` +
+    (dupes ? `, ${dupes} already recorded or repeated` : '') +
+    (uncategorized ? `, ${uncategorized} without a category` : '') +
+    (skipped ? `; ${skipped} credit${skipped === 1 ? '' : 's'} skipped` : '') + '.';
+  renderImportPreview();
+}
+
+function renderImportPreview(){
+  const tbody = document.getElementById('import-tbody');
+  const types = (importState.profile && importState.profile.purchaseTypes) || [];
+  tbody.innerHTML = '';
+  importState.candidates.forEach((c, i) => {
+    const tr = document.createElement('tr');
+    tr.dataset.index = String(i);
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = c.include;
+    check.setAttribute('aria-label', 'Import this purchase');
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Category');
+    for(const [value, text] of [['', 'Choose…']].concat(types.map(t => [t, t]))){
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    }
+    select.value = c.type || '';
+    const status = c.duplicate === 'existing' ? 'Already recorded' : c.duplicate === 'file' ? 'Repeated in file' : c.type ? 'New' : 'Needs a category';
+    const badge = c.duplicate ? Object.assign(document.createElement('span'), { className: 'tx-badge tx-badge-unusual', textContent: status }) : status;
+    [check, c.date, c.description, formatMoney(c.amount), select, badge].forEach((content, col) => {
+      const td = document.createElement('td');
+      if(col === 3) td.className = 'num';
+      if(typeof content === 'string') td.textContent = content;
+      else td.appendChild(content);
+      tr.appendChild(td);
     });
-    const stateMean = perWeekStateMeans.reduce((a,b)=>a+b,0) / (weeks.length || 1);
+    tbody.appendChild(tr);
+  });
+  document.getElementById('import-preview').classList.toggle('hidden', importState.candidates.length === 0);
+  updateImportButton();
+}
+
+function updateImportButton(){
+  const btn = document.getElementById('import-confirm');
+  const n = importState.candidates.filter(c => c.include).length;
+  btn.textContent = `Import ${n} transaction${n === 1 ? '' : 's'}`;
+  btn.disabled = n === 0;
+}
+
+async function confirmImport(){
+  const { profile } = importState;
+  const chosen = importState.candidates.filter(c => c.include);
+  const errorEl = document.getElementById('import-error');
+  const missing = chosen.filter(c => !c.type);
+  if(missing.length){
+    errorEl.textContent = `Choose a category for ${missing.length} ticked purchase${missing.length === 1 ? '' : 's'} first.`;
+    return;
+  }
+  try{
+    await RadiusTxStore.addMany(profile.id, chosen.map(c => ({ purchase_amount: c.amount, purchase_date: c.date, purchase_type: c.type, note: c.description })));
+  }catch(err){
+    errorEl.textContent = err.message;
+    return;
+  }
+  // Widen a saved chart range that would hide the imported purchases
+  const dates = chosen.map(c => c.date).sort();
+  const start = loadViewSetting('dashboard.rangeStart');
+  const end = loadViewSetting('dashboard.rangeEnd');
+  try{
+    if(start && dates[0] < start) storeViewSetting('dashboard.rangeStart', dates[0]);
+    if(end && dates[dates.length - 1] > end) storeViewSetting('dashboard.rangeEnd', dates[dates.length - 1]);
+  }catch(e){}
+  resetImportWizard(`Imported ${chosen.length} transaction${chosen.length === 1 ? '' : 's'}.`);
+  changedLocally(profile);
+}
+
+function resetImportWizard(message){
+  importState.kind = null;
+  importState.parsed = null;
+  importState.candidates = [];
+  document.getElementById('import-file').value = '';
+  document.getElementById('import-mapping').classList.add('hidden');
+  document.getElementById('import-preview').classList.add('hidden');
+  document.getElementById('import-tbody').innerHTML = '';
+  document.getElementById('import-error').textContent = '';
+  document.getElementById('import-status').textContent = message;
+}
+
+// Export menu (exporter.js): files built from the latest chart draw, i.e. the current date range,
+// granularity and type selection
+let lastChartView = null;
+
+function initExportMenu(profile){
+  const menu = document.getElementById('export-menu');
+  if(!menu || menu.dataset.listenerAdded) return;
+  menu.addEventListener('click', ev => {
+    const btn = ev.target.closest('button[data-export]');
+    if(!btn) return;
+    try{
+      runExport(btn.dataset.export, profile);
+      menu.open = false;
+    }catch(err){
+      console.error(err);
+      document.getElementById('export-status').textContent = 'Export failed: ' + err.message;
+    }
+  });
+  menu.dataset.listenerAdded = '1';
+}
+
+function runExport(kind, profile){
+  const statusEl = document.getElementById('export-status');
+  const view = lastChartView;
+  const chart = window._dashboardChart;
+  if(!view || !chart){
+    statusEl.textContent = 'Nothing to export until the chart has loaded.';
+    return;
+  }
+  statusEl.textContent = '';
+  const meta = { user: { id: profile.id, name: profile.name }, from: view.from, to: view.to, types: view.types };
+  if(view.baseYear) meta.baseYear = view.baseYear;
+  const name = (what, ext) => RadiusExport.exportFileName(what, view.from, view.to, ext);
+  // Transactions as recorded (nominal), cut to the picked dates: the chart's periods may start
+  // before or end after them
+  const rows = txTable.rows.filter(r => r.purchase_date >= view.from && r.purchase_date <= view.to);
+  if(kind === 'transactions-csv') return downloadFile(name('transactions', 'csv'), RadiusExport.transactionsCSV(rows), 'text/csv');
+  if(kind === 'transactions-json') return downloadFile(name('transactions', 'json'), RadiusExport.transactionsJSON(rows, meta), 'application/json');
+  const datasets = chart.data.datasets;
+  if(kind === 'series-csv') return downloadFile(name('series-' + view.granularity, 'csv'), RadiusExport.seriesCSV(view.periods, datasets), 'text/csv');
+  if(kind === 'series-json') return downloadFile(name('series-' + view.granularity, 'json'), RadiusExport.seriesJSON(view.periods, datasets, Object.assign({ granularity: view.granularity, cohort: view.cohort }, meta)), 'application/json');
+  if(kind === 'report'){
+    const textOf = selector => Array.from(document.querySelectorAll(selector)).map(el => el.textContent.trim()).filter(Boolean);
+    const chartStatus = document.getElementById('chart-status');
+    const html = RadiusExport.reportHTML({
+      title: 'Radius Finance — spending report',
+      user: profile.name,
+      from: view.from,
+      to: view.to,
+      types: view.types,
+      balance: document.getElementById('balance-amount').textContent,
+      heading: document.getElementById('chart-heading').textContent,
+      chartImage: chart.toBase64Image(),
+      summary: textOf('#chart-summary-list li'),
+      notes: textOf('#budget-progress .budget-label').concat(chartStatus && chartStatus.textContent ? [chartStatus.textContent] : [])
+    });
+    const win = window.open('', '_blank');
+    if(!win){
+      statusEl.textContent = 'Allow pop-ups for this page to open the printable report.';
+      return;
+    }
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+  }
+}
+
+function downloadFile(fileName, text, type){
+  const url = URL.createObjectURL(new Blob([text], { type: type + ';charset=utf-8' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Deep links (viewstate.js): the view is kept in the page URL as well as in localStorage. The URL
+// wins when the page opens and on back/forward; every draw writes the view back, adding a history
+// entry when a control changed it.
+let viewRestoring = true; // the next draw replaces the history entry instead of adding one
+
+// A view from the URL holds for this page only, over the saved settings, so opening someone
+// else's link does not replace the recipient's own view. The first control the user changes
+// saves the whole view on screen.
+let viewOverrides = null; // Map of localStorage key -> value, or null
+
+function viewFromURL(){
+  return RadiusViewState.parseViewQuery(window.location.search);
+}
+
+function loadViewSetting(key){
+  if(viewOverrides && viewOverrides.has(key)) return viewOverrides.get(key);
+  try{ return localStorage.getItem(key); }catch(e){ return null; }
+}
+
+function storeViewSetting(key, value){
+  try{
+    if(viewOverrides){
+      for(const [k, v] of viewOverrides) localStorage.setItem(k, v);
+      viewOverrides = null;
+    }
+    localStorage.setItem(key, value);
+  }catch(e){ /* ignore storage errors */ }
+}
+
+// Lay the fields a view sets over the saved settings the controls and each draw read
+function applyView(view){
+  const set = new Map();
+  if(view.from) set.set('dashboard.rangeStart', view.from);
+  if(view.to) set.set('dashboard.rangeEnd', view.to);
+  if(view.types) set.set('dashboard.selectedPurchaseTypes', JSON.stringify(view.types));
+  if(view.granularity) set.set('dashboard.granularity', view.granularity);
+  if(view.cohort) set.set('dashboard.cohort', view.cohort);
+  if(view.compare) set.set('dashboard.cohortOverlays', JSON.stringify(view.compare));
+  if(view.hide){
+    // Every other series is shown, including ones only the current chart knows about
+    const vis = {};
+    for(const key of Object.keys(loadDatasetVisibility())) vis[key] = true;
+    if(window._dashboardChart) window._dashboardChart.data.datasets.forEach(d => { vis[d.metaId || d.label] = true; });
+    for(const key of view.hide) vis[key] = false;
+    set.set('dashboard.datasetVisibility', JSON.stringify(vis));
+  }
+  if(view.dollars){
+    const saved = loadInflationSettings();
+    const real = view.dollars !== 'nominal';
+    set.set('dashboard.inflation', JSON.stringify({ real, baseYear: real ? Number(view.dollars) : saved.baseYear || null }));
+  }
+  if(view.table) set.set('dashboard.benchmarkTable', view.table);
+  if(set.size === 0) return;
+  if(!viewOverrides) viewOverrides = new Map();
+  for(const [k, v] of set) viewOverrides.set(k, v);
+}
+
+// Set the controls that keep their own state to a view's values (back/forward)
+function showView(view){
+  const hasOption = (select, value) => select && Array.from(select.options).some(o => o.value === value);
+  if(view.types){
+    document.querySelectorAll('#purchase-type-select input[type=checkbox]').forEach(cb => { cb.checked = view.types.includes(cb.value); });
+  }
+  const granularitySelect = document.getElementById('granularity-select');
+  if(view.granularity && granularitySelect) granularitySelect.value = view.granularity;
+  const cohortSelect = document.getElementById('cohort-select');
+  if(view.cohort && hasOption(cohortSelect, view.cohort)) cohortSelect.value = view.cohort;
+  if(view.compare){
+    document.querySelectorAll('#cohort-overlays input[type=checkbox]').forEach(cb => { cb.checked = view.compare.includes(cb.value); });
+  }
+  const toggle = document.getElementById('real-toggle');
+  const yearSelect = document.getElementById('cpi-base-year');
+  if(view.dollars && toggle && !toggle.disabled){
+    toggle.checked = view.dollars !== 'nominal';
+    if(toggle.checked && hasOption(yearSelect, view.dollars)) yearSelect.value = view.dollars;
+  }
+  const tableSelect = document.getElementById('benchmark-table');
+  if(view.table && hasOption(tableSelect, view.table) && tableSelect.value !== view.table){
+    tableSelect.value = view.table;
+    refreshBenchmarkMapping();
+  }
+}
+
+// The view on screen. Selects still being filled in fall back to the saved choice.
+function currentView(){
+  const start = document.getElementById('start-date');
+  const end = document.getElementById('end-date');
+  const cohortSelect = document.getElementById('cohort-select');
+  const toggle = document.getElementById('real-toggle');
+  const yearSelect = document.getElementById('cpi-base-year');
+  const tableSelect = document.getElementById('benchmark-table');
+  const vis = loadDatasetVisibility();
+  const baseYear = (yearSelect && yearSelect.value) || loadInflationSettings().baseYear;
+  return {
+    from: (start && start.value) || null,
+    to: (end && end.value) || null,
+    types: getSelectedPurchaseTypes(),
+    granularity: getSelectedGranularity(),
+    cohort: (cohortSelect && cohortSelect.value) || null,
+    compare: getCohortOverlays(),
+    hide: Object.keys(vis).filter(key => vis[key] === false),
+    dollars: toggle && toggle.checked && baseYear ? String(baseYear) : 'nominal',
+    table: (tableSelect && tableSelect.value) || loadViewSetting('dashboard.benchmarkTable')
+  };
+}
+
+// Write the view into the URL: a new history entry unless replace (or restoring) is set
+function recordView(replace){
+  const query = RadiusViewState.viewQuery(currentView());
+  const restoring = viewRestoring;
+  viewRestoring = false;
+  if(query === window.location.search) return;
+  const url = window.location.pathname + query + window.location.hash;
+  try{
+    if(replace || restoring) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
+  }catch(e){ /* e.g. pages opened from file:// */ }
+}
+
+// Offline use (sw.js): while the server is unreachable the API answers with the copies saved on
+// the last visit, and the banner says so. Local changes are queued in txstore.js and sent to the
+// server (RadiusTxStore.flush) on load, after each change and once the server answers again; the
+// page then redraws from the server's data.
+const RECONNECT_PROBE_MS = 30000;
+let reconnectProbe = null;
+let syncNote = '';
+let syncRun = null;     // the flush in progress
+let syncAgain = false;  // set when changes were made while it ran
+
+function renderOfflineBanner(profile, localRecords){
+  const el = document.getElementById('offline-banner');
+  if(!el) return;
+  const held = localRecords.filter(r => r.held).length;
+  const heldText = held ? ` ${held} local change${held === 1 ? ' was' : 's were'} not accepted by the server and ${held === 1 ? 'is' : 'are'} marked in the Transactions panel.` : '';
+  const savedAt = RadiusAPI.cachedAt(profile);
+  if(!savedAt){
+    el.textContent = (syncNote + heldText).trim();
+    el.classList.toggle('hidden', !el.textContent);
+    return;
+  }
+  const waiting = localRecords.length - held;
+  el.textContent = `Offline — showing data saved ${new Date(savedAt).toLocaleString()}.` +
+    (waiting ? ` ${waiting} local change${waiting === 1 ? '' : 's'} will be sent to the server when it is reachable.` : '') + heldText;
+  el.classList.remove('hidden');
+  watchForReconnect(profile);
+}
+
+function watchForReconnect(profile){
+  if(reconnectProbe) return;
+  reconnectProbe = setInterval(() => reconnect(profile), RECONNECT_PROBE_MS);
+  window.addEventListener('online', () => reconnect(profile));
+}
+
+async function reconnect(profile){
+  if(!reconnectProbe) return;
+  // Still offline: the service worker answers with its saved copy again. The probe goes past
+  // RadiusData's cached profile; clear() below makes the next redraw pick up the fresh one.
+  const fresh = await RadiusAPI.me().catch(() => null);
+  if(!fresh || RadiusAPI.cachedAt(fresh) || !reconnectProbe) return;
+  clearInterval(reconnectProbe);
+  reconnectProbe = null;
+  RadiusData.clear();
+  if(await syncLocalChanges(profile, true)) RadiusData.clear();
+  drawChartForUser(profile.id);
+}
+
+// Redraw with a change just stored in txstore.js, then send it unless the server is known to be
+// unreachable (reconnect() sends it later) and redraw from the server's data
+function changedLocally(profile){
+  const drawn = drawChartForUser(profile.id);
+  if(reconnectProbe) return;
+  syncLocalChanges(profile).then(async changed => {
+    if(!changed) return;
+    await drawn;
+    RadiusData.clear();
+    drawChartForUser(profile.id);
+  });
+}
 
-    // Compute percent difference and apply 10% rule
-    const pct = (stateMean === 0) ? null : ((userMean - stateMean) / stateMean) * 100;
-    let rel;
-    if(stateMean === 0 && userMean === 0) rel = 'No spending in this category for both you and the state.';
-    else if(stateMean === 0 && userMean > 0) rel = 'You spend in this category while the state average is zero.';
-    else if(userMean === 0 && stateMean > 0) rel = 'You spend significantly less (zero) than the state average.';
-    else {
-      const absPct = Math.abs(pct || 0);
-      if(absPct > 10) rel = (pct > 0) ? 'Higher than the state average.' : 'Lower than the state average.';
-      else rel = 'Similar to the state average.';
+// Send the queued local changes to the server, one flush at a time; changes made while one runs
+// get another. announce: report in the banner how many were sent (on load and after
+// reconnecting). Resolves to whether anything was sent or held, in which case the caller drops
+// the cached server data (RadiusData.clear) before redrawing.
+function syncLocalChanges(profile, announce){
+  if(syncRun){
+    syncAgain = true;
+    return syncRun;
+  }
+  syncRun = (async () => {
+    let sent = 0, undone = 0, held = 0;
+    do{
+      syncAgain = false;
+      const report = await RadiusTxStore.flush(profile.id, RadiusAPI);
+      sent += report.sent.length;
+      undone += report.conflicts.filter(r => r.kind === 'deleted').length;
+      held += report.conflicts.length + report.rejected.length;
+      if(report.left) break;
+    }while(syncAgain);
+    const parts = [];
+    if(announce && sent) parts.push(`Sent ${sent} local change${sent === 1 ? '' : 's'} to the server.`);
+    if(undone) parts.push(`${undone} deletion${undone === 1 ? ' was' : 's were'} not applied because the transaction changed on the server.`);
+    if(parts.length || announce) syncNote = parts.join(' ');
+    return sent + held > 0;
+  })().catch(e => {
+    console.warn('Failed to send local changes to the server', e);
+    return false;
+  }).finally(() => { syncRun = null; });
+  return syncRun;
+}
+
+// Transaction table under the chart. It lists the same rows the chart is drawn from (range and
+// type filters applied); sorting, searching, paging and the week filter only re-render the table.
+const TX_PAGE_SIZE = 15;
+const txTable = { rows: [], flags: new Map(), profile: null, periods: [], granularity: 'week', sortKey: 'date', sortDir: 'desc', query: '', period: null, page: 0 };
+
+(function restoreTxSort(){
+  try{
+    const saved = JSON.parse(localStorage.getItem('dashboard.txSort') || 'null');
+    if(saved && ['date', 'amount', 'category'].includes(saved.key)){
+      txTable.sortKey = saved.key;
+      txTable.sortDir = saved.dir === 'asc' ? 'asc' : 'desc';
     }
+  }catch(e){}
+})();
+
+// Called by drawChartForUser with the merged rows it charted, the visible periods and the
+// transaction anomalies to mark
+function renderTransactionList(rows, profile, periods, granularity, flagged){
+  if(granularity !== txTable.granularity) txTable.period = null;
+  txTable.flags = new Map((flagged || []).map(a => [String(a.row.tx_id), a.reason]));
+  txTable.rows = rows;
+  txTable.profile = profile;
+  txTable.periods = periods || [];
+  txTable.granularity = granularity || 'week';
+  if(txTable.period && !txTable.periods.includes(txTable.period)) txTable.period = null;
+  txTable.page = 0;
+  initTransactionTable();
+  renderTransactionTable();
+}
+
+// Limit the table to one chart period (its start date), e.g. from a click on a chart point
+function setTransactionPeriodFilter(period){
+  txTable.period = period || null;
+  txTable.page = 0;
+  renderTransactionTable();
+}
+
+function compareTransactions(a, b, key){
+  if(key === 'amount') return a.purchase_amount - b.purchase_amount;
+  if(key === 'category') return a.purchase_type.localeCompare(b.purchase_type) || (a.purchase_date < b.purchase_date ? -1 : a.purchase_date > b.purchase_date ? 1 : 0);
+  return a.purchase_date < b.purchase_date ? -1 : a.purchase_date > b.purchase_date ? 1 : 0;
+}
+
+function filteredTransactions(){
+  const q = txTable.query.trim().toLowerCase();
+  const out = txTable.rows.filter(r => {
+    if(txTable.period && periodStartISO(r.purchase_date, txTable.granularity) !== txTable.period) return false;
+    if(!q) return true;
+    const haystack = [r.purchase_date, r.purchase_type, r.note || '', String(r.purchase_amount), formatMoney(r.purchase_amount)].join(' ').toLowerCase();
+    return haystack.includes(q);
+  });
+  const dir = txTable.sortDir === 'asc' ? 1 : -1;
+  return out.sort((a, b) => dir * compareTransactions(a, b, txTable.sortKey));
+}
+
+// Wire search, sort headers, paging and the week filter chip once
+function initTransactionTable(){
+  const table = document.getElementById('tx-table');
+  if(!table || table.dataset.listenerAdded) return;
+  const search = document.getElementById('tx-search');
+  search.addEventListener('input', ()=>{
+    txTable.query = search.value;
+    txTable.page = 0;
+    renderTransactionTable();
+  });
+  table.querySelectorAll('th[data-sort] button').forEach(btn => {
+    btn.addEventListener('click', ()=>{
+      const key = btn.parentElement.dataset.sort;
+      if(txTable.sortKey === key) txTable.sortDir = txTable.sortDir === 'asc' ? 'desc' : 'asc';
+      else{
+        txTable.sortKey = key;
+        txTable.sortDir = key === 'category' ? 'asc' : 'desc';
+      }
+      try{ localStorage.setItem('dashboard.txSort', JSON.stringify({ key: txTable.sortKey, dir: txTable.sortDir })); }catch(e){}
+      txTable.page = 0;
+      renderTransactionTable();
+    });
+  });
+  document.getElementById('tx-prev').addEventListener('click', ()=>{ txTable.page--; renderTransactionTable(); });
+  document.getElementById('tx-next').addEventListener('click', ()=>{ txTable.page++; renderTransactionTable(); });
+  document.getElementById('tx-period-clear').addEventListener('click', ()=> setTransactionPeriodFilter(null));
+  table.dataset.listenerAdded = '1';
+}
+
+function renderTransactionTable(){
+  const tbody = document.getElementById('tx-tbody');
+  if(!tbody) return;
+  const profile = txTable.profile;
+  const rows = filteredTransactions();
+  const pageCount = Math.max(1, Math.ceil(rows.length / TX_PAGE_SIZE));
+  txTable.page = Math.min(Math.max(txTable.page, 0), pageCount - 1);
+  const pageRows = rows.slice(txTable.page * TX_PAGE_SIZE, (txTable.page + 1) * TX_PAGE_SIZE);
+
+  document.querySelectorAll('#tx-table th[data-sort]').forEach(th => {
+    th.setAttribute('aria-sort', th.dataset.sort === txTable.sortKey ? (txTable.sortDir === 'asc' ? 'ascending' : 'descending') : 'none');
+  });
+  const periodChip = document.getElementById('tx-period-filter');
+  periodChip.classList.toggle('hidden', !txTable.period);
+  if(txTable.period){
+    const g = txTable.granularity;
+    document.getElementById('tx-period-label').textContent = g === 'day' ? 'On ' + txTable.period
+      : g === 'week' ? 'Week of ' + txTable.period + ' – ' + periodEndISO(txTable.period, g)
+      : periodLabel(txTable.period, g);
+  }
+  document.getElementById('tx-page-info').textContent = rows.length === 0 ? '' :
+    `${txTable.page * TX_PAGE_SIZE + 1}–${txTable.page * TX_PAGE_SIZE + pageRows.length} of ${rows.length}`;
+  document.getElementById('tx-prev').disabled = txTable.page === 0;
+  document.getElementById('tx-next').disabled = txTable.page >= pageCount - 1;
+
+  tbody.innerHTML = '';
+  if(rows.length === 0){
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 5;
+    td.className = 'tx-empty';
+    td.textContent = txTable.rows.length === 0 ? 'No transactions for the selected range and types.' : 'No transactions match the current filters.';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+    return;
+  }
+  for(const row of pageRows){
+    const tr = document.createElement('tr');
+    const cells = [row.purchase_date, row.purchase_type, formatMoney(row.purchase_amount), row.note || ''];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if(i === 2) td.className = 'num';
+      if(i === 3 && row.source !== 'dataset'){
+        const badge = document.createElement('span');
+        badge.className = 'tx-badge';
+        badge.textContent = row.source === 'local' ? 'added' : 'edited';
+        // Changes the server turned down stay here until the user changes them again
+        if(row.held === 'conflict'){
+          badge.textContent += ' · conflict';
+          badge.title = 'Changed on the server since. Save it again to keep this version.';
+        }else if(row.held){
+          badge.textContent += ' · not sent';
+          badge.title = 'The server refused it: ' + row.heldReason + '. Edit it to send it again.';
+        }
+        td.appendChild(badge);
+      }
+      if(i === 3 && txTable.flags.has(String(row.tx_id))){
+        const badge = document.createElement('span');
+        badge.className = 'tx-badge tx-badge-unusual';
+        badge.textContent = 'unusual';
+        badge.title = txTable.flags.get(String(row.tx_id));
+        td.appendChild(badge);
+      }
+      tr.appendChild(td);
+    });
+    const actions = document.createElement('td');
+    actions.className = 'tx-actions';
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', ()=>{
+      setTransactionFormMode(row);
+      document.getElementById('tx-amount').focus();
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async ()=>{
+      if(!window.confirm('Delete this transaction (' + row.purchase_type + ', ' + formatMoney(row.purchase_amount) + ')?')) return;
+      try{
+        await RadiusTxStore.remove(profile.id, row);
+      }catch(err){
+        console.error(err);
+        return;
+      }
+      if(editingTxRow && editingTxRow.tx_id === row.tx_id) setTransactionFormMode(null);
+      changedLocally(profile);
+    });
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  }
+}
 
-    // Build bullet point with percent only (no dollar amounts)
+// "Unusual activity" panel: one entry per flag with its reason; clicking one filters the table
+function renderAnomalies(anomalies, granularity){
+  const panel = document.getElementById('anomaly-panel');
+  const list = document.getElementById('anomaly-list');
+  if(!panel || !list) return;
+  list.innerHTML = '';
+  const items = anomalies.periods.map(a => ({
+    period: a.period,
+    title: (granularity === 'week' ? 'Week of ' : '') + periodLabel(a.period, granularity),
+    reason: a.reason
+  })).concat(anomalies.transactions.map(a => ({
+    period: periodStartISO(a.row.purchase_date, granularity),
+    title: `${a.row.purchase_type} on ${a.row.purchase_date}`,
+    reason: a.reason
+  })));
+  panel.classList.toggle('hidden', items.length === 0);
+  for(const item of items){
     const li = document.createElement('li');
-    li.style.marginBottom = '6px';
-    li.textContent = `${type}: ${rel} (${fmtPct(pct)})`;
-    listEl.appendChild(li);
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'anomaly-link';
+    btn.textContent = item.title;
+    btn.addEventListener('click', ()=> setTransactionPeriodFilter(item.period));
+    li.appendChild(btn);
+    li.appendChild(document.createTextNode(': ' + item.reason));
+    list.appendChild(li);
   }
+}
 
-  summaryEl.style.display = 'block';
+// Upcoming bills: recurring categories found in the whole history (recurring.js). The amount
+// tolerance is a user setting; wider tolerances accept bills whose amount varies more.
+const BILLS_HORIZON_DAYS = 28;
+
+function getRecurringTolerance(){
+  const el = document.getElementById('recurring-tolerance');
+  const v = el ? Number(el.value) : NaN;
+  return Number.isFinite(v) && v > 0 ? v : RadiusRecurring.AMOUNT_TOLERANCE;
 }
 
-function parseFilteredExpenditures(text){
-  // Expect CSV with header: Item,United States Mean (Weekly $),Northeast Mean (Weekly $),Midwest Mean (Weekly $),South Mean (Weekly $),West Mean (Weekly $)
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  if(lines.length === 0) return new Map();
-  const header = lines.shift().split(',').map(h => h.trim());
-  // find indices
-  const idx = {};
-  header.forEach((h,i) => { idx[h] = i; });
-  const m = new Map();
-  for(const l of lines){
-    const parts = l.split(',');
-    const item = parts[0];
-    if(!item) continue;
-    const entry = {
-      'United States': parseFloat(parts[idx['United States Mean (Weekly $)']] || '0') || 0,
-      'Northeast': parseFloat(parts[idx['Northeast Mean (Weekly $)']] || '0') || 0,
-      'Midwest': parseFloat(parts[idx['Midwest Mean (Weekly $)']] || '0') || 0,
-      'South': parseFloat(parts[idx['South Mean (Weekly $)']] || '0') || 0,
-      'West': parseFloat(parts[idx['West Mean (Weekly $)']] || '0') || 0
-    };
-    m.set(String(item).trim(), entry);
+// variable lists the categories that come on a schedule but vary too much in amount to be bills.
+function renderUpcomingBills(series, from, variable){
+  const list = document.getElementById('bills-list');
+  const totalEl = document.getElementById('bills-total');
+  if(!list || !totalEl) return;
+  list.innerHTML = '';
+  const pct = Math.round(getRecurringTolerance() * 100);
+  if(series.length === 0){
+    totalEl.textContent = `No recurring charges found with amounts within ±${pct}% of their usual size.`;
+    const regular = (variable || []).map(v => `${v.type} (${v.cadence}, ${formatMoney(v.low)}–${formatMoney(v.high)})`);
+    if(regular.length) totalEl.textContent += ` Charged on a schedule, but varying too much in amount to count as bills: ${regular.join(', ')}.`;
+    return;
+  }
+  const to = addDaysISO(from, BILLS_HORIZON_DAYS);
+  const upcoming = RadiusRecurring.upcomingCharges(series, addDaysISO(from, 1), to);
+  const expected = upcoming.reduce((acc, c) => acc + c.amount, 0);
+  totalEl.textContent = `Expected in the ${BILLS_HORIZON_DAYS / 7} weeks after ${from}: ${formatMoney(expected)} in ${upcoming.length} charge${upcoming.length === 1 ? '' : 's'}.`;
+  for(const s of series){
+    const li = document.createElement('li');
+    li.className = 'bill-item' + (s.active ? '' : ' bill-inactive');
+    const name = document.createElement('strong');
+    // A same-size group inside a category (a subscription) is named after its amount
+    name.textContent = s.scope === 'amount' ? `${s.type} (${formatMoney(s.amount)} charges)` : s.type;
+    const next = upcoming.find(c => c.type === s.type && c.amount === s.amount);
+    const range = s.low === s.high ? '' : ` (${formatMoney(s.low)}–${formatMoney(s.high)})`;
+    const when = s.active ? `next expected ${next ? next.date : s.nextDate}` : `last charged ${s.lastDate}, not seen since`;
+    li.appendChild(name);
+    li.appendChild(document.createTextNode(`: ${s.cadence}, typically ${formatMoney(s.amount)}${range} over ${s.occurrences} charges; ${when}`));
+    list.appendChild(li);
   }
-  return m;
 }
 
-function stateToRegion(state){
-  if(!state) return 'United States';
-  const s = String(state).trim();
-  const mapping = {
-    'Connecticut':'Northeast','Maine':'Northeast','Massachusetts':'Northeast','New Hampshire':'Northeast','Rhode Island':'Northeast','Vermont':'Northeast','New Jersey':'Northeast','New York':'Northeast','Pennsylvania':'Northeast',
-    'Illinois':'Midwest','Indiana':'Midwest','Michigan':'Midwest','Ohio':'Midwest','Wisconsin':'Midwest','Iowa':'Midwest','Kansas':'Midwest','Minnesota':'Midwest','Missouri':'Midwest','Nebraska':'Midwest','North Dakota':'Midwest','South Dakota':'Midwest',
-    'Delaware':'South','Florida':'South','Georgia':'South','Maryland':'South','North Carolina':'South','South Carolina':'South','Virginia':'South','West Virginia':'South','Alabama':'South','Kentucky':'South','Mississippi':'South','Tennessee':'South','Arkansas':'South','Louisiana':'South','Oklahoma':'South','Texas':'South','District of Columbia':'South',
-    'Arizona':'West','Colorado':'West','Idaho':'West','Montana':'West','Nevada':'West','New Mexico':'West','Utah':'West','Wyoming':'West','Alaska':'West','California':'West','Hawaii':'West','Oregon':'West','Washington':'West'
+const FORECAST_METHOD_NAMES = { 'moving-average': 'moving average', 'linear': 'linear trend', 'seasonal-naive': 'seasonal naive' };
+
+// Forecast controls ({ enabled, method, horizon }); horizon counts periods of the chart granularity
+function getForecastSettings(){
+  const toggle = document.getElementById('forecast-toggle');
+  const method = document.getElementById('forecast-method');
+  const horizon = document.getElementById('forecast-horizon');
+  const n = horizon ? parseInt(horizon.value, 10) : NaN;
+  return {
+    enabled: !!(toggle && toggle.checked),
+    method: method && RadiusForecast.METHODS.includes(method.value) ? method.value : 'moving-average',
+    horizon: Number.isFinite(n) ? Math.min(Math.max(n, 1), 52) : 4
+  };
+}
+
+// Project each selected type from the complete periods of the range (the last period is often
+// cut short by the end of the data, which would drag the projection down) and sum them.
+// Returns null when no period is complete. anchorIndex is the last complete period; the
+// projection covers the partial periods after it plus settings.horizon periods past the range,
+// and is run far enough to estimate the total for the month containing lastDataDate (or the next
+// month when lastDataDate is a month end).
+function buildForecast(userRows, benchmark, periods, granularity, selectedTypes, settings, lastDataDate){
+  let anchorIndex = -1;
+  periods.forEach((p, i) => { if(periodEndISO(p, granularity) <= lastDataDate) anchorIndex = i; });
+  if(anchorIndex < 0) return null;
+
+  const extraPeriods = [];
+  for(let p = periods[periods.length - 1], i = 0; i < settings.horizon; i++){
+    p = nextPeriodISO(p, granularity);
+    extraPeriods.push(p);
+  }
+  let monthStart = periodStartISO(lastDataDate, 'month');
+  let monthEnd = periodEndISO(monthStart, 'month');
+  if(lastDataDate === monthEnd){
+    monthStart = addDaysISO(monthEnd, 1);
+    monthEnd = periodEndISO(monthStart, 'month');
+  }
+  const future = periods.slice(anchorIndex + 1).concat(extraPeriods);
+  while(periodEndISO(future[future.length - 1], granularity) < monthEnd) future.push(nextPeriodISO(future[future.length - 1], granularity));
+
+  const history = periods.slice(0, anchorIndex + 1);
+  const options = { method: settings.method, season: RadiusForecast.SEASON_LENGTH[granularity] };
+  const perType = selectedTypes.map(t => RadiusForecast.forecastSeries(mapUserToWeeks(sumByPeriod(userRows, granularity, [t]), history), future.length, options));
+  const combined = RadiusForecast.combineForecasts(perType);
+  const band = RadiusForecast.forecastBand(combined);
+  const stateForecast = benchmark ? RadiusForecast.forecastSeries(benchmark.average.slice(0, anchorIndex + 1), future.length, options) : null;
+
+  // Month total: actual spending up to lastDataDate plus the projected daily rate for the rest
+  const actual = userRows.reduce((acc, r) => r.purchase_date >= monthStart && r.purchase_date <= lastDataDate ? acc + r.purchase_amount : acc, 0);
+  const projected = { values: 0, lower: 0, upper: 0 };
+  const firstDay = monthStart > lastDataDate ? monthStart : addDaysISO(lastDataDate, 1);
+  for(let d = firstDay; d <= monthEnd; d = addDaysISO(d, 1)){
+    const k = future.findIndex(p => p <= d && d <= periodEndISO(p, granularity));
+    if(k < 0) continue;
+    const days = periodDays(future[k], granularity);
+    projected.values += combined.values[k] / days;
+    projected.lower += band.lower[k] / days;
+    projected.upper += band.upper[k] / days;
+  }
+
+  const steps = periods.length - 1 - anchorIndex + settings.horizon;
+  const round = values => values.slice(0, steps).map(v => Number(v.toFixed(2)));
+  return {
+    method: perType.length ? perType[0].method : settings.method,
+    anchorIndex,
+    extraPeriods,
+    you: { values: round(combined.values), lower: round(band.lower), upper: round(band.upper) },
+    state: stateForecast ? round(stateForecast.values) : null,
+    month: { start: monthStart, actual, projected: projected.values, lower: actual + projected.lower, upper: actual + projected.upper }
   };
-  return mapping[s] || 'United States';
 }
 
-function computeRegionAverageWeeklyIncome(rows, region){
-  const seen = new Set();
-  let sum = 0;
-  let count = 0;
-  for(const r of rows){
-    const id = String(r.id);
-    if(seen.has(id)) continue;
-    seen.add(id);
-    const reg = stateToRegion(r.location);
-    if(reg !== region) continue;
-    let inc = Number(r.income_weekly);
-    if(Number.isNaN(inc) || inc === 0){
-      const y = Number(r.income_yearly);
-      if(!Number.isNaN(y) && y !== 0) inc = y / 52;
+function renderForecastSummary(fc, granularity){
+  const listEl = document.getElementById('chart-summary-list');
+  if(!listEl) return;
+  const li = document.createElement('li');
+  li.style.marginBottom = '6px';
+  if(!fc){
+    li.textContent = `Forecast: the range has no complete ${GRANULARITY_TEXT[granularity].noun} to project from.`;
+  }else{
+    const m = fc.month;
+    li.textContent = `Expected total for ${periodLabel(m.start, 'month')}: ${formatMoney(m.actual + m.projected)} ` +
+      `(spent ${formatMoney(m.actual)}, projected ${formatMoney(m.projected)}; 95% range ${formatMoney(m.lower)}–${formatMoney(m.upper)}, ${FORECAST_METHOD_NAMES[fc.method]}).`;
+  }
+  listEl.appendChild(li);
+}
+
+// Category breakdown: stacked bars per period and a donut of each type's share of the range.
+// Series are keyed 'type:<purchase_type>' in dashboard.datasetVisibility, so hiding a category in
+// either chart hides it in both and the choice survives a reload.
+const TYPE_COLORS = ['#b23a35', '#5078c8', '#4c9a5b', '#e68c14', '#8e5cb5', '#2a9d9a', '#c25b8f', '#7a7a7a'];
+let lastBreakdown = null;
+
+function typeColor(type, purchaseTypes){
+  const i = purchaseTypes.indexOf(type);
+  return TYPE_COLORS[(i < 0 ? purchaseTypes.length : i) % TYPE_COLORS.length];
+}
+
+function loadDatasetVisibility(){
+  try{ return JSON.parse(loadViewSetting('dashboard.datasetVisibility') || '{}'); }catch(e){ return {}; }
+}
+
+function saveDatasetVisibility(key, visible){
+  try{
+    const vis = loadDatasetVisibility();
+    vis[key] = visible;
+    storeViewSetting('dashboard.datasetVisibility', JSON.stringify(vis));
+  }catch(e){ /* ignore storage errors */ }
+}
+
+function toggleTypeVisibility(type){
+  const key = 'type:' + type;
+  const vis = loadDatasetVisibility();
+  saveDatasetVisibility(key, vis.hasOwnProperty(key) ? !vis[key] : false);
+  recordView(true);
+  if(lastBreakdown) renderBreakdownCharts.apply(null, lastBreakdown);
+}
+
+function renderBreakdownCharts(userRows, periods, granularity, selectedTypes, purchaseTypes){
+  lastBreakdown = [userRows, periods, granularity, selectedTypes, purchaseTypes];
+  const barCanvas = document.getElementById('breakdownChart');
+  const donutCanvas = document.getElementById('shareChart');
+  if(!barCanvas || !donutCanvas) return;
+  if(window._breakdownChart) window._breakdownChart.destroy();
+  if(window._shareChart) window._shareChart.destroy();
+  window._breakdownChart = null;
+  window._shareChart = null;
+  const emptyEl = document.getElementById('breakdown-empty');
+  if(emptyEl) emptyEl.classList.toggle('hidden', selectedTypes.length > 0);
+  if(selectedTypes.length === 0) return;
+
+  const vis = loadDatasetVisibility();
+  const isVisible = t => vis.hasOwnProperty('type:' + t) ? vis['type:' + t] : true;
+  const totals = selectedTypes.map(t => Number(userRows.reduce((acc, r) => r.purchase_type === t ? acc + r.purchase_amount : acc, 0).toFixed(2)));
+
+  window._breakdownChart = new Chart(barCanvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: periods.map(p => periodLabel(p, granularity)),
+      datasets: selectedTypes.map(t => ({
+        label: t,
+        data: mapUserToWeeks(sumByPeriod(userRows, granularity, [t]), periods),
+        backgroundColor: typeColor(t, purchaseTypes),
+        metaId: 'type:' + t,
+        hidden: !isVisible(t)
+      }))
+    },
+    options: {
+      responsive:true,
+      onClick: function(evt, elements){
+        if(elements && elements.length > 0) setTransactionPeriodFilter(periods[elements[0].index]);
+      },
+      plugins: {
+        legend: { onClick: (e, legendItem) => toggleTypeVisibility(selectedTypes[legendItem.datasetIndex]) },
+        tooltip: { mode: 'index' }
+      },
+      scales: {
+        x: { stacked:true, title: { display:true, text: GRANULARITY_TEXT[granularity].axis } },
+        y: { stacked:true, beginAtZero:true, title: { display:true, text:'Spending (USD)' } }
+      }
+    }
+  });
+
+  const grandTotal = totals.reduce((acc, v, i) => isVisible(selectedTypes[i]) ? acc + v : acc, 0);
+  window._shareChart = new Chart(donutCanvas.getContext('2d'), {
+    type: 'doughnut',
+    data: {
+      labels: selectedTypes,
+      datasets: [{ data: totals, backgroundColor: selectedTypes.map(t => typeColor(t, purchaseTypes)) }]
+    },
+    options: {
+      responsive:true,
+      plugins: {
+        legend: { position: 'bottom', onClick: (e, legendItem) => toggleTypeVisibility(selectedTypes[legendItem.index]) },
+        tooltip: {
+          callbacks: {
+            label: ctx => `${ctx.label}: ${formatMoney(ctx.raw)} (${grandTotal ? (ctx.raw / grandTotal * 100).toFixed(1) : '0.0'}%)`
+          }
+        }
+      }
+    }
+  });
+  // Doughnut slices are hidden per data index rather than per dataset
+  selectedTypes.forEach((t, i) => {
+    if(!isVisible(t) && window._shareChart.getDataVisibility && window._shareChart.getDataVisibility(i)) window._shareChart.toggleDataVisibility(i);
+  });
+  window._shareChart.update();
+}
+
+// Balance ledger over the user's whole history (all purchase types, local changes included).
+// The opening balance is the user's own figure for the first day of the data (0 until set); the
+// closing balance is checked against the stored balance, adjusted for local changes.
+function openingBalanceKey(userId){
+  return 'dashboard.openingBalance.' + userId;
+}
+
+async function renderLedger(profile, localRecords, periods, granularity, rangeFrom, rangeTo){
+  const section = document.getElementById('ledger-section');
+  const range = profile.dataRange || {};
+  if(!section || !range.min || !range.max) return;
+  const history = await RadiusData.transactions(profile.id, {});
+  const rows = RadiusTxStore.applyOverlay(history.transactions, localRecords, {});
+  // Local entries can be dated outside the dataset; the balance check counts them, so the ledger
+  // has to cover them too (rows come sorted by date). Income is only known for the dataset's weeks.
+  const min = rows.length && rows[0].purchase_date < range.min ? rows[0].purchase_date : range.min;
+  const max = rows.length && rows[rows.length - 1].purchase_date > range.max ? rows[rows.length - 1].purchase_date : range.max;
+  const savedOpening = Number(localStorage.getItem(openingBalanceKey(profile.id)));
+  const ledger = RadiusLedger.buildLedger({
+    rows,
+    openingBalance: Number.isFinite(savedOpening) ? savedOpening : 0,
+    weeklyIncome: RadiusAnalytics.rowWeeklyIncome(profile),
+    from: min,
+    to: max,
+    incomeFrom: range.min,
+    incomeTo: range.max
+  });
+
+  document.getElementById('ledger-start').textContent = min;
+  const openingInput = document.getElementById('opening-balance');
+  if(document.activeElement !== openingInput) openingInput.value = ledger.openingBalance.toFixed(2);
+
+  // Savings rate and balance for the visible range, clipped to the data
+  const from = rangeFrom > min ? rangeFrom : min;
+  const to = rangeTo < max ? rangeTo : max;
+  const sr = RadiusLedger.savingsRate(ledger, from, to);
+  const stats = document.getElementById('ledger-stats');
+  stats.innerHTML = '';
+  const lines = [
+    `Savings rate ${from} – ${to}: ${sr.rate === null ? 'N/A (no income recorded)' : (sr.rate * 100).toFixed(1) + '%'} ` +
+      `(income ${formatMoney(sr.income)}, spending ${formatMoney(sr.spending)}, ${sr.net >= 0 ? 'saved' : 'overspent'} ${formatMoney(Math.abs(sr.net))})`,
+    `Ledger balance on ${to}: ${formatMoney(RadiusLedger.balanceAt(ledger, to))}`
+  ];
+  for(const text of lines){
+    const li = document.createElement('li');
+    li.textContent = text;
+    stats.appendChild(li);
+  }
+
+  // Flag a ledger that does not end at the stored balance
+  const localDelta = RadiusTxStore.balanceDelta(localRecords);
+  const stored = typeof profile.balance === 'number' ? profile.balance + localDelta : null;
+  const mismatchEl = document.getElementById('ledger-mismatch');
+  mismatchEl.innerHTML = '';
+  mismatchEl.classList.add('hidden');
+  if(stored !== null){
+    const rec = RadiusLedger.reconcile(ledger, stored);
+    if(!rec.matches){
+      const text = document.createElement('span');
+      text.textContent = `The ledger ends at ${formatMoney(ledger.closingBalance)} on ${max}, but the stored balance` +
+        `${localDelta ? ' (with your local changes)' : ''} is ${formatMoney(stored)}: ${rec.difference > 0 ? 'over' : 'under'} by ${formatMoney(Math.abs(rec.difference))}. ` +
+        `Check the opening balance and for missing transactions. `;
+      const fix = document.createElement('button');
+      fix.type = 'button';
+      fix.textContent = `Use ${formatMoney(rec.impliedOpening)} as opening balance`;
+      fix.addEventListener('click', ()=>{
+        localStorage.setItem(openingBalanceKey(profile.id), String(rec.impliedOpening));
+        drawChartForUser(profile.id);
+      });
+      mismatchEl.appendChild(text);
+      mismatchEl.appendChild(fix);
+      mismatchEl.classList.remove('hidden');
+    }
+  }
+
+  const canvas = document.getElementById('balanceChart');
+  if(!canvas) return;
+  if(window._balanceChart) window._balanceChart.destroy();
+  window._balanceChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: periods.map(p => periodLabel(p, granularity)),
+      datasets: [{
+        label: 'Balance (end of ' + GRANULARITY_TEXT[granularity].noun + ')',
+        data: periods.map(p => {
+          if(p > max) return null;
+          const end = periodEndISO(p, granularity);
+          return RadiusLedger.balanceAt(ledger, end < max ? end : max);
+        }),
+        borderColor: 'rgba(76,154,91,1)',
+        backgroundColor: 'rgba(76,154,91,0.12)',
+        tension: 0.2,
+        fill: true,
+        metaId: 'balance'
+      }]
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: false } },
+      scales: { y: { title: { display:true, text:'Balance (USD)' } }, x: { title: { display:true, text: GRANULARITY_TEXT[granularity].axis } } }
+    }
+  });
+}
+
+// Budget progress bars in the summary box plus the 80% / 100% alert banner. Spending is counted
+// over each budget's own week or calendar month containing refDate, for every budgeted category
+// (not only the selected ones), so alerts do not depend on the chart filters.
+async function renderBudgetProgress(profile, budgets, localRecords, refDate){
+  const container = document.getElementById('budget-progress');
+  const alertsEl = document.getElementById('budget-alerts');
+  if(!container || !alertsEl) return;
+  const types = Object.keys(budgets);
+  container.innerHTML = '';
+  alertsEl.innerHTML = '';
+  alertsEl.classList.add('hidden');
+  if(types.length === 0) return;
+
+  const windows = {};
+  let from = null, to = null;
+  for(const t of types){
+    windows[t] = RadiusBudgets.budgetWindow(budgets[t], refDate);
+    if(from === null || windows[t].from < from) from = windows[t].from;
+    if(to === null || windows[t].to > to) to = windows[t].to;
+  }
+  const params = { from, to, types };
+  const tx = await RadiusData.transactions(profile.id, params);
+  const rows = RadiusTxStore.applyOverlay(tx.transactions, localRecords, params);
+
+  const heading = document.createElement('strong');
+  heading.style.display = 'block';
+  heading.style.margin = '10px 0 6px';
+  heading.textContent = 'Budgets';
+  container.appendChild(heading);
+  const alerts = [];
+  for(const t of types){
+    const budget = budgets[t];
+    const w = windows[t];
+    const spent = rows.reduce((acc, r) => r.purchase_type === t && r.purchase_date >= w.from && r.purchase_date <= w.to ? acc + r.purchase_amount : acc, 0);
+    const st = RadiusBudgets.budgetStatus(budget, spent);
+    const pct = Math.round(st.ratio * 100);
+    const periodText = budget.period === 'week' ? 'week of ' + w.from : periodLabel(w.from, 'month');
+
+    const row = document.createElement('div');
+    row.className = 'budget-row budget-' + st.level;
+    const label = document.createElement('div');
+    label.className = 'budget-label';
+    label.textContent = `${t}: ${formatMoney(st.spent)} of ${formatMoney(st.amount)} (${periodText}, ${pct}%)`;
+    const bar = document.createElement('div');
+    bar.className = 'budget-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', t + ' budget used');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(Math.min(pct, 100)));
+    const fill = document.createElement('div');
+    fill.className = 'budget-fill';
+    fill.style.width = Math.min(pct, 100) + '%';
+    bar.appendChild(fill);
+    row.appendChild(label);
+    row.appendChild(bar);
+    container.appendChild(row);
+
+    if(st.level === 'over') alerts.push({ level: 'over', text: `${t} is over budget: ${formatMoney(st.spent)} spent of ${formatMoney(st.amount)} for the ${periodText} (${pct}%).` });
+    else if(st.level === 'warning') alerts.push({ level: 'warning', text: `${t} has used ${pct}% of its budget for the ${periodText} (${formatMoney(st.spent)} of ${formatMoney(st.amount)}).` });
+  }
+  const summaryEl = document.getElementById('chart-summary');
+  if(summaryEl) summaryEl.style.display = 'block';
+
+  if(alerts.length > 0){
+    alerts.sort((a, b) => (a.level === 'over' ? 0 : 1) - (b.level === 'over' ? 0 : 1));
+    for(const a of alerts){
+      const p = document.createElement('p');
+      p.className = 'budget-alert budget-alert-' + a.level;
+      p.textContent = a.text;
+      alertsEl.appendChild(p);
     }
-    if(Number.isNaN(inc) || inc === 0) continue;
-    sum += inc;
-    count++;
+    alertsEl.classList.remove('hidden');
   }
-  return count === 0 ? null : (sum / count);
 }
 
+// Budget editor: one limit per purchase type; saving a type that already has a budget replaces it.
+function initBudgetEditor(profile){
+  const form = document.getElementById('budget-form');
+  if(!form || form.dataset.listenerAdded) return;
+  const typeSelect = document.getElementById('budget-type');
+  for(const type of profile.purchaseTypes || []){
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = type;
+    typeSelect.appendChild(opt);
+  }
+  const errorEl = document.getElementById('budget-form-error');
+  form.addEventListener('submit', (ev)=>{
+    ev.preventDefault();
+    errorEl.textContent = '';
+    let budget;
+    try{
+      budget = RadiusBudgets.cleanBudget({ amount: document.getElementById('budget-amount').value, period: document.getElementById('budget-period').value });
+    }catch(err){
+      errorEl.textContent = err.message;
+      return;
+    }
+    const budgets = RadiusBudgets.loadBudgets(profile.id, localStorage);
+    budgets[typeSelect.value] = budget;
+    RadiusBudgets.saveBudgets(profile.id, budgets, localStorage);
+    document.getElementById('budget-amount').value = '';
+    renderBudgetList(profile);
+    drawChartForUser(profile.id);
+  });
+  form.dataset.listenerAdded = '1';
+  renderBudgetList(profile);
+}
+
+function renderBudgetList(profile){
+  const list = document.getElementById('budget-list');
+  if(!list) return;
+  list.innerHTML = '';
+  const budgets = RadiusBudgets.loadBudgets(profile.id, localStorage);
+  for(const type of Object.keys(budgets)){
+    const b = budgets[type];
+    const li = document.createElement('li');
+    li.className = 'budget-item';
+    const text = document.createElement('span');
+    text.textContent = `${type}: ${formatMoney(b.amount)} per ${b.period}`;
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', ()=>{
+      document.getElementById('budget-type').value = type;
+      document.getElementById('budget-amount').value = b.amount;
+      document.getElementById('budget-period').value = b.period;
+      document.getElementById('budget-amount').focus();
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', ()=>{
+      const current = RadiusBudgets.loadBudgets(profile.id, localStorage);
+      delete current[type];
+      RadiusBudgets.saveBudgets(profile.id, current, localStorage);
+      renderBudgetList(profile);
+      drawChartForUser(profile.id);
+    });
+    li.appendChild(text);
+    li.appendChild(editBtn);
+    li.appendChild(removeBtn);
+    list.appendChild(li);
+  }
+}
+
+// Savings goals. The surplus is income_weekly less the average weekly spending (every category)
+// over the last SURPLUS_WEEKS complete weeks of data; goals are planned from the latest data date
+// (or today, if earlier), so the weeks left match the spending the surplus was measured on.
+const SURPLUS_WEEKS = 8;
+let editingGoalId = null;
+
+function setGoalFormMode(goal){
+  editingGoalId = goal ? goal.id : null;
+  document.getElementById('goal-save').textContent = goal ? 'Save changes' : 'Add goal';
+  document.getElementById('goal-cancel').classList.toggle('hidden', !goal);
+  document.getElementById('goal-form-error').textContent = '';
+  document.getElementById('goal-name').value = goal ? goal.name : '';
+  document.getElementById('goal-target').value = goal ? goal.target : '';
+  document.getElementById('goal-deadline').value = goal ? goal.deadline : '';
+  document.getElementById('goal-saved').value = goal ? goal.saved : '';
+}
+
+function initGoalEditor(profile){
+  const form = document.getElementById('goal-form');
+  if(!form || form.dataset.listenerAdded) return;
+  form.addEventListener('submit', (ev)=>{
+    ev.preventDefault();
+    let goals;
+    try{
+      goals = RadiusGoals.withGoal(RadiusGoals.loadGoals(profile.id, localStorage), editingGoalId, {
+        name: document.getElementById('goal-name').value,
+        target: document.getElementById('goal-target').value,
+        deadline: document.getElementById('goal-deadline').value,
+        saved: document.getElementById('goal-saved').value
+      });
+    }catch(err){
+      document.getElementById('goal-form-error').textContent = err.message;
+      return;
+    }
+    RadiusGoals.saveGoals(profile.id, goals, localStorage);
+    setGoalFormMode(null);
+    renderGoals(profile, null).catch(e => console.warn('Failed to render savings goals', e));
+  });
+  document.getElementById('goal-cancel').addEventListener('click', ()=> setGoalFormMode(null));
+  form.dataset.listenerAdded = '1';
+}
+
+// localRecords: the txstore records, or null to read them again
+async function renderGoals(profile, localRecords){
+  const list = document.getElementById('goal-list');
+  const surplusEl = document.getElementById('goal-surplus');
+  const warningEl = document.getElementById('goal-warning');
+  const { min, max } = profile.dataRange || {};
+  if(!list || !min || !max) return;
+  const goals = RadiusGoals.loadGoals(profile.id, localStorage);
+  list.innerHTML = '';
+  surplusEl.textContent = '';
+  warningEl.innerHTML = '';
+  warningEl.classList.add('hidden');
+  if(goals.length === 0) return;
+  if(!localRecords) localRecords = await RadiusTxStore.list(profile.id).catch(() => []);
+
+  const today = new Date().toISOString().slice(0,10);
+  const asOf = max < today ? max : today;
+  // A week still in progress on asOf would understate spending, so end at the last complete one
+  const lastWeekEnd = weekEndISO(weekStartISO(asOf)) === asOf ? asOf : addDaysISO(weekStartISO(asOf), -1);
+  const weeks = lastNWeeksEndingAt(SURPLUS_WEEKS, lastWeekEnd).filter(w => w >= weekStartISO(min));
+  const income = RadiusAnalytics.rowWeeklyIncome(profile);
+  let rows = [];
+  if(weeks.length > 0){
+    const params = { from: weeks[0], to: lastWeekEnd };
+    const tx = await RadiusData.transactions(profile.id, params);
+    rows = RadiusTxStore.applyOverlay(tx.transactions, localRecords, params);
+  }
+  const weeklyMean = (totals) => weeks.length ? weeks.reduce((acc, w) => acc + (totals.get(w) || 0), 0) / weeks.length : 0;
+  const spending = weeklyMean(sumByWeek(rows));
+  const surplus = income === null || weeks.length === 0 ? null : income - spending;
+  surplusEl.textContent = surplus === null
+    ? 'Your weekly surplus is unknown: ' + (income === null ? 'no weekly income is recorded.' : 'there are no complete weeks of spending yet.')
+    : `Weekly surplus ${formatMoney(surplus)}: income ${formatMoney(income)} less average spending of ${formatMoney(spending)} ` +
+      `over the ${weeks.length} weeks to ${lastWeekEnd}. Goals are planned from ${asOf}.`;
+
+  let needed = 0;
+  let overdue = 0;
+  for(const goal of goals){
+    const plan = RadiusGoals.goalPlan(goal, asOf, surplus);
+    if(plan.neededWeekly) needed += plan.neededWeekly;
+    if(plan.overdue) overdue++;
+    const pct = Math.round(plan.progress * 100);
+
+    const li = document.createElement('li');
+    li.className = 'goal-item' + (plan.onTrack ? '' : ' goal-behind');
+    const head = document.createElement('div');
+    head.className = 'goal-head';
+    const name = document.createElement('strong');
+    name.textContent = `${goal.name}: ${formatMoney(goal.saved)} of ${formatMoney(goal.target)} by ${goal.deadline} (${pct}%)`;
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', ()=>{
+      setGoalFormMode(goal);
+      document.getElementById('goal-saved').focus();
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', ()=>{
+      RadiusGoals.saveGoals(profile.id, RadiusGoals.loadGoals(profile.id, localStorage).filter(g => g.id !== goal.id), localStorage);
+      if(editingGoalId === goal.id) setGoalFormMode(null);
+      renderGoals(profile, null).catch(e => console.warn('Failed to render savings goals', e));
+    });
+    head.appendChild(name);
+    head.appendChild(editBtn);
+    head.appendChild(removeBtn);
+    const bar = document.createElement('div');
+    bar.className = 'budget-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', goal.name + ' saved');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(pct));
+    const fill = document.createElement('div');
+    fill.className = 'budget-fill';
+    fill.style.width = pct + '%';
+    bar.appendChild(fill);
+    const detail = document.createElement('div');
+    detail.className = 'goal-detail';
+    if(plan.reached) detail.textContent = 'Reached.';
+    else if(plan.overdue) detail.textContent = `The deadline has passed with ${formatMoney(plan.remaining)} still to save.`;
+    else detail.textContent = `${formatMoney(plan.remaining)} to go: ${formatMoney(plan.neededWeekly)} a week for ${plan.weeksLeft.toFixed(1)} weeks` +
+      (surplus === null ? '.' : plan.onTrack ? ' (on track).' : ` (your surplus is ${formatMoney(surplus)} a week).`);
+    li.appendChild(head);
+    li.appendChild(bar);
+    li.appendChild(detail);
+    list.appendChild(li);
+  }
+
+  // Together the goals can need more than the surplus even when each one alone fits
+  if(surplus === null || (needed <= surplus && overdue === 0)) return;
+  const text = document.createElement('span');
+  const shortfall = [];
+  if(needed > surplus) shortfall.push(`Your goals need ${formatMoney(needed)} a week but your surplus is ${formatMoney(surplus)}, ${formatMoney(needed - surplus)} a week short.`);
+  if(overdue > 0) shortfall.push(`${overdue} goal${overdue === 1 ? ' is' : 's are'} past ${overdue === 1 ? 'its' : 'their'} deadline.`);
+  text.textContent = shortfall.join(' ');
+  warningEl.appendChild(text);
+  warningEl.classList.remove('hidden');
+  if(weeks.length === 0 || !profile.location) return;
+
+  // Categories where the user spends more per week than the state average, largest gap first
+  let benchmark = null;
+  let offline = false;
+  try{
+    benchmark = await RadiusData.stateBenchmark(profile.location, { from: weeks[0], to: lastWeekEnd, granularity: 'week' });
+  }catch(err){
+    if(!(err instanceof RadiusAPI.ApiError && (err.status === 403 || err.status === 503))) throw err;
+    offline = err.status === 503;
+  }
+  const note = document.createElement('div');
+  note.style.marginTop = '6px';
+  if(!benchmark){
+    note.textContent = offline
+      ? `State averages for ${profile.location} are not saved for offline use, so categories cannot be compared.`
+      : `State averages are not available for ${profile.location}, so categories cannot be compared.`;
+    warningEl.appendChild(note);
+    return;
+  }
+  const over = [];
+  for(const type of Object.keys(benchmark.byType)){
+    const stateMean = benchmark.byType[type].reduce((a, b) => a + b, 0) / (benchmark.byType[type].length || 1);
+    const userMean = weeklyMean(sumByWeek(rows, [type]));
+    if(userMean > stateMean) over.push({ type, userMean, stateMean });
+  }
+  over.sort((a, b) => (b.userMean - b.stateMean) - (a.userMean - a.stateMean));
+  if(over.length === 0){
+    note.textContent = `No category runs above the ${profile.location} average; the gap is in income rather than spending.`;
+    warningEl.appendChild(note);
+    return;
+  }
+  note.textContent = `Categories above the ${profile.location} average over the same weeks:`;
+  const ul = document.createElement('ul');
+  for(const o of over){
+    const li = document.createElement('li');
+    li.textContent = `${o.type}: ${formatMoney(o.userMean)} a week vs ${formatMoney(o.stateMean)} (+${formatMoney(o.userMean - o.stateMean)})`;
+    ul.appendChild(li);
+  }
+  warningEl.appendChild(note);
+  warningEl.appendChild(ul);
+}
+
+// Compute simple statistics and render a brief bullet list under the controls.
+// userRows are the signed-in user's transactions; benchmark is the /api/benchmarks response for
+// the selected cohort (describeCohort) with its per-period means overall and per type, or null
+// when the server withheld it. inflation ({ cpi, baseYear }) is set when the amounts are in
+// constant dollars. The comparison itself lives in report.js.
+function renderChartSummary(userRows, benchmark, periods, granularity, selectedTypes, cohort, recurring, inflation){
+  const summaryEl = document.getElementById('chart-summary');
+  const listEl = document.getElementById('chart-summary-list');
+  if(!summaryEl || !listEl) return;
+  listEl.innerHTML = '';
+  if(!selectedTypes || selectedTypes.length === 0){
+    summaryEl.style.display = 'none';
+    return;
+  }
+  const lines = RadiusReport.summaryLines(RadiusReport.spendingReport({ rows: userRows, benchmark, periods, granularity, types: selectedTypes, recurring }), cohort);
+  if(inflation) lines.unshift({ kind: 'note', text: `Amounts in constant ${inflation.baseYear} dollars (CPI-U); the transaction table shows them as recorded.` });
+  for(const line of lines){
+    const li = document.createElement('li');
+    li.style.marginBottom = line.kind === 'type' ? '6px' : '8px';
+    li.textContent = line.text;
+    listEl.appendChild(li);
+  }
+  summaryEl.style.display = 'block';
+}
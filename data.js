@@ -0,0 +1,142 @@
+// data.js
+// Per-page cache in front of the API for the dashboard. The signed-in user's profile and their
+// transaction history are fetched once and range queries are answered from the history
+// (aggregator.js); benchmark responses are kept per query; the aggregation over the whole history runs in a Web Worker (aggregate-worker.js), or
+// on the page where workers are unavailable. The server's data does not change while it runs,
+// so nothing expires; local changes (txstore.js) are passed in with each query instead.
+// Exposed as window.RadiusData.
+
+(function(root){
+
+  const WORKER_URL = 'aggregate-worker.js';
+
+  let profileRequest = null;     // Promise of the /api/me response
+  const histories = new Map();   // user id -> Promise of a RadiusAggregator history
+  const benchmarks = new Map();  // query key -> Promise of a benchmark response
+  let worker = null;             // null until first needed, false when unavailable
+  let workerUserId = null;       // whose history the worker holds
+  let nextMessageId = 1;
+  const pending = new Map();     // message id -> { resolve, reject }
+
+  function history(userId){
+    const key = String(userId);
+    if(!histories.has(key)){
+      const p = RadiusAPI.transactions(key, {}).then(res => RadiusAggregator.createHistory(res.transactions));
+      // A failed fetch is retried on the next call
+      p.catch(() => { if(histories.get(key) === p) histories.delete(key); });
+      histories.set(key, p);
+    }
+    return histories.get(key);
+  }
+
+  // Same as RadiusAPI.me, fetched once per page (a failed fetch is retried on the next call). While
+  // offline it is the service worker's saved copy until clear() is called after reconnecting.
+  function profile(){
+    if(!profileRequest){
+      const p = RadiusAPI.me();
+      p.catch(() => { if(profileRequest === p) profileRequest = null; });
+      profileRequest = p;
+    }
+    return profileRequest;
+  }
+
+  // Same response shape as RadiusAPI.transactions; params: { from, to, types } (types an array)
+  async function transactions(userId, params){
+    const p = params || {};
+    const h = await history(userId);
+    return { from: p.from || null, to: p.to || null, types: p.types || null, transactions: h.range(p) };
+  }
+
+  // Same as RadiusAPI.benchmark. Withheld cohorts (403) are remembered too; other failures are not.
+  function benchmark(kind, value, params){
+    const key = JSON.stringify([kind, value === undefined ? null : value, params || {}]);
+    if(!benchmarks.has(key)){
+      const p = RadiusAPI.benchmark(kind, value, params);
+      p.catch(err => {
+        if(!(err instanceof RadiusAPI.ApiError && err.status === 403) && benchmarks.get(key) === p) benchmarks.delete(key);
+      });
+      benchmarks.set(key, p);
+    }
+    return benchmarks.get(key);
+  }
+
+  function stateBenchmark(state, params){
+    return benchmark('state', state, params);
+  }
+
+  class WorkerUnavailable extends Error {}
+
+  function startWorker(){
+    if(worker !== null) return worker;
+    if(typeof Worker === 'undefined'){
+      worker = false;
+      return worker;
+    }
+    try{
+      worker = new Worker(WORKER_URL);
+    }catch(err){
+      console.warn('Aggregation worker unavailable; aggregating on the page', err);
+      worker = false;
+      return worker;
+    }
+    worker.onmessage = ev => {
+      const call = pending.get(ev.data.id);
+      if(!call) return;
+      pending.delete(ev.data.id);
+      if(ev.data.error) call.reject(new Error(ev.data.error));
+      else call.resolve(ev.data.result);
+    };
+    // The script failed to load or crashed: finish the open calls on the page from now on
+    worker.onerror = ev => {
+      console.warn('Aggregation worker failed; aggregating on the page', ev.message || ev);
+      worker.terminate();
+      worker = false;
+      workerUserId = null;
+      for(const call of pending.values()) call.reject(new WorkerUnavailable());
+      pending.clear();
+    };
+    return worker;
+  }
+
+  function post(message){
+    return new Promise((resolve, reject) => {
+      if(!worker) return reject(new WorkerUnavailable());
+      const id = nextMessageId++;
+      pending.set(id, { resolve, reject });
+      worker.postMessage(Object.assign({ id }, message));
+    });
+  }
+
+  // analyze(userId, query, records) -> the user's rows over the query's periods, anomaly flags
+  // and recurring charges; see analyze() in aggregator.js for query and the result.
+  async function analyze(userId, query, records){
+    const key = String(userId);
+    const h = await history(key);
+    if(startWorker()){
+      try{
+        if(workerUserId !== key){
+          await post({ op: 'load', userId: key, rows: h.rows });
+          workerUserId = key;
+        }
+        return await post({ op: 'analyze', userId: key, query, records: records || [] });
+      }catch(err){
+        if(!(err instanceof WorkerUnavailable)) throw err;
+      }
+    }
+    return h.analyze(query, records || []);
+  }
+
+  // Forget everything (e.g. on sign-out)
+  function clear(){
+    profileRequest = null;
+    histories.clear();
+    benchmarks.clear();
+    if(worker) worker.terminate();
+    worker = null;
+    workerUserId = null;
+    for(const call of pending.values()) call.reject(new Error('Data cache cleared'));
+    pending.clear();
+  }
+
+  root.RadiusData = { profile, transactions, benchmark, stateBenchmark, analyze, clear };
+})(self);
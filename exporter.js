@@ -0,0 +1,121 @@
+// exporter.js
+// Files the dashboard's export menu produces from its current range and type selection: the
+// transactions behind the chart (CSV or JSON), the series drawn on the spending chart (CSV or
+// JSON) and a printable HTML report. Only builds text; the dashboard downloads or opens it.
+// Exposed as window.RadiusExport in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusCSV || (typeof require === 'function' ? require('./csv.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusExport = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusCSV){
+
+  const TRANSACTION_COLUMNS = ['date', 'category', 'amount', 'note', 'source', 'id'];
+
+  // e.g. radius-transactions_2025-03-03_2025-06-30.csv
+  function exportFileName(kind, from, to, ext){
+    return `radius-${kind}_${from}_${to}.${ext}`;
+  }
+
+  function transactionRecord(r){
+    return { date: r.purchase_date, category: r.purchase_type, amount: r.purchase_amount, note: r.note || '', source: r.source || 'dataset', id: String(r.tx_id) };
+  }
+
+  // rows are merged transaction rows (txstore.js applyOverlay), exported oldest first
+  function sortedRows(rows){
+    return rows.slice().sort((a, b) => a.purchase_date < b.purchase_date ? -1 : a.purchase_date > b.purchase_date ? 1 : 0);
+  }
+
+  function transactionsCSV(rows){
+    return RadiusCSV.stringifyCSV(TRANSACTION_COLUMNS, sortedRows(rows).map(transactionRecord));
+  }
+
+  // meta: { user, from, to, types } describing the selection
+  function transactionsJSON(rows, meta){
+    return JSON.stringify(Object.assign({}, meta, { transactions: sortedRows(rows).map(transactionRecord) }), null, 2) + '\n';
+  }
+
+  // Column names for chart datasets. Two datasets sharing a metaId are the upper and lower edges
+  // of one band (drawn in that order).
+  function seriesColumns(datasets){
+    const seen = new Map();
+    return datasets.map(d => {
+      const key = d.metaId || d.label;
+      const n = seen.get(key) || 0;
+      seen.set(key, n + 1);
+      const shared = datasets.filter(o => (o.metaId || o.label) === key).length > 1;
+      return shared ? `${d.label} (${n === 0 ? 'upper' : 'lower'})` : d.label;
+    });
+  }
+
+  // seriesCSV(periods, datasets): one row per period start date, one column per dataset (empty
+  // where a dataset has no value, e.g. before a forecast starts)
+  function seriesCSV(periods, datasets){
+    const columns = seriesColumns(datasets);
+    const rows = periods.map((p, i) => {
+      const row = { period: p };
+      datasets.forEach((d, j) => {
+        const v = d.data[i];
+        row[columns[j]] = v === null || v === undefined ? '' : v;
+      });
+      return row;
+    });
+    return RadiusCSV.stringifyCSV(['period'].concat(columns), rows);
+  }
+
+  // meta: { user, from, to, types, granularity }; series are keyed by dataset id
+  function seriesJSON(periods, datasets, meta){
+    const columns = seriesColumns(datasets);
+    const series = datasets.map((d, j) => ({ id: d.metaId || d.label, label: columns[j], values: periods.map((p, i) => d.data[i] === undefined ? null : d.data[i]) }));
+    return JSON.stringify(Object.assign({}, meta, { periods, series }), null, 2) + '\n';
+  }
+
+  function escapeHTML(s){
+    return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // reportHTML({ title, user, from, to, types, balance, heading, chartImage, summary, notes })
+  // -> a standalone page that prints itself once the chart image has loaded. chartImage is a
+  // data: URL (PNG); summary and notes are lists of plain-text lines.
+  function reportHTML(report){
+    const list = items => items && items.length ? '<ul>' + items.map(t => '<li>' + escapeHTML(t) + '</li>').join('') + '</ul>' : '';
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHTML(report.title)}</title>
+<style>
+  body{font-family:Roboto,Arial,sans-serif;color:#222;margin:24px;max-width:900px}
+  h1{font-size:22px;margin:0 0 4px}
+  .meta{color:#555;margin:0 0 16px}
+  .balance{display:inline-block;border:1px solid #ddd;border-radius:8px;padding:10px 16px;margin-bottom:16px}
+  .balance span{display:block;font-size:12px;letter-spacing:1px;color:#666}
+  .balance strong{font-size:24px}
+  img{max-width:100%;border:1px solid #eee;border-radius:8px}
+  li{margin-bottom:6px}
+  @media print{body{margin:0}}
+</style>
+</head>
+<body>
+<h1>${escapeHTML(report.title)}</h1>
+<p class="meta">${escapeHTML(report.user)} · ${escapeHTML(report.from)} to ${escapeHTML(report.to)} · ${escapeHTML(report.types.join(', ') || 'no categories selected')}</p>
+<div class="balance"><span>ACCOUNT</span><strong>${escapeHTML(report.balance)}</strong></div>
+<h2 style="font-size:18px">${escapeHTML(report.heading)}</h2>
+${report.chartImage ? `<img id="chart" src="${escapeHTML(report.chartImage)}" alt="${escapeHTML(report.heading)}" />` : ''}
+<h2 style="font-size:18px">Quick analysis</h2>
+${list(report.summary) || '<p>No categories selected.</p>'}
+${list(report.notes)}
+<script>
+  (function(){
+    var img = document.getElementById('chart');
+    if(img && !img.complete) img.addEventListener('load', function(){ window.print(); });
+    else window.print();
+  })();
+</script>
+</body>
+</html>
+`;
+  }
+
+  return { TRANSACTION_COLUMNS, exportFileName, transactionsCSV, transactionsJSON, seriesCSV, seriesJSON, reportHTML, escapeHTML };
+});
@@ -0,0 +1,120 @@
+// forecast.js
+// Short-horizon spending forecasts for a series of per-period totals (oldest first).
+//   'moving-average'  mean of the last `window` periods, flat
+//   'linear'          least-squares trend line through the whole history
+//   'seasonal-naive'  repeats the value from one season earlier (falls back to the moving
+//                     average when the history is shorter than two seasons)
+// Each forecast carries a per-step standard error derived from the method's in-sample one-step
+// errors, so independent series can be summed and given a combined 95% band.
+// Exposed as window.RadiusForecast in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory();
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusForecast = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+
+  const METHODS = ['moving-average', 'linear', 'seasonal-naive'];
+  const Z_95 = 1.96;
+  const DEFAULT_WINDOW = 4;
+
+  // Season length per chart granularity: a week of days, roughly a month of weeks, a year of
+  // months or of quarters
+  const SEASON_LENGTH = { day: 7, week: 4, month: 12, quarter: 4 };
+
+  function mean(values){
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  function rms(errors){
+    return errors.length ? Math.sqrt(errors.reduce((a, e) => a + e * e, 0) / errors.length) : 0;
+  }
+
+  function movingAverage(values, horizon, window){
+    const w = Math.max(1, Math.min(window, values.length));
+    const level = mean(values.slice(-w));
+    const errors = [];
+    for(let i = w; i < values.length; i++) errors.push(values[i] - mean(values.slice(i - w, i)));
+    // Fall back to the spread of the window itself when there is too little history
+    const sigma = errors.length ? rms(errors) : rms(values.slice(-w).map(v => v - level));
+    const out = { values: [], sigma: [] };
+    for(let h = 1; h <= horizon; h++){
+      out.values.push(level);
+      out.sigma.push(sigma * Math.sqrt(1 + (h - 1) / w));
+    }
+    return out;
+  }
+
+  function linear(values, horizon){
+    const n = values.length;
+    const xbar = (n - 1) / 2;
+    const ybar = mean(values);
+    let sxx = 0, sxy = 0;
+    for(let i = 0; i < n; i++){
+      sxx += (i - xbar) * (i - xbar);
+      sxy += (i - xbar) * (values[i] - ybar);
+    }
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = ybar - slope * xbar;
+    const residuals = values.map((v, i) => v - (intercept + slope * i));
+    const s = n > 2 ? Math.sqrt(residuals.reduce((a, e) => a + e * e, 0) / (n - 2)) : rms(residuals);
+    const out = { values: [], sigma: [] };
+    for(let h = 1; h <= horizon; h++){
+      const x = n - 1 + h;
+      out.values.push(intercept + slope * x);
+      out.sigma.push(s * Math.sqrt(1 + 1 / Math.max(n, 1) + (sxx === 0 ? 0 : (x - xbar) * (x - xbar) / sxx)));
+    }
+    return out;
+  }
+
+  function seasonalNaive(values, horizon, season){
+    const errors = [];
+    for(let i = season; i < values.length; i++) errors.push(values[i] - values[i - season]);
+    const sigma = rms(errors);
+    const out = { values: [], sigma: [] };
+    for(let h = 1; h <= horizon; h++){
+      const cycles = Math.ceil(h / season);
+      out.values.push(values[values.length - season + ((h - 1) % season)]);
+      out.sigma.push(sigma * Math.sqrt(cycles));
+    }
+    return out;
+  }
+
+  // forecastSeries(values, horizon, { method, window, season }) -> { method, values, sigma }
+  // method is the one actually used (seasonal-naive may fall back). Forecasts never go below 0.
+  function forecastSeries(values, horizon, options){
+    const opts = options || {};
+    const history = (values || []).map(v => Number(v) || 0);
+    let method = METHODS.includes(opts.method) ? opts.method : 'moving-average';
+    if(history.length === 0) return { method, values: new Array(horizon).fill(0), sigma: new Array(horizon).fill(0) };
+    const season = opts.season || SEASON_LENGTH.week;
+    if(method === 'seasonal-naive' && history.length < 2 * season) method = 'moving-average';
+    if(method === 'linear' && history.length < 3) method = 'moving-average';
+    let f;
+    if(method === 'linear') f = linear(history, horizon);
+    else if(method === 'seasonal-naive') f = seasonalNaive(history, horizon, season);
+    else f = movingAverage(history, horizon, opts.window || DEFAULT_WINDOW);
+    return { method, values: f.values.map(v => Math.max(0, v)), sigma: f.sigma };
+  }
+
+  // Sum forecasts of independent series step by step; errors add in quadrature.
+  function combineForecasts(forecasts){
+    const horizon = forecasts.length ? forecasts[0].values.length : 0;
+    const values = [], sigma = [];
+    for(let h = 0; h < horizon; h++){
+      values.push(forecasts.reduce((a, f) => a + f.values[h], 0));
+      sigma.push(Math.sqrt(forecasts.reduce((a, f) => a + f.sigma[h] * f.sigma[h], 0)));
+    }
+    return { values, sigma };
+  }
+
+  // 95% band around a forecast, clamped at zero
+  function forecastBand(forecast){
+    return {
+      lower: forecast.values.map((v, i) => Math.max(0, v - Z_95 * forecast.sigma[i])),
+      upper: forecast.values.map((v, i) => v + Z_95 * forecast.sigma[i])
+    };
+  }
+
+  return { METHODS, SEASON_LENGTH, forecastSeries, combineForecasts, forecastBand };
+});
@@ -0,0 +1,77 @@
+// goals.js
+// Savings goals ("Emergency fund $3,000 by 2025-12-01"), saved per user in localStorage under
+// 'dashboard.goals.<userId>' as a list of { id, name, target, deadline, saved }.
+// goalPlan works out what is left, the weekly contribution needed to reach the target by the
+// deadline and whether a given weekly surplus covers it.
+// Exposed as window.RadiusGoals in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusAnalytics || (typeof require === 'function' ? require('./analytics.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusGoals = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusAnalytics){
+
+  const { parseISODate } = RadiusAnalytics;
+
+  function storageKey(userId){
+    return 'dashboard.goals.' + userId;
+  }
+
+  function loadGoals(userId, storage){
+    try{
+      const saved = JSON.parse(storage.getItem(storageKey(userId)) || '[]');
+      return Array.isArray(saved) ? saved : [];
+    }catch(e){ return []; }
+  }
+
+  function saveGoals(userId, goals, storage){
+    storage.setItem(storageKey(userId), JSON.stringify(goals));
+  }
+
+  // Validate a goal from the editor; throws with a user-facing message.
+  function cleanGoal(fields){
+    const name = String(fields.name || '').trim().slice(0, 80);
+    if(!name) throw new Error('Give the goal a name.');
+    const target = Number(fields.target);
+    if(!Number.isFinite(target) || target <= 0) throw new Error('Target must be a positive amount.');
+    const saved = fields.saved === '' || fields.saved === undefined ? 0 : Number(fields.saved);
+    if(!Number.isFinite(saved) || saved < 0) throw new Error('Amount saved cannot be negative.');
+    const deadline = String(fields.deadline || '');
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(deadline) || Number.isNaN(Date.parse(deadline + 'T00:00:00Z'))) throw new Error('Deadline must be a valid date.');
+    return { name, target: Math.round(target * 100) / 100, saved: Math.round(saved * 100) / 100, deadline };
+  }
+
+  function newGoalId(){
+    if(typeof crypto !== 'undefined' && crypto.randomUUID) return 'goal-' + crypto.randomUUID();
+    return 'goal-' + Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+
+  // Copy of goals with the goal `id` replaced by the validated fields, or with a new goal
+  // appended when id is null
+  function withGoal(goals, id, fields){
+    const goal = cleanGoal(fields);
+    if(id && goals.some(g => g.id === id)) return goals.map(g => g.id === id ? Object.assign({ id }, goal) : g);
+    return goals.concat([Object.assign({ id: newGoalId() }, goal)]);
+  }
+
+  // goalPlan(goal, asOf, weeklySurplus) -> { remaining, progress, weeksLeft, neededWeekly, overdue, reached, onTrack }
+  // weeksLeft counts from asOf to the deadline; neededWeekly is null once the deadline has passed.
+  function goalPlan(goal, asOf, weeklySurplus){
+    const remaining = Math.max(0, goal.target - goal.saved);
+    const reached = remaining === 0;
+    const weeksLeft = (parseISODate(goal.deadline) - parseISODate(asOf)) / (7 * 86400000);
+    const overdue = !reached && weeksLeft <= 0;
+    const neededWeekly = reached ? 0 : overdue ? null : remaining / Math.max(weeksLeft, 1 / 7);
+    return {
+      remaining: Math.round(remaining * 100) / 100,
+      progress: Math.min(1, goal.saved / goal.target),
+      weeksLeft: Math.max(0, weeksLeft),
+      neededWeekly: neededWeekly === null ? null : Math.round(neededWeekly * 100) / 100,
+      overdue,
+      reached,
+      onTrack: reached || (!overdue && weeklySurplus !== null && weeklySurplus >= neededWeekly)
+    };
+  }
+
+  return { loadGoals, saveGoals, cleanGoal, withGoal, goalPlan };
+});
@@ -0,0 +1,320 @@
+// importer.js
+// Bank statement import: OFX/QFX files and bank CSV exports whose columns the user maps to date,
+// amount and description. Statement lines become purchases ({ date, amount, description }) with
+// positive amounts; credits such as deposits and refunds are skipped. Descriptions are sorted into
+// purchase types with keyword rules (first match wins), saved per user in localStorage under
+// 'dashboard.importRules.<userId>'. Candidates matching an existing row (same date and amount) or
+// an earlier line of the same file are flagged as duplicates before anything is stored.
+// Exposed as window.RadiusImport in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusCSV || (typeof require === 'function' ? require('./csv.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusImport = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusCSV){
+
+  const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYYMMDD'];
+
+  // Starting rules for the dataset's purchase types; more specific keywords come first
+  const DEFAULT_RULES = [
+    { keyword: 'uber eats', type: 'Food' },
+    { keyword: 'doordash', type: 'Food' },
+    { keyword: 'grubhub', type: 'Food' },
+    { keyword: 'grocery', type: 'Food' },
+    { keyword: 'supermarket', type: 'Food' },
+    { keyword: 'market', type: 'Food' },
+    { keyword: 'kroger', type: 'Food' },
+    { keyword: 'safeway', type: 'Food' },
+    { keyword: 'publix', type: 'Food' },
+    { keyword: 'whole foods', type: 'Food' },
+    { keyword: 'trader joe', type: 'Food' },
+    { keyword: 'restaurant', type: 'Food' },
+    { keyword: 'cafe', type: 'Food' },
+    { keyword: 'coffee', type: 'Food' },
+    { keyword: 'starbucks', type: 'Food' },
+    { keyword: 'pizza', type: 'Food' },
+    { keyword: 'rent', type: 'Housing' },
+    { keyword: 'mortgage', type: 'Housing' },
+    { keyword: 'hoa', type: 'Housing' },
+    { keyword: 'electric', type: 'Utilities' },
+    { keyword: 'power', type: 'Utilities' },
+    { keyword: 'energy', type: 'Utilities' },
+    { keyword: 'water', type: 'Utilities' },
+    { keyword: 'internet', type: 'Utilities' },
+    { keyword: 'comcast', type: 'Utilities' },
+    { keyword: 'verizon', type: 'Utilities' },
+    { keyword: 'at&t', type: 'Utilities' },
+    { keyword: 'uber', type: 'Transport' },
+    { keyword: 'lyft', type: 'Transport' },
+    { keyword: 'shell', type: 'Transport' },
+    { keyword: 'chevron', type: 'Transport' },
+    { keyword: 'exxon', type: 'Transport' },
+    { keyword: 'fuel', type: 'Transport' },
+    { keyword: 'parking', type: 'Transport' },
+    { keyword: 'transit', type: 'Transport' },
+    { keyword: 'airline', type: 'Transport' },
+    { keyword: 'netflix', type: 'Entertainment' },
+    { keyword: 'spotify', type: 'Entertainment' },
+    { keyword: 'hulu', type: 'Entertainment' },
+    { keyword: 'disney', type: 'Entertainment' },
+    { keyword: 'cinema', type: 'Entertainment' },
+    { keyword: 'theater', type: 'Entertainment' },
+    { keyword: 'steam', type: 'Entertainment' },
+    { keyword: 'pharmacy', type: 'Healthcare' },
+    { keyword: 'cvs', type: 'Healthcare' },
+    { keyword: 'walgreens', type: 'Healthcare' },
+    { keyword: 'clinic', type: 'Healthcare' },
+    { keyword: 'dental', type: 'Healthcare' },
+    { keyword: 'hospital', type: 'Healthcare' },
+    { keyword: 'doctor', type: 'Healthcare' }
+  ];
+
+  // ---- OFX / QFX ----
+
+  // Value of an OFX element inside a block. Handles both SGML (OFX 1.x, no closing tags) and
+  // XML (OFX 2.x) forms.
+  function ofxValue(block, tag){
+    const m = new RegExp('<' + tag + '>([^<\\r\\n]*)', 'i').exec(block);
+    return m ? m[1].trim() : '';
+  }
+
+  function decodeEntities(s){
+    return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  }
+
+  // parseOFX(text) -> { lines: [{ date, amount, description, fitid, line }], errors: [{ line, message }] }
+  // amount keeps the statement's sign (debits negative); line is where the transaction starts.
+  function parseOFX(text){
+    const src = String(text == null ? '' : text);
+    if(!/<OFX>/i.test(src)) return { lines: [], errors: [{ line: 1, message: 'Not an OFX/QFX file (no <OFX> element)' }] };
+    const lines = [];
+    const errors = [];
+    const re = /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi;
+    let m;
+    while((m = re.exec(src))){
+      const block = m[1];
+      const line = src.slice(0, m.index).split('\n').length;
+      const posted = ofxValue(block, 'DTPOSTED');
+      const amount = Number(ofxValue(block, 'TRNAMT').replace(',', '.'));
+      const date = /^\d{8}/.test(posted) ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : null;
+      if(!date || !validISODate(date)){ errors.push({ line, message: 'Missing or invalid DTPOSTED' }); continue; }
+      if(!Number.isFinite(amount)){ errors.push({ line, message: 'Missing or invalid TRNAMT' }); continue; }
+      const name = decodeEntities(ofxValue(block, 'NAME'));
+      const memo = decodeEntities(ofxValue(block, 'MEMO'));
+      lines.push({ date, amount, description: [name, memo].filter(Boolean).join(' — '), fitid: ofxValue(block, 'FITID') || null, line });
+    }
+    if(lines.length === 0 && errors.length === 0) errors.push({ line: 1, message: 'No transactions (<STMTTRN>) found' });
+    return { lines, errors };
+  }
+
+  // ---- CSV ----
+
+  // The delimiter (',', ';' or tab) that splits the first line into the most fields
+  function detectDelimiter(text){
+    const first = String(text || '').split(/\r?\n/).find(l => l.trim()) || '';
+    let best = ',', bestCount = 0;
+    for(const d of [',', ';', '\t']){
+      const count = first.split(d).length;
+      if(count > bestCount){ best = d; bestCount = count; }
+    }
+    return best;
+  }
+
+  // readCSVStatement(text) -> { header, rows, lines, errors, delimiter }, every field a string
+  function readCSVStatement(text){
+    const delimiter = detectDelimiter(text);
+    return Object.assign({ delimiter }, RadiusCSV.parseCSV(text, { delimiter }));
+  }
+
+  // Likely columns for date, amount and description from the header names
+  function guessColumnMapping(header){
+    const find = patterns => {
+      for(const p of patterns){
+        const hit = header.find(h => p.test(h));
+        if(hit) return hit;
+      }
+      return '';
+    };
+    return {
+      date: find([/^(transaction |posting |posted |booking )?date$/i, /date/i]),
+      amount: find([/^amount$/i, /amount/i, /debit|withdrawal/i, /value/i]),
+      description: find([/^description$/i, /description|payee|merchant|memo|details|narrative|name/i])
+    };
+  }
+
+  function validISODate(iso){
+    const d = new Date(iso + 'T00:00:00Z');
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === iso;
+  }
+
+  // ISO date for value written in format, or null
+  function parseDate(value, format){
+    const s = String(value || '').trim();
+    let y, mo, d, m;
+    if(format === 'YYYY-MM-DD' && (m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(s))) [y, mo, d] = [m[1], m[2], m[3]];
+    else if(format === 'YYYYMMDD' && (m = /^(\d{4})(\d{2})(\d{2})$/.exec(s))) [y, mo, d] = [m[1], m[2], m[3]];
+    else if((format === 'MM/DD/YYYY' || format === 'DD/MM/YYYY') && (m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(s))){
+      y = m[3].length === 2 ? '20' + m[3] : m[3];
+      [mo, d] = format === 'MM/DD/YYYY' ? [m[1], m[2]] : [m[2], m[1]];
+    }
+    if(!y) return null;
+    const iso = `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+    return validISODate(iso) ? iso : null;
+  }
+
+  // The format that reads the most values, earlier formats winning ties (so month-first unless a
+  // day above 12 shows the dates are day-first), or null when none reads any
+  function detectDateFormat(values){
+    const sample = values.map(v => String(v || '').trim()).filter(Boolean);
+    let best = null, bestCount = 0;
+    for(const f of DATE_FORMATS){
+      const count = sample.filter(v => parseDate(v, f)).length;
+      if(count > bestCount){ best = f; bestCount = count; }
+    }
+    return best;
+  }
+
+  // Number for a bank amount such as "-1,234.56", "$12.00", "(12.00)", "12.00-" or "1.234,56";
+  // NaN when unreadable
+  function parseAmount(value){
+    let s = String(value == null ? '' : value).trim().replace(/[\s$€£]/g, '');
+    if(!s) return NaN;
+    let negative = false;
+    if(/^\(.*\)$/.test(s)){ negative = true; s = s.slice(1, -1); }
+    if(/-$/.test(s)){ negative = true; s = s.slice(0, -1); }
+    if(/^[-+]/.test(s)){ negative = s[0] === '-'; s = s.slice(1); }
+    // A comma followed by one or two final digits is a decimal comma
+    if(/,\d{1,2}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+    else s = s.replace(/,/g, '');
+    if(!/^\d+(\.\d+)?$/.test(s)) return NaN;
+    return negative ? -Number(s) : Number(s);
+  }
+
+  // mapCSVRows(parsed, mapping) -> { lines: [{ date, amount, description, fitid, line }], errors }
+  // mapping: { date, amount, description } column names plus dateFormat (one of DATE_FORMATS, or
+  // 'auto' to detect it from the date column). Amounts keep the file's sign.
+  function mapCSVRows(parsed, mapping){
+    const errors = [];
+    const lines = [];
+    if(!mapping.date || !mapping.amount) return { lines, errors: [{ line: 1, message: 'Choose the date and amount columns' }] };
+    const format = !mapping.dateFormat || mapping.dateFormat === 'auto' ? detectDateFormat(parsed.rows.map(r => r[mapping.date])) : mapping.dateFormat;
+    if(!format) return { lines, errors: [{ line: 1, message: `Could not read the dates in "${mapping.date}" with any of ${DATE_FORMATS.join(', ')}` }] };
+    parsed.rows.forEach((row, i) => {
+      const line = parsed.lines[i];
+      const date = parseDate(row[mapping.date], format);
+      const amount = parseAmount(row[mapping.amount]);
+      if(!date) return errors.push({ line, message: `Date "${row[mapping.date]}" is not ${format}` });
+      if(!Number.isFinite(amount)) return errors.push({ line, message: `Amount "${row[mapping.amount]}" is not a number` });
+      lines.push({ date, amount, description: mapping.description ? String(row[mapping.description] || '').trim() : '', fitid: null, line });
+    });
+    return { lines, errors: errors.concat(parsed.errors || []).sort((a, b) => a.line - b.line), dateFormat: format };
+  }
+
+  // Purchases among statement lines: spending is negative in the file unless purchasesPositive.
+  // Returns { purchases: [{ date, amount (> 0), description, fitid, line }], skipped }.
+  function toPurchases(lines, purchasesPositive){
+    const purchases = [];
+    let skipped = 0;
+    for(const l of lines){
+      const amount = purchasesPositive ? l.amount : -l.amount;
+      if(!(amount > 0)){ skipped++; continue; }
+      purchases.push(Object.assign({}, l, { amount: Math.round(amount * 100) / 100 }));
+    }
+    return { purchases, skipped };
+  }
+
+  // ---- Categorisation rules ----
+
+  function rulesKey(userId){
+    return 'dashboard.importRules.' + userId;
+  }
+
+  function loadRules(userId, storage){
+    try{
+      const saved = JSON.parse(storage.getItem(rulesKey(userId)) || 'null');
+      if(Array.isArray(saved)) return saved.filter(r => r && r.keyword && r.type);
+    }catch(e){}
+    return DEFAULT_RULES.map(r => Object.assign({}, r));
+  }
+
+  function saveRules(userId, rules, storage){
+    storage.setItem(rulesKey(userId), JSON.stringify(rules));
+  }
+
+  function resetRules(userId, storage){
+    storage.removeItem(rulesKey(userId));
+  }
+
+  // One rule per line, "keyword = Type"
+  function rulesToText(rules){
+    return rules.map(r => `${r.keyword} = ${r.type}`).join('\n');
+  }
+
+  // parseRulesText(text, purchaseTypes) -> rules; throws with a user-facing message naming the
+  // first bad line. Types are matched case-insensitively to purchaseTypes.
+  function parseRulesText(text, purchaseTypes){
+    const rules = [];
+    String(text || '').split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.trim();
+      if(!line || line.startsWith('#')) return;
+      const sep = line.lastIndexOf('=');
+      const keyword = sep > 0 ? line.slice(0, sep).trim().toLowerCase() : '';
+      const typeText = sep > 0 ? line.slice(sep + 1).trim() : '';
+      if(!keyword || !typeText) throw new Error(`Rule ${i + 1}: write it as "keyword = Type".`);
+      const type = purchaseTypes.find(t => t.toLowerCase() === typeText.toLowerCase());
+      if(!type) throw new Error(`Rule ${i + 1}: unknown type "${typeText}" (expected one of ${purchaseTypes.join(', ')}).`);
+      rules.push({ keyword, type });
+    });
+    return rules;
+  }
+
+  // The type of the first rule whose keyword appears in description (as a whole word or
+  // phrase), or null
+  function categorize(description, rules){
+    const text = ' ' + String(description || '').toLowerCase().replace(/[^a-z0-9&']+/g, ' ') + ' ';
+    for(const r of rules){
+      const keyword = ' ' + String(r.keyword).toLowerCase().replace(/[^a-z0-9&']+/g, ' ').trim() + ' ';
+      if(keyword.trim() && text.includes(keyword)) return r.type;
+    }
+    return null;
+  }
+
+  // ---- Duplicates ----
+
+  function sameAmount(a, b){
+    return Math.abs(a - b) < 0.005;
+  }
+
+  // markDuplicates(purchases, existingRows) -> purchases with duplicate: 'existing' | 'file' | null
+  // 'existing': a row already recorded (dataset or local) has the same date and amount, one row
+  // per purchase. 'file': an earlier line of this import has the same FITID, or the same date,
+  // amount and description.
+  function markDuplicates(purchases, existingRows){
+    const pool = new Map();
+    for(const r of existingRows || []){
+      const key = r.purchase_date;
+      if(!pool.has(key)) pool.set(key, []);
+      pool.get(key).push(r.purchase_amount);
+    }
+    const seen = [];
+    return purchases.map(p => {
+      let duplicate = null;
+      if(seen.some(s => (p.fitid && s.fitid === p.fitid) || (s.date === p.date && sameAmount(s.amount, p.amount) && s.description === p.description))){
+        duplicate = 'file';
+      }else{
+        const amounts = pool.get(p.date) || [];
+        const i = amounts.findIndex(a => sameAmount(a, p.amount));
+        if(i >= 0){ duplicate = 'existing'; amounts.splice(i, 1); }
+      }
+      seen.push(p);
+      return Object.assign({}, p, { duplicate });
+    });
+  }
+
+  return {
+    DATE_FORMATS, DEFAULT_RULES,
+    parseOFX, readCSVStatement, guessColumnMapping, parseDate, detectDateFormat, parseAmount, mapCSVRows, toPurchases,
+    loadRules, saveRules, resetRules, rulesToText, parseRulesText, categorize,
+    markDuplicates
+  };
+});
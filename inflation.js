@@ -0,0 +1,75 @@
+// inflation.js
+// Constant-dollar conversion with a bundled CPI table (benchmarks/cpi.csv: a `period` column of
+// YYYY for annual averages or YYYY-MM for months, and the index in `cpi`). An amount dated in a
+// month is restated in base-year dollars as amount * CPI(base year) / CPI(that month). Months
+// missing from the table use their year's annual average, and dates past the end of the table
+// the latest index available.
+// Exposed as window.RadiusInflation in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusCSV || (typeof require === 'function' ? require('./csv.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusInflation = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusCSV){
+
+  function periodColumn(raw){
+    if(!/^\d{4}(-(0[1-9]|1[0-2]))?$/.test(raw)) throw new Error('expected YYYY or YYYY-MM, got "' + raw + '"');
+    return raw;
+  }
+
+  // parseCPITable(text) -> { cpi: { annual, monthly }, errors }
+  // annual maps years (numbers) and monthly 'YYYY-MM' keys to index values.
+  function parseCPITable(text){
+    const { rows, errors } = RadiusCSV.parseCSV(text, { columns: { period: periodColumn, cpi: 'number' } });
+    const annual = new Map();
+    const monthly = new Map();
+    for(const row of rows){
+      if(!(row.cpi > 0)) continue;
+      if(row.period.length === 4) annual.set(Number(row.period), row.cpi);
+      else monthly.set(row.period, row.cpi);
+    }
+    return { cpi: { annual, monthly }, errors };
+  }
+
+  // Years with an annual average, ascending (the choices for a base year)
+  function baseYears(cpi){
+    return Array.from(cpi.annual.keys()).sort((a, b) => a - b);
+  }
+
+  // Index for the month of an ISO date (or a bare year), or null when the table has nothing
+  // at or before it
+  function indexFor(cpi, dateOrYear){
+    const s = String(dateOrYear);
+    const year = Number(s.slice(0, 4));
+    if(s.length >= 7 && cpi.monthly.has(s.slice(0, 7))) return cpi.monthly.get(s.slice(0, 7));
+    if(cpi.annual.has(year)) return cpi.annual.get(year);
+    // Past the end of the table: carry the latest index forward
+    let latest = null, latestKey = '';
+    for(const [y, v] of cpi.annual) if(String(y) <= s && String(y) > latestKey){ latest = v; latestKey = String(y); }
+    for(const [m, v] of cpi.monthly) if(m <= s && m > latestKey){ latest = v; latestKey = m; }
+    return latest;
+  }
+
+  // Multiplier that restates dollars of dateOrYear in baseYear dollars (1 when either is unknown)
+  function realFactor(cpi, dateOrYear, baseYear){
+    const from = indexFor(cpi, dateOrYear);
+    const base = cpi.annual.get(Number(baseYear));
+    return from && base ? base / from : 1;
+  }
+
+  function round2(x){
+    return Math.round(x * 100) / 100;
+  }
+
+  // Copies of rows with purchase_amount in baseYear dollars
+  function deflateRows(rows, cpi, baseYear){
+    return rows.map(r => Object.assign({}, r, { purchase_amount: round2(r.purchase_amount * realFactor(cpi, r.purchase_date, baseYear)) }));
+  }
+
+  // A per-period series in baseYear dollars, each value deflated at its period's start date
+  function deflateSeries(values, periods, cpi, baseYear){
+    return values.map((v, i) => v === null || v === undefined ? v : round2(v * realFactor(cpi, periods[i], baseYear)));
+  }
+
+  return { parseCPITable, baseYears, indexFor, realFactor, deflateRows, deflateSeries };
+});
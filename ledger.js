@@ -0,0 +1,82 @@
+// ledger.js
+// Running balance for one user: start from an opening balance, credit income_weekly at the start
+// of every Monday-start week and debit each purchase. Income is booked before purchases on the
+// same day. Used for the balance-over-time chart, the savings rate and the check against the
+// dataset's stored balance.
+// Exposed as window.RadiusLedger in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusAnalytics || (typeof require === 'function' ? require('./analytics.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusLedger = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusAnalytics){
+
+  const { addDaysISO, weekStartISO } = RadiusAnalytics;
+
+  const MISMATCH_TOLERANCE = 0.01;
+
+  function round2(v){
+    return Math.round(v * 100) / 100;
+  }
+
+  // buildLedger({ rows, openingBalance, weeklyIncome, from, to, incomeFrom, incomeTo }) -> { from, to, openingBalance, entries, closingBalance }
+  // rows are the user's purchases; from/to bound the ledger. Income is credited for every week
+  // starting in [weekStart(incomeFrom), incomeTo], which default to from/to (narrow them to the
+  // weeks the income is known for). entries: { date, kind: 'income'|'purchase', amount, balance, tx_id?, purchase_type? }
+  function buildLedger(options){
+    const opening = Number(options.openingBalance) || 0;
+    const income = Number(options.weeklyIncome) || 0;
+    const { from, to } = options;
+    const incomeFrom = options.incomeFrom && options.incomeFrom > from ? options.incomeFrom : from;
+    const incomeTo = options.incomeTo && options.incomeTo < to ? options.incomeTo : to;
+    const entries = [];
+    if(income > 0){
+      for(let w = weekStartISO(incomeFrom); w <= incomeTo; w = addDaysISO(w, 7)) entries.push({ date: w, kind: 'income', amount: income });
+    }
+    for(const r of options.rows || []){
+      if(!r.purchase_date || r.purchase_date < from || r.purchase_date > to) continue;
+      entries.push({ date: r.purchase_date, kind: 'purchase', amount: -r.purchase_amount, tx_id: r.tx_id, purchase_type: r.purchase_type });
+    }
+    entries.sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : (a.kind === b.kind ? 0 : a.kind === 'income' ? -1 : 1));
+    let balance = opening;
+    for(const e of entries){
+      balance += e.amount;
+      e.balance = round2(balance);
+    }
+    return { from, to, openingBalance: opening, entries, closingBalance: round2(balance) };
+  }
+
+  // Balance at the end of a day
+  function balanceAt(ledger, date){
+    let balance = ledger.openingBalance;
+    for(const e of ledger.entries){
+      if(e.date > date) break;
+      balance = e.balance;
+    }
+    return balance;
+  }
+
+  // Income, spending and savings rate ((income - spending) / income) for entries in [from, to]
+  function savingsRate(ledger, from, to){
+    let income = 0, spending = 0;
+    for(const e of ledger.entries){
+      if(e.date < from || e.date > to) continue;
+      if(e.kind === 'income') income += e.amount;
+      else spending -= e.amount;
+    }
+    return { income: round2(income), spending: round2(spending), net: round2(income - spending), rate: income > 0 ? (income - spending) / income : null };
+  }
+
+  // Compare the ledger's closing balance with a stored balance. impliedOpening is the opening
+  // balance that would make the two agree.
+  function reconcile(ledger, storedBalance){
+    const difference = round2(ledger.closingBalance - storedBalance);
+    return {
+      matches: Math.abs(difference) <= MISMATCH_TOLERANCE,
+      difference,
+      impliedOpening: round2(storedBalance - (ledger.closingBalance - ledger.openingBalance))
+    };
+  }
+
+  return { MISMATCH_TOLERANCE, buildLedger, balanceAt, savingsRate, reconcile };
+});
@@ -0,0 +1,11 @@
+// offline.js
+// Registers the service worker (sw.js) that keeps the app, and the signed-in user's last data,
+// available without a connection. Loaded by both pages; does nothing where service workers are
+// unsupported or the page was opened from disk rather than through the server.
+
+(function(root){
+  if(!('serviceWorker' in root.navigator) || !/^https?:$/.test(root.location.protocol)) return;
+  root.addEventListener('load', () => {
+    root.navigator.serviceWorker.register('sw.js').catch(err => console.warn('Offline support unavailable', err));
+  });
+})(self);
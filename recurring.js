@@ -0,0 +1,199 @@
+// recurring.js
+// Recurring charges in one user's history (rent, utility bills, subscriptions). A series is
+// recurring when most gaps between its charges match a cadence (weekly, biweekly or monthly) and
+// most amounts lie within a tolerance of the series median. Recurring charges count as fixed
+// spending, the rest as discretionary.
+// Exposed as window.RadiusRecurring in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusAnalytics || (typeof require === 'function' ? require('./analytics.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusRecurring = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusAnalytics){
+
+  const { parseISODate, toISODate, addDaysISO } = RadiusAnalytics;
+
+  // Expected gap in days and how far off a single gap may be
+  const CADENCES = [
+    { id: 'weekly', days: 7, slack: 1 },
+    { id: 'biweekly', days: 14, slack: 2 },
+    { id: 'monthly', days: 30, slack: 3 }
+  ];
+  // ± share of the median amount. A bill barely moves from one charge to the next; everyday
+  // spending in a category varies by a third or more, so a looser band passes it off as a bill.
+  const AMOUNT_TOLERANCE = 0.15;
+  const GROUP_TOLERANCE = 0.05;   // same-size charges inside a category (subscriptions)
+  const MIN_MATCH_SHARE = 0.75;   // share of gaps and of amounts that must fit
+  const MIN_OCCURRENCES = 4;
+
+  function median(values){
+    const sorted = values.slice().sort((a, b) => a - b);
+    const n = sorted.length;
+    if(n === 0) return 0;
+    return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  }
+
+  function daysBetween(a, b){
+    return Math.round((parseISODate(b) - parseISODate(a)) / 86400000);
+  }
+
+  // Same day n months later, clamped to that month's last day (Jan 31 -> Feb 28, Mar 31)
+  function addMonthsISO(iso, n){
+    const d = parseISODate(iso);
+    const y = d.getUTCFullYear(), m = d.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    return toISODate(new Date(Date.UTC(y, m, Math.min(d.getUTCDate(), lastDay))));
+  }
+
+  // The n-th charge after the one on iso
+  function nextDueISO(iso, cadence, n){
+    const steps = n || 1;
+    if(cadence === 'monthly') return addMonthsISO(iso, steps);
+    return addDaysISO(iso, steps * (cadence === 'biweekly' ? 14 : 7));
+  }
+
+  // The cadence at least share (default MIN_MATCH_SHARE) of the gaps between consecutive dates
+  // match, or undefined
+  function cadenceOf(dates, share){
+    const gaps = dates.slice(1).map((d, i) => daysBetween(dates[i], d));
+    return CADENCES.find(c => gaps.filter(g => Math.abs(g - c.days) <= c.slack).length >= (share || MIN_MATCH_SHARE) * gaps.length);
+  }
+
+  // Charges summed per date, dates ascending
+  function totalsByDate(charges){
+    const totals = new Map();
+    for(const c of charges) totals.set(c.date, (totals.get(c.date) || 0) + c.amount);
+    return new Map(Array.from(totals).sort((a, b) => a[0] < b[0] ? -1 : 1));
+  }
+
+  function makeSeries(type, scope, totals, cadence, within, asOf){
+    const dates = Array.from(totals.keys());
+    const lastDate = dates[dates.length - 1];
+    return {
+      type,
+      scope,
+      cadence: cadence.id,
+      occurrences: dates.length,
+      amount: Math.round(median(Array.from(totals.values())) * 100) / 100,
+      low: Math.min(...within),
+      high: Math.max(...within),
+      lastDate,
+      nextDate: nextDueISO(lastDate, cadence.id),
+      active: !asOf || daysBetween(lastDate, asOf) <= 2 * cadence.days + cadence.slack
+    };
+  }
+
+  // detectRecurring(rows, { tolerance, asOf }) ->
+  //   [{ type, scope, cadence, occurrences, amount, low, high, lastDate, nextDate, active }]
+  // scope 'category': the whole purchase_type recurs (e.g. rent paid every week, amount varying
+  // within tolerance). scope 'amount': no whole-category pattern, but a group of charges within
+  // GROUP_TOLERANCE of one amount recurs at every step of its cadence (e.g. a monthly subscription
+  // among other Entertainment spending). That tolerance is fixed and tight, and no cycle may be
+  // skipped, so chance runs of similar amounts in everyday spending do not qualify; only charges
+  // between low and high belong to it. amount is the median charge. A series is active when its
+  // last charge is no more than one missed charge before asOf.
+  function detectRecurring(rows, options){
+    const opts = options || {};
+    const tolerance = Number.isFinite(opts.tolerance) ? opts.tolerance : AMOUNT_TOLERANCE;
+    const byType = new Map();
+    for(const r of rows){
+      if(!r.purchase_date || !Number.isFinite(r.purchase_amount)) continue;
+      if(!byType.has(r.purchase_type)) byType.set(r.purchase_type, []);
+      byType.get(r.purchase_type).push({ date: r.purchase_date, amount: r.purchase_amount });
+    }
+    const out = [];
+    for(const [type, charges] of byType){
+      const totals = totalsByDate(charges);
+      if(totals.size < MIN_OCCURRENCES) continue;
+      const cadence = cadenceOf(Array.from(totals.keys()));
+      const amounts = Array.from(totals.values());
+      const med = median(amounts);
+      const within = amounts.filter(a => Math.abs(a - med) <= tolerance * med);
+      if(cadence && within.length >= MIN_MATCH_SHARE * amounts.length){
+        out.push(makeSeries(type, 'category', totals, cadence, within, opts.asOf));
+        continue;
+      }
+      // Largest recurring group of same-size charges, repeated until none is left
+      let remaining = charges;
+      for(;;){
+        let best = null;
+        for(const seed of new Set(remaining.map(c => c.amount))){
+          const members = remaining.filter(c => Math.abs(c.amount - seed) <= GROUP_TOLERANCE * seed);
+          if(best && members.length <= best.members.length) continue;
+          const memberTotals = totalsByDate(members);
+          if(memberTotals.size < MIN_OCCURRENCES || memberTotals.size < members.length) continue;
+          const memberCadence = cadenceOf(Array.from(memberTotals.keys()), 1);
+          if(memberCadence) best = { members, totals: memberTotals, cadence: memberCadence };
+        }
+        if(!best) break;
+        out.push(makeSeries(type, 'amount', best.totals, best.cadence, best.members.map(c => c.amount), opts.asOf));
+        remaining = remaining.filter(c => !best.members.includes(c));
+      }
+    }
+    return out.sort((a, b) => b.amount - a.amount);
+  }
+
+  // variableCategories(rows, { tolerance }) -> [{ type, cadence, occurrences, amount, low, high }]
+  // Categories charged on a cadence whose amounts vary too much to be a bill (fewer than
+  // MIN_MATCH_SHARE of them within tolerance of the median), so the dashboard can say why they are
+  // not listed. In the bundled dataset every category is charged every Monday with amounts that
+  // vary by 30% or more, so all of them end up here and none is a bill. low and high are the
+  // smallest and largest charge; amount is the median.
+  function variableCategories(rows, options){
+    const opts = options || {};
+    const tolerance = Number.isFinite(opts.tolerance) ? opts.tolerance : AMOUNT_TOLERANCE;
+    const byType = new Map();
+    for(const r of rows){
+      if(!r.purchase_date || !Number.isFinite(r.purchase_amount)) continue;
+      if(!byType.has(r.purchase_type)) byType.set(r.purchase_type, []);
+      byType.get(r.purchase_type).push({ date: r.purchase_date, amount: r.purchase_amount });
+    }
+    const out = [];
+    for(const [type, charges] of byType){
+      const totals = totalsByDate(charges);
+      if(totals.size < MIN_OCCURRENCES) continue;
+      const cadence = cadenceOf(Array.from(totals.keys()));
+      if(!cadence) continue;
+      const amounts = Array.from(totals.values());
+      const med = median(amounts);
+      if(amounts.filter(a => Math.abs(a - med) <= tolerance * med).length >= MIN_MATCH_SHARE * amounts.length) continue;
+      out.push({ type, cadence: cadence.id, occurrences: totals.size, amount: Math.round(med * 100) / 100, low: Math.min(...amounts), high: Math.max(...amounts) });
+    }
+    return out.sort((a, b) => b.amount - a.amount);
+  }
+
+  // Expected charges of the active series from `from` through `to`, earliest first. Due dates
+  // missed before `from` roll forward to their next occurrence.
+  function upcomingCharges(series, from, to){
+    const out = [];
+    for(const s of series){
+      if(!s.active) continue;
+      for(let n = 1, due = s.nextDate; due <= to; due = nextDueISO(s.lastDate, s.cadence, ++n)){
+        if(due >= from) out.push({ type: s.type, cadence: s.cadence, date: due, amount: s.amount });
+      }
+    }
+    return out.sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : b.amount - a.amount);
+  }
+
+  function isRecurringCharge(row, series){
+    return series.some(s => s.type === row.purchase_type && (s.scope === 'category' || (row.purchase_amount >= s.low && row.purchase_amount <= s.high)));
+  }
+
+  // Split spending into recurring charges (fixed) and everything else (discretionary).
+  // fixedTypes lists the categories with at least one fixed charge among rows.
+  function splitFixedSpending(rows, series){
+    const fixedTypes = new Set();
+    let fixed = 0, discretionary = 0;
+    for(const r of rows){
+      if(isRecurringCharge(r, series)){
+        fixed += r.purchase_amount;
+        fixedTypes.add(r.purchase_type);
+      }else{
+        discretionary += r.purchase_amount;
+      }
+    }
+    return { fixed: Math.round(fixed * 100) / 100, discretionary: Math.round(discretionary * 100) / 100, fixedTypes: Array.from(fixedTypes) };
+  }
+
+  return { CADENCES, AMOUNT_TOLERANCE, detectRecurring, variableCategories, upcomingCharges, isRecurringCharge, splitFixedSpending };
+});
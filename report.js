@@ -0,0 +1,155 @@
+// report.js
+// The spending comparison behind the dashboard's Quick analysis box, free of DOM code so the
+// command-line report (tools/radius.js) runs the same rules under Node. spendingReport compares
+// the user's mean spending per period with a cohort benchmark (/api/benchmarks response), overall
+// and per type; summaryLines words the result.
+// Exposed as window.RadiusReport in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(
+    root.RadiusAnalytics || (typeof require === 'function' ? require('./analytics.js') : null),
+    root.RadiusRecurring || (typeof require === 'function' ? require('./recurring.js') : null)
+  );
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusReport = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusAnalytics, RadiusRecurring){
+
+  const { sumByPeriod, stateToRegion, incomeBracket } = RadiusAnalytics;
+
+  const REGION_NAMES = ['Northeast', 'Midwest', 'South', 'West'];
+  // Differences within this many percent of the cohort mean count as similar
+  const SIMILAR_THRESHOLD_PCT = 10;
+
+  function formatMoney(value){
+    const n = Number(value);
+    if(isNaN(n)) return '$0.00';
+    return (n < 0 ? '-$' : '$') + Math.abs(n).toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2});
+  }
+
+  // 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st (rounded to a whole number)
+  function ordinal(value){
+    const n = Math.round(value);
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return n + suffix;
+  }
+
+  // Wording and lookups for a cohort key: 'state:<state>', 'region:<region>', 'income:<bracket id>'
+  // or 'national'. benchmarkRegion picks the region column of the benchmark table.
+  function describeCohort(key){
+    const sep = key.indexOf(':');
+    const kind = sep < 0 ? key : key.slice(0, sep);
+    const value = sep < 0 ? null : key.slice(sep + 1);
+    if(kind === 'state') return { key, kind, value, name: value, noun: 'state', subject: 'the state', place: 'in ' + value, lineLabel: `${value} — state average`, benchmarkRegion: stateToRegion(value) };
+    if(kind === 'region') return { key, kind, value, name: value, noun: 'regional', subject: 'the region', place: 'in the ' + value, lineLabel: `${value} — regional average`, benchmarkRegion: value };
+    if(kind === 'income'){
+      const bracket = incomeBracket(Number(value.split(/[-+]/)[0]));
+      const label = bracket ? bracket.label : value;
+      return { key, kind, value, name: label, noun: 'income bracket', subject: 'the income bracket', place: `among ${label} incomes`, lineLabel: `${label} incomes — bracket average`, benchmarkRegion: 'United States' };
+    }
+    return { key: 'national', kind: 'national', value: null, name: 'All users', noun: 'national', subject: 'all users', place: 'nationally', lineLabel: 'All users — national average', benchmarkRegion: 'United States' };
+  }
+
+  // compareSpending(you, cohort) -> { pct, relation }
+  // relation: 'none' (both zero), 'cohort-zero', 'user-zero', 'higher', 'lower' or 'similar'.
+  // pct is the difference relative to the cohort mean, null when the cohort mean is zero.
+  function compareSpending(you, cohort){
+    const pct = cohort === 0 ? null : ((you - cohort) / cohort) * 100;
+    let relation;
+    if(cohort === 0 && you === 0) relation = 'none';
+    else if(cohort === 0 && you > 0) relation = 'cohort-zero';
+    else if(you === 0 && cohort > 0) relation = 'user-zero';
+    else if(Math.abs(pct || 0) > SIMILAR_THRESHOLD_PCT) relation = pct > 0 ? 'higher' : 'lower';
+    else relation = 'similar';
+    return { pct, relation };
+  }
+
+  // spendingReport({ rows, benchmark, periods, granularity, types, recurring }) ->
+  //   { granularity, periodCount, types, total, split, byType }
+  // rows are the user's transactions over periods; benchmark is the cohort's benchmark response
+  // or null when withheld, in which case total and byType carry the user's side only.
+  // total and each byType entry: { you, cohort, pct, relation, percentile } with means per period.
+  // split is the fixed/discretionary split of rows (recurring.js), fixedTypes limited to types.
+  function spendingReport(options){
+    const { rows, benchmark, periods, granularity, types } = options;
+    const n = periods.length || 1;
+    const you = benchmark ? benchmark.you : null;
+
+    const userTotalsMap = sumByPeriod(rows, granularity, types.length ? types : null);
+    const userPerPeriod = periods.length ? periods.reduce((acc, p) => acc + (userTotalsMap.get(p) || 0), 0) / periods.length : 0;
+    const total = { you: userPerPeriod, cohort: null, pct: null, relation: null, percentile: null };
+    if(benchmark){
+      total.cohort = periods.length ? benchmark.average.reduce((a, b) => a + b, 0) / periods.length : 0;
+      Object.assign(total, compareSpending(total.you, total.cohort));
+      total.percentile = you && typeof you.percentile === 'number' ? you.percentile : null;
+    }
+
+    // Fixed spending is what falls in recurring categories; the rest is discretionary
+    const split = RadiusRecurring.splitFixedSpending(rows, options.recurring || []);
+    split.fixedTypes = split.fixedTypes.filter(t => types.includes(t));
+
+    const byType = types.map(type => {
+      const userTotals = sumByPeriod(rows, granularity, [type]);
+      const entry = { type, you: periods.map(p => Number((userTotals.get(p) || 0).toFixed(2))).reduce((a, b) => a + b, 0) / n, cohort: null, pct: null, relation: null, percentile: null };
+      if(benchmark){
+        // The benchmark already averaged across users per period; average across periods
+        // A type too few of the cohort's users bought is withheld by the server: no comparison
+        const cohortValues = benchmark.byType && benchmark.byType[type];
+        if(cohortValues){
+          entry.cohort = cohortValues.reduce((a, b) => a + b, 0) / n;
+          Object.assign(entry, compareSpending(entry.you, entry.cohort));
+          entry.percentile = you && you.byType && typeof you.byType[type] === 'number' ? you.byType[type] : null;
+        }
+      }
+      return entry;
+    });
+
+    return { granularity, periodCount: periods.length, types: types.slice(), total, split, byType };
+  }
+
+  function fmtPct(p){
+    if(p === null || !Number.isFinite(p)) return 'N/A';
+    return (p >= 0 ? '+' : '') + p.toFixed(1) + '%';
+  }
+
+  function relationText(relation, scope, cohort){
+    switch(relation){
+      case 'none': return `No spending in ${scope} for both you and ${cohort.subject}.`;
+      case 'cohort-zero': return `You spend in ${scope} while the ${cohort.noun} average is zero.`;
+      case 'user-zero': return `You spend significantly less (zero) than the ${cohort.noun} average.`;
+      case 'higher': return `Higher than the ${cohort.noun} average.`;
+      case 'lower': return `Lower than the ${cohort.noun} average.`;
+      default: return `Similar to the ${cohort.noun} average.`;
+    }
+  }
+
+  // summaryLines(report, cohort) -> [{ kind: 'total' | 'split' | 'type', text }]
+  // cohort is a describeCohort() result.
+  function summaryLines(report, cohort){
+    const rankText = rank => typeof rank === 'number' ? `; ${ordinal(rank)} percentile ${cohort.place}` : '';
+    const labelText = report.types.length ? `Total of selected categories per ${report.granularity}:` : `Total (all types) per ${report.granularity}:`;
+    const { split, total } = report;
+    const splitTotal = split.fixed + split.discretionary;
+    const share = v => splitTotal > 0 ? ` (${(v / splitTotal * 100).toFixed(0)}%)` : '';
+    const splitLine = {
+      kind: 'split',
+      text: split.fixedTypes.length
+        ? `Fixed spending (${split.fixedTypes.join(', ')}): ${formatMoney(split.fixed)}${share(split.fixed)}; discretionary: ${formatMoney(split.discretionary)}${share(split.discretionary)}.`
+        : `No recurring charges among the selected categories: all ${formatMoney(splitTotal)} is discretionary.`
+    };
+    if(total.cohort === null){
+      return [{ kind: 'total', text: `${labelText} ${formatMoney(total.you)}. The ${cohort.name} average is not available (too few users to publish).` }, splitLine];
+    }
+    const lines = [
+      { kind: 'total', text: `${labelText} ${relationText(total.relation, 'the selected categories', cohort)} (You: ${formatMoney(total.you)}, ${cohort.name}: ${formatMoney(total.cohort)}, ${fmtPct(total.pct)}${rankText(total.percentile)})` },
+      splitLine
+    ];
+    // Per type: percent only, no dollar amounts
+    for(const t of report.byType){
+      if(t.cohort === null) lines.push({ kind: 'type', text: `${t.type}: the ${cohort.name} average is not available (too few users to publish).` });
+      else lines.push({ kind: 'type', text: `${t.type}: ${relationText(t.relation, 'this category', cohort)} (${fmtPct(t.pct)}${rankText(t.percentile)})` });
+    }
+    return lines;
+  }
+
+  return { REGION_NAMES, SIMILAR_THRESHOLD_PCT, formatMoney, ordinal, describeCohort, compareSpending, spendingReport, summaryLines };
+});
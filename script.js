@@ -4,6 +4,19 @@ document.addEventListener('DOMContentLoaded', ()=>{
   const loginBtn = document.getElementById('login-btn');
   const back = document.getElementById('back-btn');
 
+  // Sent here from the dashboard because the session lapsed or was rejected: say so and reopen the form
+  const sessionReason = new URLSearchParams(window.location.search).get('session');
+  const notice = document.getElementById('login-notice');
+  if(sessionReason && notice && loginSection){
+    notice.textContent = sessionReason === 'expired'
+      ? 'Your session has expired. Please log in again.'
+      : 'Please log in to continue.';
+    notice.classList.remove('hidden');
+    loginSection.classList.remove('hidden');
+    loginSection.setAttribute('aria-hidden','false');
+    document.body.classList.add('modal-open');
+  }
+
   if(getStarted){
     getStarted.addEventListener('click', ()=>{
       if(loginSection){
@@ -30,40 +43,11 @@ document.addEventListener('DOMContentLoaded', ()=>{
       const acctPass = password.value;
       const acctId = accountId.value.trim();
 
-      // Fetch CSV and validate credentials
-      fetch('assets/dataset.csv')
-        .then(r => { if(!r.ok) throw new Error('Network response was not ok'); return r.text(); })
-        .then(text => {
-          const lines = text.split(/\r?\n/).filter(Boolean);
-          if(lines.length === 0) throw new Error('Empty CSV');
-          const headers = lines.shift().split(',').map(h=>h.trim());
-          const rows = lines.map(line => {
-            const parts = line.split(',');
-            const obj = {};
-            for(let i=0;i<headers.length;i++) obj[headers[i]] = (parts[i]||'').trim();
-            return obj;
-          });
-
-          // Check if any user exists with provided id or name
-          const anyMatch = rows.find(r => r.id === acctId || (r.name && r.name === acctName));
-          if(!anyMatch){
-            alert('User name or user id does not exist.');
-            return;
-          }
-
-          // Find exact user record (id + name)
-          const userRow = rows.find(r => r.id === acctId && r.name === acctName);
-          if(!userRow){
-            alert('User name or user id does not exist.');
-            return;
-          }
-
-          // Validate password
-          if(userRow.password !== acctPass){
-            alert('Password incorrect.');
-            return;
-          }
-
+      // The API server verifies the password against the salted hash and hands back a session
+      // token; neither the dataset nor any credential record is sent to the browser.
+      loginBtn.disabled = true;
+      RadiusAPI.login(acctId, acctName, acctPass)
+        .then(userRow => {
           // Success: save user session and redirect
           localStorage.setItem('loggedUserId', userRow.id);
           localStorage.setItem('loggedUserName', userRow.name);
@@ -74,9 +58,23 @@ document.addEventListener('DOMContentLoaded', ()=>{
           window.location.href = 'dashboard.html';
         })
         .catch(err => {
+          // Wrong credentials and throttled attempts come with a message meant for the user
+          if(err instanceof RadiusAPI.ApiError && (err.status === 401 || err.status === 429)){
+            alert(err.message);
+            return;
+          }
           console.error('Login error', err);
-          alert('Failed to verify credentials: ' + err.message + '\nMake sure you are running the site over HTTP (localhost) so the CSV can be fetched.');
-        });
+          // No response at all: the app may have opened from its offline copy (sw.js), which
+          // cannot sign anyone in
+          if(!(err instanceof RadiusAPI.ApiError)){
+            alert('Cannot reach the Radius Finance server, so you cannot log in right now.' +
+              (navigator.onLine === false ? ' Check your connection and try again.' : ' Make sure it is running (node server/index.js) and try again.') +
+              (RadiusAPI.getToken() ? '\nYou are still logged in on this device: the dashboard shows the data saved on your last visit.' : ''));
+            return;
+          }
+          alert('Failed to verify credentials: ' + err.message);
+        })
+        .finally(() => { loginBtn.disabled = false; });
     });
   }
 
@@ -0,0 +1,235 @@
+// server/app.js
+// Request handler for the Radius Finance API and the static front-end files.
+//
+//   POST /api/login                                   { id, name, password } -> { token, user, expiresAt }
+//   POST /api/logout                                  revokes the current session token
+//   GET  /api/me                                      profile of the signed-in user
+//   GET  /api/users/:id/transactions?from&to&types    the signed-in user's own rows
+//   POST /api/users/:id/transactions                  { purchase_type, purchase_amount, purchase_date, note, client_id } -> { transaction, replayed }
+//   PATCH  /api/users/:id/transactions/:txId          { purchase_type, purchase_amount, purchase_date, note, original_amount } -> { transaction }
+//   DELETE /api/users/:id/transactions/:txId          { original_amount } -> { deleted }
+//   GET  /api/benchmarks/state/:state?from&to&types&granularity   state averages and percentiles per day/week/month/quarter (anonymized)
+//   GET  /api/benchmarks/region/:region?…               the same for a census region (Northeast, Midwest, South, West)
+//   GET  /api/benchmarks/income/:bracket?…              the same for an income_yearly bracket, e.g. 75000-100000
+//   GET  /api/benchmarks/national?…                     the same across every user
+//   GET  /api/admin/audit?event&user&client&from&to&limit   audit log (admin accounts only)
+//
+// Login attempts are throttled per account and per client address (see throttle.js) and every
+// login, failure and logout is written to the audit log (see audit.js). Failed logins get one
+// uniform message whether the account, the name or the password was wrong.
+//
+// Changes to transactions are only accepted for the signed-in user's own rows. An edit or deletion
+// of a row that changed since the client saw it (original_amount) gets a 409 with the current row.
+//
+// Authenticated responses carry an X-Session-Expires header (ms since epoch) so the client can
+// send the user back to the login page when the session lapses.
+// Only the files the browser needs are served; the raw dataset and credential records are not.
+
+const fs = require('fs');
+const path = require('path');
+const RadiusCredentials = require('../credentials.js');
+const { StoreError } = require('./store.js');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const LOGIN_FAILED_MESSAGE = 'Invalid account name, account ID or password.';
+
+// Front-end files: top-level pages, scripts and styles plus the public benchmark tables, logo, app icons and manifest
+const PUBLIC_FILE_RE = /^\/(?:[\w-]+\.(?:html|js|css)|assets\/logo\.svg|assets\/icon-[\w-]+\.png|manifest\.webmanifest|filtered_expenditures\.csv|benchmarks\/[\w-]+\.(?:json|csv))$/;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8'
+};
+
+function sendJSON(res, status, body){
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(text);
+}
+
+function readJSONBody(req){
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if(size > MAX_BODY_BYTES){
+        reject(new StoreError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if(chunks.length === 0) return resolve({});
+      let body;
+      try{ body = JSON.parse(Buffer.concat(chunks).toString('utf8')); }
+      catch(e){ return reject(new StoreError(400, 'Request body is not valid JSON')); }
+      // null, arrays, strings and numbers are valid JSON but not a request
+      if(!body || typeof body !== 'object' || Array.isArray(body)) return reject(new StoreError(400, 'Request body must be a JSON object'));
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+function bearerToken(req){
+  const h = req.headers['authorization'] || '';
+  const m = /^Bearer\s+(\S+)$/i.exec(h);
+  return m ? m[1] : null;
+}
+
+function clientAddress(req){
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function createApp(options){
+  const { store, sessions, throttles, audit, rootDir } = options;
+  const adminIds = new Set((options.adminIds || []).map(String));
+
+  // Unknown accounts are checked against a throwaway record so they cost as much time as a
+  // wrong password and the response time does not reveal which accounts exist.
+  let dummyCredential = null;
+  async function verifyOrDummy(record, password){
+    if(record) return RadiusCredentials.verifyPassword(record, password);
+    if(!dummyCredential) dummyCredential = await RadiusCredentials.createCredential('', '', String(Math.random()));
+    await RadiusCredentials.verifyPassword(dummyCredential, password);
+    return false;
+  }
+
+  function requireSession(ctx){
+    const session = sessions.verify(bearerToken(ctx.req));
+    if(!session.ok) throw new StoreError(401, session.reason === 'expired' ? 'Session expired' : 'Not signed in');
+    ctx.res.setHeader('X-Session-Expires', String(session.expiresAt));
+    return session;
+  }
+
+  const routes = [
+    { method: 'POST', re: /^\/api\/login$/, handler: async ctx => {
+      const body = await readJSONBody(ctx.req);
+      const id = String(body.id || '').trim();
+      const name = String(body.name || '').trim();
+      const password = String(body.password || '');
+      if(!id || !name || !password) throw new StoreError(400, 'id, name and password are required');
+      const client = clientAddress(ctx.req);
+      const accountKey = id.toLowerCase();
+      // Honour the longer of the account and client waits
+      const gates = [throttles.account.check(accountKey), throttles.client.check(client)].filter(g => !g.allowed);
+      if(gates.length){
+        const seconds = Math.ceil(Math.max(...gates.map(g => g.retryAfterMs)) / 1000);
+        const locked = gates.some(g => g.locked);
+        audit.record('login.failure', { userId: id, client, reason: locked ? 'locked' : 'throttled' });
+        ctx.res.setHeader('Retry-After', String(seconds));
+        throw new StoreError(429, 'Too many login attempts. Try again in ' + seconds + ' second' + (seconds === 1 ? '' : 's') + '.');
+      }
+      // Count the attempt as a failure before the (slow) password check: attempts sent in parallel
+      // would otherwise all pass the gate above before any of them was counted. A correct password
+      // clears the count again.
+      const accountLocked = throttles.account.recordFailure(accountKey);
+      const clientLocked = throttles.client.recordFailure(client);
+      const record = await store.findCredential(id, name);
+      if(!(await verifyOrDummy(record, password))){
+        audit.record('login.failure', { userId: id, client, reason: record ? 'bad_password' : 'unknown_account' });
+        if(accountLocked || clientLocked) audit.record('login.locked', { userId: id, client, reason: accountLocked ? 'account' : 'client' });
+        throw new StoreError(401, LOGIN_FAILED_MESSAGE);
+      }
+      throttles.account.recordSuccess(accountKey);
+      throttles.client.recordSuccess(client);
+      audit.record('login.success', { userId: record.id, client });
+      const { token, expiresAt } = sessions.create(record.id);
+      ctx.res.setHeader('X-Session-Expires', String(expiresAt));
+      return { token, expiresAt, user: { id: record.id, name: record.name } };
+    } },
+    { method: 'POST', re: /^\/api\/logout$/, handler: ctx => {
+      // Always succeeds so the client can finish logging out even with a stale token
+      const userId = sessions.destroy(bearerToken(ctx.req));
+      if(userId) audit.record('logout', { userId, client: clientAddress(ctx.req) });
+      return { ok: true };
+    } },
+    { method: 'GET', re: /^\/api\/me$/, handler: ctx => {
+      const session = requireSession(ctx);
+      const user = store.findUser(session.userId);
+      if(!user) throw new StoreError(404, 'User not found in dataset');
+      return Object.assign({}, user, { dataRange: store.dataRange, purchaseTypes: store.purchaseTypes, states: store.states });
+    } },
+    { method: 'GET', re: /^\/api\/users\/([^/]+)\/transactions$/, handler: (ctx, id) => {
+      const session = requireSession(ctx);
+      if(id !== session.userId) throw new StoreError(403, 'You can only read your own transactions');
+      return Object.assign({ user: id }, store.userTransactions(id, ctx.query));
+    } },
+    { method: 'POST', re: /^\/api\/users\/([^/]+)\/transactions$/, handler: async (ctx, id) => {
+      const session = requireSession(ctx);
+      if(id !== session.userId) throw new StoreError(403, 'You can only change your own transactions');
+      return store.addTransaction(id, await readJSONBody(ctx.req));
+    } },
+    { method: 'PATCH', re: /^\/api\/users\/([^/]+)\/transactions\/([^/]+)$/, handler: async (ctx, id, txId) => {
+      const session = requireSession(ctx);
+      if(id !== session.userId) throw new StoreError(403, 'You can only change your own transactions');
+      return store.updateTransaction(id, txId, await readJSONBody(ctx.req));
+    } },
+    { method: 'DELETE', re: /^\/api\/users\/([^/]+)\/transactions\/([^/]+)$/, handler: async (ctx, id, txId) => {
+      const session = requireSession(ctx);
+      if(id !== session.userId) throw new StoreError(403, 'You can only change your own transactions');
+      return store.deleteTransaction(id, txId, await readJSONBody(ctx.req));
+    } },
+    { method: 'GET', re: /^\/api\/benchmarks\/national$/, handler: ctx => {
+      const session = requireSession(ctx);
+      return store.cohortBenchmark('national', undefined, ctx.query, session.userId);
+    } },
+    { method: 'GET', re: /^\/api\/benchmarks\/(state|region|income)\/([^/]+)$/, handler: (ctx, kind, value) => {
+      const session = requireSession(ctx);
+      return store.cohortBenchmark(kind, value, ctx.query, session.userId);
+    } },
+    { method: 'GET', re: /^\/api\/admin\/audit$/, handler: ctx => {
+      const session = requireSession(ctx);
+      if(!adminIds.has(session.userId)) throw new StoreError(403, 'Admin access required');
+      return { entries: audit.query(ctx.query) };
+    } }
+  ];
+
+  function serveStatic(req, res, pathname){
+    if(pathname === '/') pathname = '/index.html';
+    if(!PUBLIC_FILE_RE.test(pathname)) return sendJSON(res, 404, { error: 'Not found' });
+    const file = path.join(rootDir, pathname);
+    fs.readFile(file, (err, data) => {
+      if(err) return sendJSON(res, 404, { error: 'Not found' });
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+      res.end(req.method === 'HEAD' ? undefined : data);
+    });
+  }
+
+  return async function handle(req, res){
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname;
+    if(!pathname.startsWith('/api/')){
+      if(req.method !== 'GET' && req.method !== 'HEAD') return sendJSON(res, 405, { error: 'Method not allowed' });
+      return serveStatic(req, res, pathname);
+    }
+    const ctx = { req, res, query: Object.fromEntries(url.searchParams) };
+    try{
+      let matchedPath = false;
+      for(const route of routes){
+        const m = route.re.exec(pathname);
+        if(!m) continue;
+        matchedPath = true;
+        if(route.method !== req.method) continue;
+        const params = m.slice(1).map(decodeURIComponent);
+        const result = await route.handler(ctx, ...params);
+        return sendJSON(res, 200, result);
+      }
+      sendJSON(res, matchedPath ? 405 : 404, { error: matchedPath ? 'Method not allowed' : 'Not found' });
+    }catch(err){
+      if(err instanceof StoreError) return sendJSON(res, err.status, Object.assign({ error: err.message }, err.details));
+      if(err instanceof URIError) return sendJSON(res, 400, { error: 'Malformed URL' });
+      console.error(err);
+      sendJSON(res, 500, { error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = { createApp, sendJSON, readJSONBody, bearerToken, LOGIN_FAILED_MESSAGE };
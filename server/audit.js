@@ -0,0 +1,62 @@
+// server/audit.js
+// Append-only audit log of authentication events, one JSON object per line.
+// Entries: { ts, event, userId, client, reason }
+//   event: 'login.success' | 'login.failure' | 'login.locked' | 'logout'
+// Recent entries are also kept in memory so admins can query them through the API.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_IN_MEMORY = 10000;
+
+// createAuditLog({ file }) -> { record, query }. Without a file, entries are kept in memory only.
+function createAuditLog(options){
+  const file = options && options.file;
+  const entries = [];
+
+  if(file){
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if(fs.existsSync(file)){
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for(const line of lines){
+        if(!line.trim()) continue;
+        try{ entries.push(JSON.parse(line)); }catch(e){ /* skip torn writes */ }
+      }
+      if(entries.length > MAX_IN_MEMORY) entries.splice(0, entries.length - MAX_IN_MEMORY);
+    }
+  }
+
+  function record(event, details){
+    const entry = Object.assign({ ts: new Date().toISOString(), event }, details || {});
+    entries.push(entry);
+    if(entries.length > MAX_IN_MEMORY) entries.shift();
+    if(file){
+      fs.appendFile(file, JSON.stringify(entry) + '\n', err => {
+        if(err) console.error('Failed to write audit log: ' + err.message);
+      });
+    }
+    return entry;
+  }
+
+  // query({ event, user, client, from, to, limit }) -> newest first
+  // event matches exactly or by prefix ('login' matches every login.* event); from/to are ISO times.
+  function query(filters){
+    const f = filters || {};
+    const limit = Math.min(Math.max(parseInt(f.limit, 10) || 100, 1), 1000);
+    const out = [];
+    for(let i = entries.length - 1; i >= 0 && out.length < limit; i--){
+      const e = entries[i];
+      if(f.event && e.event !== f.event && !e.event.startsWith(f.event + '.')) continue;
+      if(f.user && e.userId !== String(f.user)) continue;
+      if(f.client && e.client !== f.client) continue;
+      if(f.from && e.ts < f.from) continue;
+      if(f.to && e.ts > f.to) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  return { record, query };
+}
+
+module.exports = { createAuditLog };
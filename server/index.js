@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// server/index.js
+// Local Radius Finance API server. Serves the front-end and the /api routes from a local
+// CSV or SQLite data file so the app can be run and tested offline.
+//
+// Usage: node server/index.js [--data assets/dataset.csv|file.sqlite] [--table transactions]
+//                             [--credentials server/credentials] [--port 8080] [--host 127.0.0.1]
+//                             [--idle-timeout 30] [--session-lifetime 480]
+//                             [--audit-log logs/audit.jsonl] [--admin <id>[,<id>...]]
+//                             [--changes server/changes.jsonl]
+// Session tokens are signed with RADIUS_SESSION_SECRET when set, otherwise with a random secret
+// (sessions then end when the server restarts). Timeouts are in minutes.
+// Admin accounts (allowed to query the audit log) can also be listed in RADIUS_ADMIN_IDS.
+// Transactions users add, edit or delete are journaled to the --changes file (see store.js).
+
+const http = require('http');
+const path = require('path');
+const { loadStore } = require('./store.js');
+const { createSessionStore, DEFAULT_IDLE_TIMEOUT_MS, DEFAULT_ABSOLUTE_TIMEOUT_MS } = require('./sessions.js');
+const { createLoginThrottle, ACCOUNT_DEFAULTS, CLIENT_DEFAULTS } = require('./throttle.js');
+const { createAuditLog } = require('./audit.js');
+const { createApp } = require('./app.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function parseArgs(argv){
+  const args = {
+    data: path.join(ROOT_DIR, 'assets', 'dataset.csv'),
+    table: 'transactions',
+    credentials: path.join(ROOT_DIR, 'server', 'credentials'),
+    port: Number(process.env.PORT) || 8080,
+    host: process.env.HOST || '127.0.0.1',
+    idleTimeout: DEFAULT_IDLE_TIMEOUT_MS / 60000,
+    sessionLifetime: DEFAULT_ABSOLUTE_TIMEOUT_MS / 60000,
+    auditLog: path.join(ROOT_DIR, 'logs', 'audit.jsonl'),
+    changes: path.join(ROOT_DIR, 'server', 'changes.jsonl'),
+    admins: (process.env.RADIUS_ADMIN_IDS || '').split(',').map(s => s.trim()).filter(Boolean)
+  };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(a === '--data') args.data = path.resolve(argv[++i]);
+    else if(a === '--table') args.table = argv[++i];
+    else if(a === '--credentials') args.credentials = path.resolve(argv[++i]);
+    else if(a === '--port') args.port = parseInt(argv[++i], 10);
+    else if(a === '--host') args.host = argv[++i];
+    else if(a === '--idle-timeout') args.idleTimeout = Number(argv[++i]);
+    else if(a === '--session-lifetime') args.sessionLifetime = Number(argv[++i]);
+    else if(a === '--audit-log') args.auditLog = path.resolve(argv[++i]);
+    else if(a === '--changes') args.changes = path.resolve(argv[++i]);
+    else if(a === '--admin') args.admins.push(...argv[++i].split(',').map(s => s.trim()).filter(Boolean));
+    else throw new Error('Unknown argument: ' + a);
+  }
+  if(!(args.idleTimeout > 0) || !(args.sessionLifetime > 0)) throw new Error('Session timeouts must be positive numbers of minutes');
+  return args;
+}
+
+async function main(){
+  const args = parseArgs(process.argv.slice(2));
+  const store = await loadStore({ dataFile: args.data, table: args.table, credentialsDir: args.credentials, changesFile: args.changes });
+  const sessions = createSessionStore({
+    secret: process.env.RADIUS_SESSION_SECRET,
+    idleTimeoutMs: args.idleTimeout * 60000,
+    absoluteTimeoutMs: args.sessionLifetime * 60000
+  });
+  const app = createApp({
+    store,
+    sessions,
+    throttles: { account: createLoginThrottle(ACCOUNT_DEFAULTS), client: createLoginThrottle(CLIENT_DEFAULTS) },
+    audit: createAuditLog({ file: args.auditLog }),
+    adminIds: args.admins,
+    rootDir: ROOT_DIR
+  });
+  const server = http.createServer(app);
+  server.listen(args.port, args.host, () => {
+    console.log('Loaded ' + store.rowCount + ' rows from ' + args.data);
+    console.log('Radius Finance running at http://' + args.host + ':' + args.port + '/');
+  });
+}
+
+main().catch(err => {
+  console.error('Failed to start server: ' + err.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// server/sessions.js
+// Signed session tokens handed out by POST /api/login.
+//
+// A token is base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload)). The payload names a
+// server-side session id, so tokens cannot be forged or edited to point at another user, and a
+// session can still be revoked (logout) or idled out before its absolute expiry.
+
+const crypto = require('crypto');
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;      // 30 minutes without an API call
+const DEFAULT_ABSOLUTE_TIMEOUT_MS = 8 * 60 * 60 * 1000; // 8 hours after login, regardless of activity
+
+function base64url(buf){
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(str){
+  return Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// createSessionStore({ secret, idleTimeoutMs, absoluteTimeoutMs, now })
+// Without a secret a random one is generated, so sessions do not survive a restart.
+function createSessionStore(options){
+  const opts = options || {};
+  const secret = opts.secret || crypto.randomBytes(32);
+  const idleTimeoutMs = opts.idleTimeoutMs || DEFAULT_IDLE_TIMEOUT_MS;
+  const absoluteTimeoutMs = opts.absoluteTimeoutMs || DEFAULT_ABSOLUTE_TIMEOUT_MS;
+  const now = opts.now || Date.now;
+  const sessions = new Map(); // sid -> { userId, createdAt, lastSeen, expiresAt }
+
+  function sign(payloadB64){
+    return base64url(crypto.createHmac('sha256', secret).update(payloadB64).digest());
+  }
+
+  // Moment the session lapses if nothing else happens: idle or absolute expiry, whichever is first
+  function expiryOf(session){
+    return Math.min(session.lastSeen + idleTimeoutMs, session.expiresAt);
+  }
+
+  function sweep(){
+    const t = now();
+    for(const [sid, s] of sessions) if(expiryOf(s) <= t) sessions.delete(sid);
+  }
+
+  function create(userId){
+    sweep();
+    const t = now();
+    const sid = base64url(crypto.randomBytes(18));
+    const session = { userId: String(userId), createdAt: t, lastSeen: t, expiresAt: t + absoluteTimeoutMs };
+    sessions.set(sid, session);
+    const payload = base64url(JSON.stringify({ sid, uid: session.userId, iat: t, exp: session.expiresAt }));
+    return { token: payload + '.' + sign(payload), expiresAt: expiryOf(session) };
+  }
+
+  // Decode and check a token's signature. Returns the payload or null.
+  function decode(token){
+    if(!token || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if(parts.length !== 2) return null;
+    const expected = Buffer.from(sign(parts[0]));
+    const actual = Buffer.from(parts[1]);
+    if(expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try{ return JSON.parse(fromBase64url(parts[0]).toString('utf8')); }catch(e){ return null; }
+  }
+
+  // verify(token) -> { ok: true, userId, sid, expiresAt } | { ok: false, reason: 'missing'|'invalid'|'expired' }
+  // A successful check counts as activity and pushes the idle expiry forward.
+  function verify(token){
+    if(!token) return { ok: false, reason: 'missing' };
+    const payload = decode(token);
+    if(!payload) return { ok: false, reason: 'invalid' };
+    const t = now();
+    if(typeof payload.exp !== 'number' || payload.exp <= t) return { ok: false, reason: 'expired' };
+    const session = sessions.get(payload.sid);
+    if(!session || session.userId !== String(payload.uid)) return { ok: false, reason: 'invalid' };
+    if(expiryOf(session) <= t){
+      sessions.delete(payload.sid);
+      return { ok: false, reason: 'expired' };
+    }
+    session.lastSeen = t;
+    return { ok: true, userId: session.userId, sid: payload.sid, expiresAt: expiryOf(session) };
+  }
+
+  // Revoke the session behind a token and return its user id (null when there was nothing to
+  // revoke). Expired-but-signed tokens can still be logged out.
+  function destroy(token){
+    const payload = decode(token);
+    if(!payload || !sessions.has(payload.sid)) return null;
+    const session = sessions.get(payload.sid);
+    sessions.delete(payload.sid);
+    return session.userId;
+  }
+
+  return { create, verify, destroy, idleTimeoutMs, absoluteTimeoutMs };
+}
+
+module.exports = { createSessionStore, DEFAULT_IDLE_TIMEOUT_MS, DEFAULT_ABSOLUTE_TIMEOUT_MS };
@@ -0,0 +1,492 @@
+// server/store.js
+// Loads the dataset (CSV or SQLite) and the credential records once and answers the
+// user-scoped and aggregate queries behind the API routes. Nothing here ever returns another
+// user's rows: benchmarks are averages over cohorts (a state, a census region, an income bracket
+// or everyone) of at least MIN_COHORT_SIZE users.
+// Queries read indexes built at load time (rows per user, users per cohort and per-user spending
+// per period and type) rather than scanning every row, so their cost follows the size of the
+// answer, not of the dataset.
+// Users can add, edit and delete their own transactions. The data file is never rewritten: each
+// change is appended to a journal (changesFile, one JSON object per line) before it is
+// acknowledged, and the journal is replayed over the data file on load.
+
+const fs = require('fs');
+const path = require('path');
+const RadiusCSV = require('../csv.js');
+const RadiusAnalytics = require('../analytics.js');
+const RadiusCredentials = require('../credentials.js');
+
+// Column types for assets/dataset.csv (see csv.js for the available coercions)
+const DATASET_COLUMNS = {
+  id: 'string',
+  name: 'string',
+  location: 'string',
+  balance: 'number',
+  income_yearly: 'number',
+  purchase_type: 'string',
+  purchase_amount: 'number',
+  purchase_date: 'date',
+  income_weekly: 'number'
+};
+
+// Smallest cohort we are willing to publish an average for
+const MIN_COHORT_SIZE = 3;
+
+// Percentiles of the state's per-user totals published with each benchmark (the 10th-90th and
+// 25th-75th bands plus the median)
+const PEER_PERCENTILES = [10, 25, 50, 75, 90];
+
+// Users that must fall on each side of a percentile before it is published. In a small cohort
+// the percentiles are interpolated between a handful of users' totals and would give them away,
+// so e.g. the 10th and 90th need 50 users and the median 10; below that the cohort gets its mean
+// only.
+const MIN_PERCENTILE_PEERS = 5;
+
+// Census regions a region cohort may name (see stateToRegion in analytics.js)
+const REGIONS = ['Northeast', 'Midwest', 'South', 'West'];
+// Key the cohort's users are grouped under for the state-keyed analytics helpers
+const COHORT_KEY = 'cohort';
+
+// details: extra fields for the error response body (e.g. the current row on a conflict)
+class StoreError extends Error {
+  constructor(status, message, details){
+    super(message);
+    this.status = status;
+    this.details = details || null;
+  }
+}
+
+function loadCSVRows(file){
+  const text = fs.readFileSync(file, 'utf8');
+  const { rows, lines, errors } = RadiusCSV.parseCSV(text, { columns: DATASET_COLUMNS });
+  if(errors.length) console.warn(path.basename(file) + ': skipped ' + RadiusCSV.describeErrors(errors, errors.length));
+  // The source line doubles as a stable transaction id
+  rows.forEach((r, i) => { r.tx_id = String(lines[i]); });
+  return rows;
+}
+
+function loadSQLiteRows(file, table){
+  let sqlite;
+  try{ sqlite = require('node:sqlite'); }
+  catch(e){ throw new Error('SQLite data files need a Node.js build with node:sqlite (22.5 or newer)'); }
+  if(!/^\w+$/.test(table)) throw new Error('Invalid table name: ' + table);
+  const db = new sqlite.DatabaseSync(file, { readOnly: true });
+  try{
+    const raw = db.prepare('SELECT rowid AS tx_id, * FROM ' + table).all();
+    const rows = [];
+    for(const r of raw){
+      // Run the values through the same coercions as the CSV so both sources look identical
+      const obj = { tx_id: String(r.tx_id) };
+      let ok = true;
+      for(const [col, type] of Object.entries(DATASET_COLUMNS)){
+        const v = r[col];
+        try{ obj[col] = v === null || v === undefined ? null : RadiusCSV.coerce[type](String(v)); }
+        catch(e){ console.warn(table + ' rowid ' + r.tx_id + ': column "' + col + '": ' + e.message); ok = false; break; }
+      }
+      if(ok) rows.push(obj);
+    }
+    return rows;
+  }finally{
+    db.close();
+  }
+}
+
+async function loadCredentials(dir){
+  const byKey = new Map();
+  if(!fs.existsSync(dir)) return byKey;
+  for(const f of fs.readdirSync(dir)){
+    if(!f.endsWith('.json')) continue;
+    const record = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+    byKey.set(path.basename(f, '.json'), record);
+  }
+  return byKey;
+}
+
+// Journal entries: { ts, op: 'add' | 'update' | 'delete', userId, tx_id, client_id, fields }
+function loadChanges(file){
+  const changes = [];
+  if(!file || !fs.existsSync(file)) return changes;
+  for(const line of fs.readFileSync(file, 'utf8').split('\n')){
+    if(!line.trim()) continue;
+    try{ changes.push(JSON.parse(line)); }catch(e){ console.warn(path.basename(file) + ': skipped a torn line'); }
+  }
+  return changes;
+}
+
+// A YYYY-MM-DD string naming a real calendar day (no 2025-02-30 or 2025-13-01)
+function isCalendarDate(s){
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || '');
+  if(!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.toISOString().slice(0, 10) === s;
+}
+
+function parseRangeParams(query, dataRange){
+  let from = query.from || dataRange.min;
+  let to = query.to || dataRange.max;
+  if(!isCalendarDate(from) || !isCalendarDate(to)) throw new StoreError(400, 'from and to must be YYYY-MM-DD dates');
+  if(from > to){ const tmp = from; from = to; to = tmp; }
+  const types = query.types ? String(query.types).split(',').map(s => s.trim()).filter(Boolean) : null;
+  const granularity = query.granularity || 'week';
+  if(!RadiusAnalytics.GRANULARITIES.includes(granularity)) throw new StoreError(400, 'granularity must be one of ' + RadiusAnalytics.GRANULARITIES.join(', '));
+  return { from, to, types, granularity };
+}
+
+function byDate(a, b){
+  return a.purchase_date < b.purchase_date ? -1 : a.purchase_date > b.purchase_date ? 1 : 0;
+}
+
+// loadStore({ dataFile, credentialsDir, table, changesFile }) -> store
+// Without a changesFile, changes are kept in memory only.
+async function loadStore(options){
+  const dataFile = options.dataFile;
+  const ext = path.extname(dataFile).toLowerCase();
+  const rows = ['.db', '.sqlite', '.sqlite3'].includes(ext)
+    ? loadSQLiteRows(dataFile, options.table || 'transactions')
+    : loadCSVRows(dataFile);
+  const credentials = await loadCredentials(options.credentialsDir);
+
+  const dataRange = RadiusAnalytics.getRowsDateRange(rows);
+  const purchaseTypes = Array.from(new Set(rows.map(r => r.purchase_type).filter(Boolean)));
+  const states = Array.from(new Set(rows.map(r => r.location).filter(Boolean))).sort();
+  const firstRowByUser = new Map();
+  // Each user's dated rows in date order and purchase types, and the users of every state and
+  // income bracket (a user belongs to the cohorts of any of their rows)
+  const rowsByUser = new Map();
+  const typesByUser = new Map();
+  const usersByState = new Map();
+  const usersByIncome = new Map();
+  const addTo = (index, key, id) => {
+    if(!index.has(key)) index.set(key, new Set());
+    index.get(key).add(id);
+  };
+  for(const r of rows){
+    if(!firstRowByUser.has(r.id)){
+      firstRowByUser.set(r.id, r);
+      rowsByUser.set(r.id, []);
+    }
+    if(r.purchase_date) rowsByUser.get(r.id).push(r);
+    addTo(typesByUser, r.id, r.purchase_type);
+    if(r.location) addTo(usersByState, r.location, r.id);
+    const bracket = RadiusAnalytics.incomeBracket(r.income_yearly);
+    if(bracket) addTo(usersByIncome, bracket.id, r.id);
+  }
+  for(const list of rowsByUser.values()) list.sort(byDate);
+  // Balances after the users' own changes (a purchase lowers it); the data file's until then
+  const balances = new Map();
+
+  // granularity -> Map(user id -> Map(period start -> [purchase type, amount] pairs)), the pairs
+  // in dataset order so totals add up exactly as a scan of the rows would. Weeks are built up
+  // front as the default; other granularities on first use.
+  const periodEntries = new Map();
+  function periodIndex(granularity){
+    if(periodEntries.has(granularity)) return periodEntries.get(granularity);
+    const index = new Map();
+    for(const r of rows){
+      const amt = parseFloat(r.purchase_amount);
+      if(Number.isNaN(amt) || !r.purchase_date) continue;
+      if(!index.has(r.id)) index.set(r.id, new Map());
+      const byPeriod = index.get(r.id);
+      const period = RadiusAnalytics.periodStartISO(r.purchase_date, granularity);
+      if(!byPeriod.has(period)) byPeriod.set(period, []);
+      byPeriod.get(period).push([r.purchase_type, amt]);
+    }
+    periodEntries.set(granularity, index);
+    return index;
+  }
+  periodIndex('week');
+
+  const regionIncome = new Map();
+  function regionAverageWeeklyIncome(region){
+    const key = region === 'United States' ? null : region;
+    if(!regionIncome.has(key)) regionIncome.set(key, RadiusAnalytics.computeRegionAverageWeeklyIncome(Array.from(firstRowByUser.values()), key));
+    return regionIncome.get(key);
+  }
+
+  function findUser(id){
+    const r = firstRowByUser.get(String(id));
+    if(!r) return null;
+    return {
+      id: r.id,
+      name: r.name,
+      location: r.location,
+      region: RadiusAnalytics.stateToRegion(r.location),
+      balance: balances.has(r.id) ? balances.get(r.id) : r.balance,
+      income_yearly: r.income_yearly,
+      income_weekly: r.income_weekly
+    };
+  }
+
+  async function findCredential(id, name){
+    const key = await RadiusCredentials.credentialKey(id, name);
+    return credentials.get(key) || null;
+  }
+
+  function userTransactions(id, query){
+    const { from, to, types } = parseRangeParams(query || {}, dataRange);
+    const typesSet = types ? new Set(types) : null;
+    const out = [];
+    for(const r of rowsByUser.get(String(id)) || []){
+      if(r.purchase_date < from) continue;
+      if(r.purchase_date > to) break;
+      if(typesSet && !typesSet.has(r.purchase_type)) continue;
+      const tx = { tx_id: r.tx_id, purchase_type: r.purchase_type, purchase_amount: r.purchase_amount, purchase_date: r.purchase_date };
+      if(r.note) tx.note = r.note;
+      out.push(tx);
+    }
+    return { from, to, types: types || purchaseTypes, transactions: out };
+  }
+
+  // ---- Changes by users to their own rows ----
+
+  const changesFile = options.changesFile || null;
+  if(changesFile) fs.mkdirSync(path.dirname(changesFile), { recursive: true });
+  const rowsById = new Map(rows.map(r => [r.tx_id, r]));
+  const addedByClient = new Map(); // userId + ' ' + client_id -> tx_id of the row it added
+  let nextAddedId = 1;             // added rows get tx_id 'n1', 'n2', …
+
+  // Validate and normalise the fields of a change; throws a 400 naming the first bad one
+  function cleanFields(body){
+    const amount = Number(body.purchase_amount);
+    if(!Number.isFinite(amount) || amount <= 0) throw new StoreError(400, 'purchase_amount must be a positive number');
+    const date = String(body.purchase_date || '');
+    if(!isCalendarDate(date)) throw new StoreError(400, 'purchase_date must be a YYYY-MM-DD date');
+    const type = String(body.purchase_type || '');
+    if(!purchaseTypes.includes(type)) throw new StoreError(400, 'purchase_type must be one of ' + purchaseTypes.join(', '));
+    return { purchase_type: type, purchase_amount: Math.round(amount * 100) / 100, purchase_date: date, note: String(body.note || '').trim().slice(0, 200) };
+  }
+
+  // Rebuild what the change touched: the user's rows in date order, their purchase types and the
+  // period indexes (rebuilt on next use). A date outside the data widens dataRange.
+  function reindexUser(id, date){
+    rowsByUser.get(id).sort(byDate);
+    typesByUser.set(id, new Set(rowsByUser.get(id).map(r => r.purchase_type)));
+    periodEntries.clear();
+    if(date && date < dataRange.min) dataRange.min = date;
+    if(date && date > dataRange.max) dataRange.max = date;
+  }
+
+  function adjustBalance(id, delta){
+    const current = balances.has(id) ? balances.get(id) : firstRowByUser.get(id).balance;
+    balances.set(id, Math.round((Number(current) - delta) * 100) / 100);
+  }
+
+  // Apply a journal entry (already checked) to the rows and indexes
+  function applyChange(c){
+    if(c.op === 'add'){
+      const r = Object.assign({}, firstRowByUser.get(c.userId), c.fields, { tx_id: c.tx_id });
+      rows.push(r);
+      rowsById.set(r.tx_id, r);
+      rowsByUser.get(c.userId).push(r);
+      if(c.client_id) addedByClient.set(c.userId + ' ' + c.client_id, c.tx_id);
+      nextAddedId = Math.max(nextAddedId, Number(c.tx_id.slice(1)) + 1);
+      adjustBalance(c.userId, r.purchase_amount);
+      reindexUser(c.userId, r.purchase_date);
+    }else if(c.op === 'update'){
+      const r = rowsById.get(c.tx_id);
+      adjustBalance(c.userId, c.fields.purchase_amount - r.purchase_amount);
+      Object.assign(r, c.fields);
+      reindexUser(c.userId, r.purchase_date);
+    }else if(c.op === 'delete'){
+      const r = rowsById.get(c.tx_id);
+      rows.splice(rows.indexOf(r), 1);
+      rowsById.delete(c.tx_id);
+      const list = rowsByUser.get(c.userId);
+      list.splice(list.indexOf(r), 1);
+      adjustBalance(c.userId, -r.purchase_amount);
+      reindexUser(c.userId, null);
+    }
+  }
+
+  // Journal the change, then apply it. The write is synchronous so a change is on disk before
+  // the client is told it was accepted.
+  function commitChange(c){
+    const entry = Object.assign({ ts: new Date().toISOString() }, c);
+    if(changesFile) fs.appendFileSync(changesFile, JSON.stringify(entry) + '\n');
+    applyChange(entry);
+  }
+
+  for(const c of loadChanges(changesFile)){
+    // Entries the data file no longer supports (a replaced file) are skipped
+    const known = firstRowByUser.has(c.userId) && (c.op === 'add' || (rowsById.has(c.tx_id) && rowsById.get(c.tx_id).id === c.userId));
+    if(known) applyChange(c);
+    else console.warn(path.basename(changesFile) + ': skipped a change to a missing row (' + c.op + ' ' + c.tx_id + ')');
+  }
+
+  // The user's own row, or a 404 (another user's row looks the same as a missing one)
+  function ownRow(userId, txId){
+    const r = rowsById.get(String(txId));
+    if(!r || r.id !== String(userId)) throw new StoreError(404, 'Transaction not found');
+    return r;
+  }
+
+  function publicRow(r){
+    const tx = { tx_id: r.tx_id, purchase_type: r.purchase_type, purchase_amount: r.purchase_amount, purchase_date: r.purchase_date };
+    if(r.note) tx.note = r.note;
+    return tx;
+  }
+
+  // Edits and deletions name the amount the client last saw (original_amount); when the row has
+  // changed since, nothing is written and the 409 carries the row as it is now.
+  function checkUnchanged(r, body){
+    if(body.original_amount === undefined || body.original_amount === null) return;
+    if(Math.abs(Number(body.original_amount) - r.purchase_amount) < 0.005) return;
+    throw new StoreError(409, 'Transaction changed on the server', { transaction: publicRow(r) });
+  }
+
+  // addTransaction(userId, body) -> { transaction, replayed }
+  // body: { purchase_type, purchase_amount, purchase_date, note, client_id }. A client_id already
+  // used by the user returns the row it added (null when since deleted) instead of a second one,
+  // so a retried request is harmless.
+  function addTransaction(userId, body){
+    const id = String(userId);
+    if(!firstRowByUser.has(id)) throw new StoreError(404, 'User not found in dataset');
+    const clientId = body.client_id ? String(body.client_id).slice(0, 100) : null;
+    const key = id + ' ' + clientId;
+    if(clientId && addedByClient.has(key)){
+      const r = rowsById.get(addedByClient.get(key));
+      return { transaction: r ? publicRow(r) : null, replayed: true };
+    }
+    const fields = cleanFields(body);
+    const txId = 'n' + nextAddedId;
+    commitChange({ op: 'add', userId: id, tx_id: txId, client_id: clientId, fields });
+    return { transaction: publicRow(rowsById.get(txId)), replayed: false };
+  }
+
+  // updateTransaction(userId, txId, body) -> { transaction }; body as for addTransaction plus
+  // original_amount
+  function updateTransaction(userId, txId, body){
+    const r = ownRow(userId, txId);
+    const fields = cleanFields(body);
+    checkUnchanged(r, body);
+    commitChange({ op: 'update', userId: r.id, tx_id: r.tx_id, fields });
+    return { transaction: publicRow(r) };
+  }
+
+  // deleteTransaction(userId, txId, body) -> { deleted: tx_id }; body: { original_amount }
+  function deleteTransaction(userId, txId, body){
+    const r = ownRow(userId, txId);
+    checkUnchanged(r, body || {});
+    commitChange({ op: 'delete', userId: r.id, tx_id: r.tx_id });
+    return { deleted: r.tx_id };
+  }
+
+  // Users of a cohort: { ids, label, region } or a 404 for an unknown one. region is the census
+  // region whose published means the dashboard draws next to it ('United States' when national).
+  function cohortMembers(kind, value){
+    if(kind === 'state'){
+      if(!usersByState.has(value)) throw new StoreError(404, 'Unknown state: ' + value);
+      return { ids: usersByState.get(value), label: value, region: RadiusAnalytics.stateToRegion(value) };
+    }
+    if(kind === 'region'){
+      if(!REGIONS.includes(value)) throw new StoreError(404, 'Unknown region: ' + value + ' (expected one of ' + REGIONS.join(', ') + ')');
+      const ids = new Set();
+      for(const [state, users] of usersByState) if(RadiusAnalytics.stateToRegion(state) === value) for(const id of users) ids.add(id);
+      return { ids, label: value, region: value };
+    }
+    if(kind === 'income'){
+      const ids = usersByIncome.get(value);
+      if(!ids) throw new StoreError(404, 'Unknown or empty income bracket: ' + value);
+      return { ids, label: RadiusAnalytics.incomeBracket(Number(value.split(/[-+]/)[0])).label, region: 'United States' };
+    }
+    if(kind === 'national') return { ids: new Set(firstRowByUser.keys()), label: 'United States', region: 'United States' };
+    throw new StoreError(404, 'Unknown cohort kind: ' + kind);
+  }
+
+  // Per-user spending per period for a cohort, in the state-keyed shape the analytics helpers take
+  // (every member under the single key COHORT_KEY). Members without a purchase of the types are
+  // left out, as computeAggregates would.
+  function cohortUserWeek(ids, types, granularity, periods){
+    const index = periodIndex(granularity);
+    const typesSet = new Set(types);
+    const users = new Map();
+    for(const id of ids){
+      if(!types.some(t => typesByUser.get(id).has(t))) continue;
+      const byPeriod = index.get(id) || new Map();
+      const weekMap = new Map();
+      for(const p of periods){
+        const entries = byPeriod.get(p);
+        if(!entries) continue;
+        let sum = 0, any = false;
+        for(const [type, amt] of entries) if(typesSet.has(type)){ sum += amt; any = true; }
+        if(any) weekMap.set(p, sum);
+      }
+      users.set(id, weekMap);
+    }
+    return new Map([[COHORT_KEY, users]]);
+  }
+
+  // Per-user averages and percentiles for everyone in a cohort (a state, a census region, an
+  // income_yearly bracket or every user), overall and per purchase type, bucketed by granularity
+  // (day, Monday-start week, calendar month or quarter). Periods cover every bucket touching
+  // [from, to]. When userId (the signed-in user) belongs to the cohort, `you` carries their
+  // percentile rank among its users by spending per period over the range, overall and per type;
+  // no other user's figures leave the server.
+  // MIN_COHORT_SIZE counts the users with purchases of the requested types, not every member: the
+  // whole answer is withheld (403) when too few of them are left, and a single type's figures are
+  // left out of byType (and listed in withheldTypes) when too few users bought it. A percentile
+  // is only published when MIN_PERCENTILE_PEERS of those users fall on each side of it; the
+  // others are listed in withheldPercentiles.
+  function cohortBenchmark(kind, value, query, userId){
+    const { from, to, types, granularity } = parseRangeParams(query || {}, dataRange);
+    const cohort = cohortMembers(kind, value);
+    const selected = types || purchaseTypes;
+    const periods = RadiusAnalytics.periodsFromRange(from, to, granularity);
+    const userWeek = cohortUserWeek(cohort.ids, selected, granularity, periods);
+    const userCount = userWeek.get(COHORT_KEY).size;
+    if(userCount < MIN_COHORT_SIZE) throw new StoreError(403, 'Not enough users in ' + cohort.label + ' to publish an average');
+    const byType = {};
+    const typeUserWeek = {};
+    const withheldTypes = [];
+    for(const t of selected){
+      const map = cohortUserWeek(cohort.ids, [t], granularity, periods);
+      if(map.get(COHORT_KEY).size < MIN_COHORT_SIZE){ withheldTypes.push(t); continue; }
+      typeUserWeek[t] = map;
+      byType[t] = RadiusAnalytics.computeStateAverageForWeeks(map, COHORT_KEY, periods);
+    }
+    let you = null;
+    const members = Array.from(userWeek.get(COHORT_KEY).keys());
+    if(userId !== undefined && members.includes(String(userId))){
+      // Each user's spending per period over the range; users without rows of a type count as 0
+      const perPeriod = map => {
+        const totals = new Map();
+        for(const id of members){
+          const weekMap = map.get(COHORT_KEY).get(id);
+          totals.set(id, weekMap ? periods.reduce((acc, p) => acc + (weekMap.get(p) || 0), 0) / (periods.length || 1) : 0);
+        }
+        return totals;
+      };
+      const rank = totals => Number(RadiusAnalytics.percentileRank(Array.from(totals.values()), totals.get(String(userId))).toFixed(1));
+      you = { percentile: rank(perPeriod(userWeek)), byType: {} };
+      for(const t of Object.keys(byType)) you.byType[t] = rank(perPeriod(typeUserWeek[t]));
+    }
+    const published = PEER_PERCENTILES.filter(p => userCount * Math.min(p, 100 - p) / 100 >= MIN_PERCENTILE_PEERS);
+    const out = {
+      cohort: { kind, value: value === undefined ? null : value, label: cohort.label },
+      region: cohort.region,
+      from,
+      to,
+      types: selected,
+      userCount,
+      granularity,
+      periods,
+      average: RadiusAnalytics.computeStateAverageForWeeks(userWeek, COHORT_KEY, periods),
+      percentiles: RadiusAnalytics.computeStatePercentilesForWeeks(userWeek, COHORT_KEY, periods, published),
+      withheldPercentiles: PEER_PERCENTILES.filter(p => !published.includes(p)),
+      byType,
+      withheldTypes,
+      you,
+      regionAverageWeeklyIncome: regionAverageWeeklyIncome(cohort.region)
+    };
+    if(kind === 'state') out.state = value;
+    return out;
+  }
+
+  function stateBenchmark(state, query, userId){
+    return cohortBenchmark('state', state, query, userId);
+  }
+
+  return { rowCount: rows.length, dataRange, purchaseTypes, states, findUser, findCredential, userTransactions, addTransaction, updateTransaction, deleteTransaction, cohortBenchmark, stateBenchmark };
+}
+
+module.exports = { loadStore, StoreError, DATASET_COLUMNS, MIN_COHORT_SIZE, MIN_PERCENTILE_PEERS };
@@ -0,0 +1,101 @@
+// server/throttle.js
+// Login throttling for one kind of key (an account id or a client address). After freeFailures
+// consecutive failures every further failure doubles the wait before the next attempt is accepted
+// (baseDelayMs, 2x, 4x ... up to maxDelayMs); at lockoutThreshold failures the key is locked out
+// for lockoutMs. Failures are forgotten once a key has been quiet for resetAfterMs, or after a
+// successful login. Forgotten keys are swept out at most every pruneIntervalMs, and no more than
+// maxEntries keys are kept (the longest quiet go first), so spraying account ids or addresses
+// cannot grow memory without bound.
+
+const ACCOUNT_DEFAULTS = {
+  freeFailures: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  lockoutThreshold: 5,
+  lockoutMs: 15 * 60 * 1000,
+  resetAfterMs: 30 * 60 * 1000,
+  pruneIntervalMs: 60 * 1000,
+  maxEntries: 100000
+};
+
+// A client address may be shared (NAT, office network), so it gets more slack than an account
+const CLIENT_DEFAULTS = {
+  freeFailures: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  lockoutThreshold: 20,
+  lockoutMs: 15 * 60 * 1000,
+  resetAfterMs: 30 * 60 * 1000,
+  pruneIntervalMs: 60 * 1000,
+  maxEntries: 100000
+};
+
+function createLoginThrottle(options){
+  const opts = Object.assign({}, ACCOUNT_DEFAULTS, options || {});
+  const now = opts.now || Date.now;
+  // key -> { failures, lastFailure, blockedUntil, locked }, in order of last failure
+  const entries = new Map();
+  let lastPrune = now();
+
+  function expired(e, t){
+    return t >= e.blockedUntil && t - e.lastFailure >= opts.resetAfterMs;
+  }
+
+  function current(key){
+    const e = entries.get(key);
+    if(!e) return null;
+    if(expired(e, now())){
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  function prune(t){
+    if(t - lastPrune >= opts.pruneIntervalMs){
+      lastPrune = t;
+      for(const [key, e] of entries) if(expired(e, t)) entries.delete(key);
+    }
+    for(const key of entries.keys()){
+      if(entries.size <= opts.maxEntries) break;
+      entries.delete(key);
+    }
+  }
+
+  // check(key) -> { allowed: true } | { allowed: false, retryAfterMs, locked }
+  function check(key){
+    const e = current(key);
+    const t = now();
+    if(!e || e.blockedUntil <= t) return { allowed: true };
+    return { allowed: false, retryAfterMs: e.blockedUntil - t, locked: e.locked };
+  }
+
+  // Record a failed attempt; returns true when this failure triggered a lockout.
+  function recordFailure(key){
+    const t = now();
+    const e = current(key) || { failures: 0, lastFailure: 0, blockedUntil: 0, locked: false };
+    let lockedNow = false;
+    e.failures++;
+    e.lastFailure = t;
+    if(e.failures >= opts.lockoutThreshold){
+      lockedNow = !e.locked;
+      e.locked = true;
+      e.blockedUntil = t + opts.lockoutMs;
+    }else if(e.failures > opts.freeFailures){
+      e.blockedUntil = t + Math.min(opts.maxDelayMs, opts.baseDelayMs * Math.pow(2, e.failures - opts.freeFailures - 1));
+    }
+    // Re-insert so the Map stays ordered by last failure
+    entries.delete(key);
+    entries.set(key, e);
+    prune(t);
+    return lockedNow;
+  }
+
+  function recordSuccess(key){
+    entries.delete(key);
+  }
+
+  return { check, recordFailure, recordSuccess, size: () => entries.size };
+}
+
+module.exports = { createLoginThrottle, ACCOUNT_DEFAULTS, CLIENT_DEFAULTS };
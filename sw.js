@@ -0,0 +1,119 @@
+// sw.js
+// Service worker that makes the app installable and usable offline (registered by offline.js).
+//   App files (pages, scripts, styles, benchmark tables, Chart.js): stored at install. Fetched
+//   from the network while online so changes show up at once, from the stored copy otherwise.
+//   Fonts and other files from elsewhere are stored the first time they load.
+//   The signed-in user's data (/api/me, their transactions and benchmarks): every response is
+//   stored, and served when the server cannot be reached, marked with X-Radius-Cached-At (when
+//   it was stored) so the dashboard can say it is showing saved data. Signing out, signing in
+//   successfully or a rejected session drops it.
+// Bump CACHE_VERSION when the list of app files changes.
+
+const CACHE_VERSION = 'v2';
+const APP_CACHE = 'radius-app-' + CACHE_VERSION;
+const DATA_CACHE = 'radius-data';
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js';
+
+const APP_FILES = [
+  'index.html', 'dashboard.html', 'styles.css', 'manifest.webmanifest', 'assets/logo.svg',
+  'assets/icon-192.png', 'assets/icon-512.png', 'assets/icon-maskable-512.png',
+  'api.js', 'offline.js', 'script.js',
+  'csv.js', 'analytics.js', 'benchmarks.js', 'inflation.js', 'txstore.js', 'importer.js',
+  'budgets.js', 'forecast.js', 'anomalies.js', 'ledger.js', 'goals.js', 'recurring.js',
+  'aggregator.js', 'aggregate-worker.js', 'data.js', 'report.js', 'exporter.js', 'viewstate.js',
+  'dashboard.js',
+  'benchmarks/index.json', 'benchmarks/cpi.csv', 'filtered_expenditures.csv'
+];
+
+// API reads worth keeping for offline use; everything else under /api/ goes straight through
+const DATA_PATH_RE = /^\/api\/(?:me|users\/[^/]+\/transactions|benchmarks\/.+)$/;
+
+self.addEventListener('install', ev => {
+  ev.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(APP_FILES);
+    // The CDN may be unreachable right now; the first page load that gets it stores it
+    try{ await cache.add(CHART_JS_URL); }catch(e){ console.warn('sw: Chart.js not stored', e); }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', ev => {
+  ev.waitUntil((async () => {
+    for(const key of await caches.keys()){
+      if(key.startsWith('radius-app-') && key !== APP_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', ev => {
+  const req = ev.request;
+  const url = new URL(req.url);
+  if(url.origin !== self.location.origin){
+    if(req.method === 'GET') ev.respondWith(storedFirst(req));
+    return;
+  }
+  if(url.pathname.startsWith('/api/')){
+    if(url.pathname === '/api/logout') ev.respondWith(caches.delete(DATA_CACHE).then(() => fetch(req)));
+    else if(url.pathname === '/api/login') ev.respondWith(loginRequest(req));
+    else if(req.method === 'GET' && DATA_PATH_RE.test(url.pathname)) ev.respondWith(dataRequest(req));
+    return;
+  }
+  if(req.method === 'GET') ev.respondWith(networkFirst(req));
+});
+
+// App files: the network's copy when reachable (kept for later), else the stored one. Pages are
+// matched without their query string (dashboard.html?from=… deep links).
+async function networkFirst(req){
+  const cache = await caches.open(APP_CACHE);
+  try{
+    const res = await fetch(req);
+    if(res.ok) cache.put(req, res.clone());
+    return res;
+  }catch(err){
+    const stored = await cache.match(req, { ignoreSearch: req.mode === 'navigate' });
+    if(stored) return stored;
+    throw err;
+  }
+}
+
+async function storedFirst(req){
+  const cache = await caches.open(APP_CACHE);
+  const stored = await cache.match(req);
+  if(stored) return stored;
+  const res = await fetch(req);
+  if(res.ok || res.type === 'opaque') cache.put(req, res.clone());
+  return res;
+}
+
+// A failed or unreachable sign-in leaves the saved data to the session that is still on the device
+async function loginRequest(req){
+  const res = await fetch(req);
+  if(res.ok) await caches.delete(DATA_CACHE);
+  return res;
+}
+
+async function dataRequest(req){
+  let res;
+  try{
+    res = await fetch(req);
+  }catch(err){
+    const stored = await caches.match(req, { cacheName: DATA_CACHE });
+    if(stored) return stored;
+    return new Response(JSON.stringify({ error: 'Offline, and this data was not saved on this device' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' }
+    });
+  }
+  if(res.status === 401){
+    await caches.delete(DATA_CACHE);
+  }else if(res.ok){
+    const headers = new Headers(res.headers);
+    headers.set('X-Radius-Cached-At', new Date().toISOString());
+    const body = await res.clone().arrayBuffer();
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+  }
+  return res;
+}
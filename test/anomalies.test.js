@@ -0,0 +1,26 @@
+// test/anomalies.test.js
+// anomalies.js: outlier purchases against the user's own history, worded with the shared money format.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTransactionAnomalies } = require('../anomalies.js');
+const { formatMoney } = require('../report.js');
+
+function purchase(id, amount){
+  return { tx_id: String(id), purchase_type: 'Food', purchase_amount: amount, purchase_date: '2025-03-' + String(id).padStart(2, '0') };
+}
+
+test('flags a purchase far above the typical amount of its type', () => {
+  const rows = [40, 42, 38, 45, 41, 39, 1250].map((a, i) => purchase(i + 1, a));
+  const flags = detectTransactionAnomalies(rows);
+  assert.equal(flags.length, 1);
+  assert.equal(flags[0].row.purchase_amount, 1250);
+  assert.equal(flags[0].median, 41);
+  assert.equal(flags[0].reason, `${formatMoney(1250)} is 30.5× your typical Food purchase (median ${formatMoney(41)} over 7 purchases).`);
+  assert.match(flags[0].reason, /^\$1,250\.00 /);
+});
+
+test('needs enough history and some spread before judging', () => {
+  assert.deepEqual(detectTransactionAnomalies([10, 11, 12, 500].map((a, i) => purchase(i + 1, a))), []);
+  assert.deepEqual(detectTransactionAnomalies([20, 20, 20, 20, 20, 20].map((a, i) => purchase(i + 1, a))), []);
+});
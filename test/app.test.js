@@ -0,0 +1,85 @@
+// test/app.test.js
+// server/app.js: request validation, who may change which transactions and what the static file
+// handler will serve.
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { row, makeStore, startServer } = require('./support/server.js');
+
+function post(url, body){
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+}
+
+test('login rejects bodies that are not a JSON object with a 400', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03')]));
+  t.after(() => server.close());
+  for(const body of ['null', '[]', '"id"', '42', 'true', '{oops']){
+    const res = await post(server.url + '/api/login', body);
+    assert.equal(res.status, 400, body);
+    assert.match((await res.json()).error, /JSON/);
+  }
+  const missing = await post(server.url + '/api/login', '{"id":"1"}');
+  assert.equal(missing.status, 400);
+});
+
+test('impossible dates in a query get a 400, not a 500', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03')], [{ id: '1', password: 'secret-1' }]));
+  t.after(() => server.close());
+  const { token } = await (await post(server.url + '/api/login', JSON.stringify({ id: '1', name: 'User 1', password: 'secret-1' }))).json();
+  const res = await fetch(server.url + '/api/users/1/transactions?from=2025-13-45', { headers: { Authorization: 'Bearer ' + token } });
+  assert.equal(res.status, 400);
+});
+
+test('only the signed-in user changes their transactions; a stale edit gets a 409 with the row', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03'), row('2', 'Georgia', 'Food', 20, '2025-03-04')], [{ id: '1', password: 'secret-1' }]));
+  t.after(() => server.close());
+  const { token } = await (await post(server.url + '/api/login', JSON.stringify({ id: '1', name: 'User 1', password: 'secret-1' }))).json();
+  const send = (method, url, body, auth) => fetch(server.url + url, {
+    method,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, auth === false ? {} : { Authorization: 'Bearer ' + token }),
+    body: JSON.stringify(body)
+  });
+  const lunch = { purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-03-05' };
+  assert.equal((await send('POST', '/api/users/1/transactions', lunch, false)).status, 401);
+  assert.equal((await send('POST', '/api/users/2/transactions', lunch)).status, 403);
+  assert.equal((await send('PATCH', '/api/users/2/transactions/3', lunch)).status, 403);
+  assert.equal((await send('DELETE', '/api/users/1/transactions/3', {})).status, 404);
+  const added = await send('POST', '/api/users/1/transactions', lunch);
+  assert.equal(added.status, 200);
+  assert.deepEqual(await added.json(), { transaction: Object.assign({ tx_id: 'n1' }, lunch), replayed: false });
+  const stale = await send('PATCH', '/api/users/1/transactions/2', Object.assign({ original_amount: 9 }, lunch));
+  assert.equal(stale.status, 409);
+  assert.deepEqual(await stale.json(), {
+    error: 'Transaction changed on the server',
+    transaction: { tx_id: '2', purchase_type: 'Food', purchase_amount: 10, purchase_date: '2025-03-03' }
+  });
+  const res = await fetch(server.url + '/api/users/1/transactions', { headers: { Authorization: 'Bearer ' + token } });
+  assert.deepEqual((await res.json()).transactions.map(r => [r.tx_id, r.purchase_amount]), [['2', 10], ['n1', 12.5]]);
+});
+
+test('never serves credential records or the raw dataset', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03')]));
+  t.after(() => server.close());
+  const key = fs.readdirSync(path.join(__dirname, '..', 'server', 'credentials'))[0];
+  for(const file of ['/server/credentials/' + key, '/assets/credentials/' + key, '/credentials/' + key, '/assets/dataset.csv', '/server/store.js', '/%2e%2e/etc/passwd']){
+    const res = await fetch(server.url + file);
+    assert.equal(res.status, 404, file);
+  }
+  assert.equal((await fetch(server.url + '/index.html')).status, 200);
+});
+
+test('serves every icon the app manifest lists, with its type', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03')]));
+  t.after(() => server.close());
+  const manifest = await (await fetch(server.url + '/manifest.webmanifest')).json();
+  assert.ok(manifest.icons.some(i => i.type === 'image/png' && i.sizes === '192x192'));
+  assert.ok(manifest.icons.some(i => i.type === 'image/png' && i.sizes === '512x512'));
+  assert.ok(manifest.icons.some(i => i.purpose === 'maskable'));
+  for(const icon of manifest.icons){
+    const res = await fetch(server.url + '/' + icon.src);
+    assert.equal(res.status, 200, icon.src);
+    assert.equal(res.headers.get('content-type'), icon.type, icon.src);
+  }
+});
@@ -0,0 +1,63 @@
+// test/benchmarks.test.js
+// benchmarks.js: the table registry, parsing a table and summing the items a mapping picks.
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRegistry, parseBenchmarkTable, benchmarkWeekly, loadMapping, saveMapping } = require('../benchmarks.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const table = {
+  id: 'survey', itemColumn: 'Item', mapping: { Food: 'Food', Housing: 'Shelter' },
+  regionColumns: { 'United States': 'US', South: 'South' }
+};
+const text = 'Item,US,South\nFood,100,90\nShelter,300,250.5\nFuel,40,\n';
+
+test('sums mapped items for a region and reports types without an item as unmatched', () => {
+  const { items, errors } = parseBenchmarkTable(text, table);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items.get('Fuel'), { 'United States': 40, South: 0 });
+  const mapping = { Food: 'Food', Housing: 'Shelter', Transport: 'Gasoline', Healthcare: '' };
+  const south = benchmarkWeekly(items, mapping, ['Food', 'Housing', 'Transport', 'Healthcare', 'Pets'], 'South');
+  assert.equal(south.total, 340.5);
+  assert.deepEqual(south.matched, [{ type: 'Food', item: 'Food', weekly: 90 }, { type: 'Housing', item: 'Shelter', weekly: 250.5 }]);
+  assert.deepEqual(south.unmatched, ['Transport', 'Healthcare', 'Pets']);
+});
+
+test('a region the table has no column for falls back to the national figure', () => {
+  const { items } = parseBenchmarkTable(text, table);
+  const west = benchmarkWeekly(items, { Food: 'Food', Housing: 'Shelter' }, ['Food', 'Housing'], 'West');
+  assert.equal(west.total, 400);
+  assert.deepEqual(west.unmatched, []);
+});
+
+test('the registry drops broken entries and the bundled one parses cleanly', () => {
+  const parsed = parseRegistry({ tables: [
+    Object.assign({ file: 'survey.csv' }, table),
+    { id: 'survey', file: 'x.csv', itemColumn: 'Item', regionColumns: { US: 'US' } },
+    { id: 'nofile', itemColumn: 'Item', regionColumns: { US: 'US' } },
+    { id: 'empty', file: 'y.csv', itemColumn: 'Item', regionColumns: {} }
+  ] });
+  assert.deepEqual(parsed.tables.map(t => t.id), ['survey']);
+  assert.deepEqual(parsed.errors, ['Table 2 (survey): duplicate id', 'Table 3 (nofile): missing file', 'Table 4 (empty): no regionColumns']);
+  assert.equal(parsed.cpi, null);
+  const bundled = parseRegistry(JSON.parse(fs.readFileSync(path.join(ROOT, 'benchmarks', 'index.json'), 'utf8')));
+  assert.deepEqual(bundled.errors, []);
+  const bls = bundled.tables.find(t => t.id === 'bls-ce');
+  const { items, errors } = parseBenchmarkTable(fs.readFileSync(path.join(ROOT, bls.file), 'utf8'), bls);
+  assert.deepEqual(errors, []);
+  // Every default mapping points at an item the table has
+  for(const item of Object.values(bls.mapping)) assert.ok(items.has(item), item);
+});
+
+test('only mapping choices that differ from the defaults are saved', () => {
+  const m = new Map();
+  const storage = { getItem: k => m.has(k) ? m.get(k) : null, setItem: (k, v) => m.set(k, v), removeItem: k => m.delete(k) };
+  saveMapping(table, { Food: 'Food', Housing: '', Transport: 'Fuel' }, storage);
+  assert.deepEqual(JSON.parse(m.get('dashboard.benchmarkMapping.survey')), { Housing: '', Transport: 'Fuel' });
+  assert.deepEqual(loadMapping(table, storage), { Food: 'Food', Housing: '', Transport: 'Fuel' });
+  saveMapping(table, { Food: 'Food', Housing: 'Shelter' }, storage);
+  assert.equal(m.size, 0);
+});
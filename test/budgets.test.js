@@ -0,0 +1,46 @@
+// test/budgets.test.js
+// budgets.js: what a weekly or monthly budget allows for a chart period, and how far spending has got.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanBudget, budgetForPeriod, budgetWindow, budgetStatus, loadBudgets, saveBudgets } = require('../budgets.js');
+
+function memoryStorage(){
+  const m = new Map();
+  return { getItem: k => m.has(k) ? m.get(k) : null, setItem: (k, v) => m.set(k, String(v)), removeItem: k => m.delete(k) };
+}
+
+test('a budget is exact for its own period and pro rata by day for others', () => {
+  const weekly = { amount: 70, period: 'week' };
+  const monthly = { amount: 310, period: 'month' };
+  assert.equal(budgetForPeriod(weekly, '2025-03-03', 'week'), 70);
+  assert.equal(budgetForPeriod(weekly, '2025-03-03', 'day'), 10);
+  assert.equal(budgetForPeriod(weekly, '2025-03-01', 'month'), 310);
+  assert.equal(budgetForPeriod(monthly, '2025-03-01', 'month'), 310);
+  // The week of 2025-03-31 has one day of March (310 / 31) and six of April (310 / 30 each)
+  assert.equal(budgetForPeriod(monthly, '2025-03-31', 'week'), 72);
+});
+
+test('the budget window is the week or calendar month holding the date', () => {
+  assert.deepEqual(budgetWindow({ amount: 1, period: 'week' }, '2025-06-05'), { from: '2025-06-02', to: '2025-06-08' });
+  assert.deepEqual(budgetWindow({ amount: 1, period: 'month' }, '2024-02-10'), { from: '2024-02-01', to: '2024-02-29' });
+});
+
+test('status turns to a warning at 80% and over at 100%', () => {
+  const budget = { amount: 100, period: 'week' };
+  assert.equal(budgetStatus(budget, 79.99).level, 'ok');
+  assert.equal(budgetStatus(budget, 80).level, 'warning');
+  assert.deepEqual(budgetStatus(budget, 100.004), { spent: 100, amount: 100, ratio: 1.00004, level: 'over' });
+});
+
+test('budgets are validated and saved per user', () => {
+  assert.deepEqual(cleanBudget({ amount: '49.999', period: 'month' }), { amount: 50, period: 'month' });
+  assert.throws(() => cleanBudget({ amount: 0, period: 'week' }), /positive amount/);
+  assert.throws(() => cleanBudget({ amount: 10, period: 'year' }), /weekly or monthly/);
+  const storage = memoryStorage();
+  saveBudgets('1', { Food: { amount: 50, period: 'week' } }, storage);
+  assert.deepEqual(loadBudgets('1', storage), { Food: { amount: 50, period: 'week' } });
+  assert.deepEqual(loadBudgets('2', storage), {});
+  storage.setItem('dashboard.budgets.2', '{broken');
+  assert.deepEqual(loadBudgets('2', storage), {});
+});
@@ -0,0 +1,65 @@
+// test/csv.test.js
+// csv.js: quoting, line numbers of malformed rows, type coercion and round-tripping.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV, stringifyCSV, describeErrors, isCalendarDate } = require('../csv.js');
+
+test('parses quoted fields, escaped quotes and embedded newlines', () => {
+  const text = '\uFEFFname,note\r\n"Morgan, Alex","said ""hi""\nthen left"\r\nLee,plain\r\n';
+  const { header, rows, lines, errors } = parseCSV(text);
+  assert.deepEqual(header, ['name', 'note']);
+  assert.deepEqual(rows, [
+    { name: 'Morgan, Alex', note: 'said "hi"\nthen left' },
+    { name: 'Lee', note: 'plain' }
+  ]);
+  assert.deepEqual(lines, [2, 4]);
+  assert.deepEqual(errors, []);
+});
+
+test('reports malformed rows with the line they start on instead of dropping them silently', () => {
+  const text = 'a,b\n1,2\n3\n"4"x,5\n6,7,8\n"9,10\n';
+  const { rows, errors } = parseCSV(text);
+  assert.deepEqual(rows, [{ a: '1', b: '2' }]);
+  assert.deepEqual(errors.map(e => e.line), [3, 4, 5, 6]);
+  assert.match(errors[0].message, /Expected 2 fields but found 1/);
+  assert.match(errors[1].message, /after closing quote/);
+  assert.match(errors[3].message, /Unterminated/);
+  assert.match(describeErrors(errors, 2), /^4 malformed rows — line 3: .*; line 4: .* \(\+2 more\)$/);
+});
+
+test('tolerates a trailing delimiter and skips blank lines', () => {
+  const { rows, errors } = parseCSV('a,b\n1,2,\n\n3,4\n');
+  assert.deepEqual(rows, [{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+  assert.deepEqual(errors, []);
+});
+
+test('coerces typed columns and reports values that do not fit', () => {
+  const text = 'id,amount,date,ok\n1,"$1,234.50",2025-03-03,yes\n2,(12.00),2025-03-04,0\n3.5,1,2025-03-05,no\n4,abc,2025-03-06,y\n';
+  const { rows, errors } = parseCSV(text, { columns: { id: 'integer', amount: 'number', date: 'date', ok: 'boolean' } });
+  assert.deepEqual(rows, [
+    { id: 1, amount: 1234.5, date: '2025-03-03', ok: true },
+    { id: 2, amount: -12, date: '2025-03-04', ok: false }
+  ]);
+  assert.deepEqual(errors.map(e => [e.line, e.message]), [
+    [4, 'Column "id": not an integer: 3.5'],
+    [5, 'Column "amount": not a number: abc']
+  ]);
+});
+
+test('date columns take real YYYY-MM-DD days only', () => {
+  const text = 'date\n2024-02-29\n2025-02-30\n2025-02-31\n2025-13-01\n1\nMarch 3, 2025\n3/3/2025\n';
+  const { rows, errors } = parseCSV(text, { columns: { date: 'date' } });
+  assert.deepEqual(rows, [{ date: '2024-02-29' }]);
+  assert.deepEqual(errors.map(e => e.line), [3, 4, 5, 6, 7, 8]);
+  assert.equal(errors[0].message, 'Column "date": not a date (YYYY-MM-DD): 2025-02-30');
+  assert.equal(isCalendarDate('2025-02-28'), true);
+  assert.equal(isCalendarDate('2025-02-29'), false);
+});
+
+test('stringifyCSV output parses back to the same rows', () => {
+  const rows = [{ a: 'x,y', b: 'say "no"' }, { a: ' padded ', b: 'two\nlines' }, { a: '', b: null }];
+  const text = stringifyCSV(['a', 'b'], rows);
+  assert.equal(text.split('\n')[1], '"x,y","say ""no"""');
+  assert.deepEqual(parseCSV(text).rows, [rows[0], rows[1], { a: '', b: '' }]);
+});
@@ -0,0 +1,49 @@
+// test/exporter.test.js
+// exporter.js: transaction and chart-series files and the printable report.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV } = require('../csv.js');
+const { exportFileName, transactionsCSV, transactionsJSON, seriesCSV, seriesJSON, reportHTML } = require('../exporter.js');
+
+const rows = [
+  { tx_id: 'local-1', purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-06-09', note: 'lunch, "big"', source: 'local' },
+  { tx_id: 7, purchase_type: 'Housing', purchase_amount: 900, purchase_date: '2025-06-02' }
+];
+
+test('transactions are exported oldest first with their source', () => {
+  assert.equal(exportFileName('transactions', '2025-06-01', '2025-06-30', 'csv'), 'radius-transactions_2025-06-01_2025-06-30.csv');
+  const parsed = parseCSV(transactionsCSV(rows));
+  assert.deepEqual(parsed.header, ['date', 'category', 'amount', 'note', 'source', 'id']);
+  assert.deepEqual(parsed.rows, [
+    { date: '2025-06-02', category: 'Housing', amount: '900', note: '', source: 'dataset', id: '7' },
+    { date: '2025-06-09', category: 'Food', amount: '12.5', note: 'lunch, "big"', source: 'local', id: 'local-1' }
+  ]);
+  const json = JSON.parse(transactionsJSON(rows, { user: '1', from: '2025-06-01', to: '2025-06-30', types: ['Food', 'Housing'] }));
+  assert.equal(json.user, '1');
+  assert.deepEqual(json.transactions.map(t => t.id), ['7', 'local-1']);
+});
+
+test('the two edges of a band get upper and lower columns; missing values stay empty', () => {
+  const periods = ['2025-06-02', '2025-06-09'];
+  const datasets = [
+    { label: 'You', metaId: 'you', data: [10, 20] },
+    { label: 'Forecast 95%', metaId: 'band', data: [undefined, 30] },
+    { label: 'Forecast 95%', metaId: 'band', data: [undefined, 5] },
+    { label: 'Georgia', data: [15, null] }
+  ];
+  const csv = parseCSV(seriesCSV(periods, datasets));
+  assert.deepEqual(csv.header, ['period', 'You', 'Forecast 95% (upper)', 'Forecast 95% (lower)', 'Georgia']);
+  assert.deepEqual(csv.rows[0], { period: '2025-06-02', You: '10', 'Forecast 95% (upper)': '', 'Forecast 95% (lower)': '', Georgia: '15' });
+  const json = JSON.parse(seriesJSON(periods, datasets, { granularity: 'week' }));
+  assert.deepEqual(json.series.map(s => [s.id, s.label]), [['you', 'You'], ['band', 'Forecast 95% (upper)'], ['band', 'Forecast 95% (lower)'], ['Georgia', 'Georgia']]);
+  assert.deepEqual(json.series[1].values, [null, 30]);
+});
+
+test('the report escapes what it is given', () => {
+  const html = reportHTML({ title: 'Report <1>', user: 'A & B', from: '2025-06-01', to: '2025-06-30', types: [], balance: '$1.00', heading: 'Spending', chartImage: null, summary: ['<b>x</b>'], notes: [] });
+  assert.match(html, /<title>Report &lt;1&gt;<\/title>/);
+  assert.match(html, /A &amp; B · 2025-06-01 to 2025-06-30 · no categories selected/);
+  assert.match(html, /<li>&lt;b&gt;x&lt;\/b&gt;<\/li>/);
+  assert.doesNotMatch(html, /<img/);
+});
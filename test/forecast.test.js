@@ -0,0 +1,41 @@
+// test/forecast.test.js
+// forecast.js: the three forecast methods, their fallbacks and the 95% band.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { forecastSeries, combineForecasts, forecastBand } = require('../forecast.js');
+
+test('a moving average is flat and its error grows with the horizon', () => {
+  const f = forecastSeries([10, 20, 10, 20, 10, 20], 3, { method: 'moving-average', window: 2 });
+  assert.equal(f.method, 'moving-average');
+  assert.deepEqual(f.values, [15, 15, 15]);
+  // Every one-step error of a 2-period mean here is ±5
+  assert.equal(f.sigma[0], 5);
+  assert.ok(f.sigma[1] > f.sigma[0] && f.sigma[2] > f.sigma[1]);
+});
+
+test('a linear trend extends a straight line exactly', () => {
+  const f = forecastSeries([10, 12, 14, 16], 2, { method: 'linear' });
+  assert.equal(f.method, 'linear');
+  assert.deepEqual(f.values.map(v => Math.round(v * 1e9) / 1e9), [18, 20]);
+  assert.deepEqual(f.sigma, [0, 0]);
+  // A falling trend is never forecast below zero
+  assert.deepEqual(forecastSeries([30, 20, 10], 3, { method: 'linear' }).values.map(v => Math.round(v * 1e9) / 1e9), [0, 0, 0]);
+});
+
+test('seasonal-naive repeats the last season and falls back without two of them', () => {
+  const f = forecastSeries([1, 2, 3, 4, 1, 2, 3, 4], 6, { method: 'seasonal-naive', season: 4 });
+  assert.equal(f.method, 'seasonal-naive');
+  assert.deepEqual(f.values, [1, 2, 3, 4, 1, 2]);
+  assert.equal(forecastSeries([1, 2, 3, 4, 5], 2, { method: 'seasonal-naive', season: 4 }).method, 'moving-average');
+  assert.equal(forecastSeries([1, 2], 2, { method: 'linear' }).method, 'moving-average');
+  assert.deepEqual(forecastSeries([], 2), { method: 'moving-average', values: [0, 0], sigma: [0, 0] });
+});
+
+test('combined forecasts add values and add errors in quadrature; the band is clamped at zero', () => {
+  const combined = combineForecasts([{ values: [10, 10], sigma: [3, 6] }, { values: [5, 1], sigma: [4, 8] }]);
+  assert.deepEqual(combined, { values: [15, 11], sigma: [5, 10] });
+  const band = forecastBand(combined);
+  assert.deepEqual(band.upper, [15 + 1.96 * 5, 11 + 1.96 * 10]);
+  assert.deepEqual(band.lower, [15 - 1.96 * 5, 0]);
+});
@@ -0,0 +1,42 @@
+// test/goals.test.js
+// goals.js: validating goals and the weekly contribution plan.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanGoal, withGoal, goalPlan } = require('../goals.js');
+
+const fund = { id: 'g1', name: 'Emergency fund', target: 3000, saved: 1000, deadline: '2025-12-29' };
+
+test('works out the weekly contribution and whether the surplus covers it', () => {
+  // 2025-06-30 to 2025-12-29 is 26 weeks; 2000 left
+  const plan = goalPlan(fund, '2025-06-30', 80);
+  assert.equal(plan.remaining, 2000);
+  assert.equal(plan.weeksLeft, 26);
+  assert.equal(plan.neededWeekly, 76.92);
+  assert.equal(plan.onTrack, true);
+  assert.equal(plan.progress, 1 / 3);
+  assert.equal(goalPlan(fund, '2025-06-30', 50).onTrack, false);
+  assert.equal(goalPlan(fund, '2025-06-30', null).onTrack, false);
+});
+
+test('a reached goal is on track and an overdue one needs no weekly amount', () => {
+  assert.deepEqual(goalPlan(Object.assign({}, fund, { saved: 3500 }), '2026-01-05', null), { remaining: 0, progress: 1, weeksLeft: 0, neededWeekly: 0, overdue: false, reached: true, onTrack: true });
+  const late = goalPlan(fund, '2026-01-05', 500);
+  assert.equal(late.overdue, true);
+  assert.equal(late.neededWeekly, null);
+  assert.equal(late.onTrack, false);
+});
+
+test('goals are validated before they are added or replaced', () => {
+  assert.throws(() => cleanGoal({ name: ' ', target: 10, deadline: '2025-12-01' }), /name/);
+  assert.throws(() => cleanGoal({ name: 'Trip', target: -1, deadline: '2025-12-01' }), /Target/);
+  assert.throws(() => cleanGoal({ name: 'Trip', target: 10, saved: -5, deadline: '2025-12-01' }), /negative/);
+  assert.throws(() => cleanGoal({ name: 'Trip', target: 10, deadline: 'soon' }), /Deadline/);
+  const added = withGoal([fund], null, { name: 'Trip', target: '1200.005', saved: '', deadline: '2026-03-01' });
+  assert.equal(added.length, 2);
+  assert.match(added[1].id, /^goal-/);
+  assert.deepEqual(Object.assign({}, added[1], { id: 'x' }), { id: 'x', name: 'Trip', target: 1200.01, saved: 0, deadline: '2026-03-01' });
+  const replaced = withGoal(added, 'g1', { name: 'Rainy day', target: 500, saved: 100, deadline: '2025-09-01' });
+  assert.deepEqual(replaced[0], { id: 'g1', name: 'Rainy day', target: 500, saved: 100, deadline: '2025-09-01' });
+  assert.equal(replaced[1], added[1]);
+});
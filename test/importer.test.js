@@ -0,0 +1,119 @@
+// test/importer.test.js
+// importer.js: OFX in both forms, bank amounts and dates, column guessing and duplicates.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOFX, readCSVStatement, guessColumnMapping, parseDate, detectDateFormat, parseAmount, mapCSVRows, toPurchases, categorize, DEFAULT_RULES, markDuplicates } = require('../importer.js');
+
+const SGML = [
+  'OFXHEADER:100',
+  'DATA:OFXSGML',
+  '',
+  '<OFX>',
+  '<BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+  '<STMTTRN>',
+  '<TRNTYPE>DEBIT',
+  '<DTPOSTED>20250303120000[-5:EST]',
+  '<TRNAMT>-42.17',
+  '<FITID>A1',
+  '<NAME>KROGER #123',
+  '<MEMO>Groceries &amp; more',
+  '<STMTTRN>',
+  '<TRNTYPE>CREDIT',
+  '<DTPOSTED>20250304',
+  '<TRNAMT>1500,00',
+  '<FITID>A2',
+  '<NAME>PAYROLL',
+  '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>'
+].join('\n');
+
+const XML = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<?OFX OFXHEADER="200" VERSION="220"?>',
+  '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+  '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250310</DTPOSTED><TRNAMT>-9.99</TRNAMT><FITID>B1</FITID><NAME>Netflix &lt;Streaming&gt;</NAME></STMTTRN>',
+  '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250230</DTPOSTED><TRNAMT>-5.00</TRNAMT><FITID>B2</FITID></STMTTRN>',
+  '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250311</DTPOSTED><TRNAMT>n/a</TRNAMT><FITID>B3</FITID></STMTTRN>',
+  '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+].join('\n');
+
+test('reads SGML (OFX 1.x) statements without closing tags', () => {
+  const { lines, errors } = parseOFX(SGML);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(lines, [
+    { date: '2025-03-03', amount: -42.17, description: 'KROGER #123 — Groceries & more', fitid: 'A1', line: 6 },
+    { date: '2025-03-04', amount: 1500, description: 'PAYROLL', fitid: 'A2', line: 13 }
+  ]);
+  assert.deepEqual(toPurchases(lines, false), { purchases: [lines[0]].map(l => Object.assign({}, l, { amount: 42.17 })), skipped: 1 });
+});
+
+test('reads XML (OFX 2.x) statements and reports bad transactions by line', () => {
+  const { lines, errors } = parseOFX(XML);
+  assert.deepEqual(lines, [{ date: '2025-03-10', amount: -9.99, description: 'Netflix <Streaming>', fitid: 'B1', line: 4 }]);
+  assert.deepEqual(errors, [{ line: 5, message: 'Missing or invalid DTPOSTED' }, { line: 6, message: 'Missing or invalid TRNAMT' }]);
+});
+
+test('rejects files that are not OFX or hold no transactions', () => {
+  assert.deepEqual(parseOFX('date,amount\n2025-03-03,1').errors, [{ line: 1, message: 'Not an OFX/QFX file (no <OFX> element)' }]);
+  assert.deepEqual(parseOFX('<OFX><BANKTRANLIST></BANKTRANLIST></OFX>').errors, [{ line: 1, message: 'No transactions (<STMTTRN>) found' }]);
+});
+
+test('reads bank amounts with decimal commas, thousands separators, parentheses and minus signs', () => {
+  const cases = {
+    '12.50': 12.5,
+    '-1,234.56': -1234.56,
+    '1,234': 1234,
+    '1.234,56': 1234.56,
+    '-12,5': -12.5,
+    '$12.00': 12,
+    '€ 1 234,50': 1234.5,
+    '(12.00)': -12,
+    '($1,000.00)': -1000,
+    '12.00-': -12,
+    '+7': 7
+  };
+  for(const [text, value] of Object.entries(cases)) assert.equal(parseAmount(text), value, text);
+  for(const text of ['', 'abc', '1.2.3', '12,345,6x', null]) assert.ok(Number.isNaN(parseAmount(text)), String(text));
+});
+
+test('detects the date format, month-first unless a day above 12 says otherwise', () => {
+  assert.equal(detectDateFormat(['2025-03-04', '2025-03-05']), 'YYYY-MM-DD');
+  assert.equal(detectDateFormat(['03/04/2025', '03/05/2025']), 'MM/DD/YYYY');
+  assert.equal(detectDateFormat(['03/04/2025', '25/03/2025', '26/03/2025']), 'DD/MM/YYYY');
+  assert.equal(detectDateFormat(['20250304', '']), 'YYYYMMDD');
+  assert.equal(detectDateFormat(['yesterday', '']), null);
+  assert.equal(parseDate('3/4/25', 'DD/MM/YYYY'), '2025-04-03');
+  assert.equal(parseDate('02/30/2025', 'MM/DD/YYYY'), null);
+});
+
+test('guesses the date, amount and description columns from the header', () => {
+  assert.deepEqual(guessColumnMapping(['Posting Date', 'Value Date', 'Details', 'Amount', 'Balance']), { date: 'Posting Date', amount: 'Amount', description: 'Details' });
+  assert.deepEqual(guessColumnMapping(['Date', 'Payee', 'Withdrawal', 'Deposit']), { date: 'Date', amount: 'Withdrawal', description: 'Payee' });
+  assert.deepEqual(guessColumnMapping(['When', 'How much']), { date: '', amount: '', description: '' });
+});
+
+test('maps a semicolon CSV export with day-first dates into statement lines', () => {
+  const parsed = readCSVStatement('Datum;Omschrijving;Bedrag\n03/03/2025;Albert Heijn;-23,45\n15/03/2025;Shell;-60,00\n16/03/2025;Refund;abc\n');
+  assert.equal(parsed.delimiter, ';');
+  const { lines, errors, dateFormat } = mapCSVRows(parsed, { date: 'Datum', amount: 'Bedrag', description: 'Omschrijving', dateFormat: 'auto' });
+  assert.equal(dateFormat, 'DD/MM/YYYY');
+  assert.deepEqual(lines.map(l => [l.date, l.amount, l.description, l.line]), [['2025-03-03', -23.45, 'Albert Heijn', 2], ['2025-03-15', -60, 'Shell', 3]]);
+  assert.deepEqual(errors, [{ line: 4, message: 'Amount "abc" is not a number' }]);
+  assert.equal(categorize('SHELL OIL 1234', DEFAULT_RULES), 'Transport');
+});
+
+test('flags purchases already recorded, one row each, and repeats within the file', () => {
+  const purchases = [
+    { date: '2025-03-03', amount: 42.17, description: 'Kroger', fitid: 'A1' },
+    { date: '2025-03-03', amount: 42.17, description: 'Kroger again', fitid: 'A2' },
+    { date: '2025-03-04', amount: 9.99, description: 'Netflix', fitid: 'A3' },
+    { date: '2025-03-05', amount: 9.99, description: 'Netflix', fitid: 'A3' },
+    { date: '2025-03-04', amount: 9.99, description: 'Netflix', fitid: null },
+    { date: '2025-03-06', amount: 20, description: 'Shell', fitid: null }
+  ];
+  const existing = [{ purchase_date: '2025-03-03', purchase_amount: 42.171 }, { purchase_date: '2025-03-06', purchase_amount: 21 }];
+  assert.deepEqual(markDuplicates(purchases, existing).map(p => p.duplicate), ['existing', null, null, 'file', 'file', null]);
+  // The candidates themselves are left alone
+  assert.ok(!('duplicate' in purchases[0]));
+});
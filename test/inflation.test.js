@@ -0,0 +1,39 @@
+// test/inflation.test.js
+// inflation.js: reading the CPI table and restating amounts in base-year dollars.
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCPITable, baseYears, indexFor, realFactor, deflateRows, deflateSeries } = require('../inflation.js');
+
+const { cpi } = parseCPITable('period,cpi\n2023,300\n2024,310\n2025-01,312\n2025-03,315\n');
+
+test('uses the month, else the year\'s average, else the latest index before the date', () => {
+  assert.equal(indexFor(cpi, '2025-03-17'), 315);
+  assert.equal(indexFor(cpi, '2024-06-01'), 310);
+  assert.equal(indexFor(cpi, 2023), 300);
+  // 2025-02 is missing and 2025 has no annual average yet: the January index carries forward
+  assert.equal(indexFor(cpi, '2025-02-10'), 312);
+  // Past the end of the table
+  assert.equal(indexFor(cpi, '2026-08-01'), 315);
+  assert.equal(indexFor(cpi, '2019-01-01'), null);
+});
+
+test('restates amounts and series in base-year dollars', () => {
+  assert.deepEqual(baseYears(cpi), [2023, 2024]);
+  assert.equal(realFactor(cpi, '2025-03-01', 2024), 310 / 315);
+  assert.equal(realFactor(cpi, '2019-01-01', 2024), 1);
+  assert.equal(realFactor(cpi, '2025-03-01', 2030), 1);
+  assert.deepEqual(deflateRows([{ tx_id: '1', purchase_amount: 315, purchase_date: '2025-03-03' }], cpi, 2023), [{ tx_id: '1', purchase_amount: 300, purchase_date: '2025-03-03' }]);
+  assert.deepEqual(deflateSeries([312, null, 0], ['2025-01-06', '2025-01-13', '2025-03-03'], cpi, 2024), [310, null, 0]);
+});
+
+test('reports malformed periods and the bundled table parses cleanly', () => {
+  const bad = parseCPITable('period,cpi\n2025-13,1\n2025,abc\n2024,310\n');
+  assert.deepEqual(bad.errors.map(e => e.line), [2, 3]);
+  assert.deepEqual(Array.from(bad.cpi.annual), [[2024, 310]]);
+  const bundled = parseCPITable(fs.readFileSync(path.join(__dirname, '..', 'benchmarks', 'cpi.csv'), 'utf8'));
+  assert.deepEqual(bundled.errors, []);
+  assert.ok(bundled.cpi.monthly.has('2025-06'));
+});
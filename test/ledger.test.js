@@ -0,0 +1,47 @@
+// test/ledger.test.js
+// ledger.js: the running balance, the savings rate and the check against a stored balance.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLedger, balanceAt, savingsRate, reconcile } = require('../ledger.js');
+
+function purchase(id, date, amount){
+  return { tx_id: String(id), purchase_type: 'Food', purchase_amount: amount, purchase_date: date };
+}
+
+const rows = [purchase(1, '2025-03-03', 40), purchase(2, '2025-03-05', 25.5), purchase(3, '2025-03-10', 100), purchase(4, '2025-03-20', 9)];
+
+test('credits income each Monday before that day\'s purchases and keeps a running balance', () => {
+  const ledger = buildLedger({ rows, openingBalance: 50, weeklyIncome: 200, from: '2025-03-03', to: '2025-03-16' });
+  assert.deepEqual(ledger.entries.map(e => [e.date, e.kind, e.amount, e.balance]), [
+    ['2025-03-03', 'income', 200, 250],
+    ['2025-03-03', 'purchase', -40, 210],
+    ['2025-03-05', 'purchase', -25.5, 184.5],
+    ['2025-03-10', 'income', 200, 384.5],
+    ['2025-03-10', 'purchase', -100, 284.5]
+  ]);
+  assert.equal(ledger.closingBalance, 284.5);
+  assert.equal(balanceAt(ledger, '2025-03-02'), 50);
+  assert.equal(balanceAt(ledger, '2025-03-07'), 184.5);
+  assert.equal(balanceAt(ledger, '2025-03-31'), 284.5);
+});
+
+test('a range starting mid-week still gets that week\'s income', () => {
+  const ledger = buildLedger({ rows, openingBalance: 0, weeklyIncome: 100, from: '2025-03-05', to: '2025-03-09' });
+  assert.deepEqual(ledger.entries.map(e => [e.date, e.kind]), [['2025-03-03', 'income'], ['2025-03-05', 'purchase']]);
+});
+
+test('savings rate and the stored-balance check', () => {
+  const ledger = buildLedger({ rows, openingBalance: 50, weeklyIncome: 200, from: '2025-03-03', to: '2025-03-16' });
+  assert.deepEqual(savingsRate(ledger, '2025-03-03', '2025-03-09'), { income: 200, spending: 65.5, net: 134.5, rate: 0.6725 });
+  assert.equal(savingsRate(buildLedger({ rows, from: '2025-03-03', to: '2025-03-16' }), '2025-03-03', '2025-03-16').rate, null);
+  assert.deepEqual(reconcile(ledger, 284.5), { matches: true, difference: 0, impliedOpening: 50 });
+  assert.deepEqual(reconcile(ledger, 300), { matches: false, difference: -15.5, impliedOpening: 65.5 });
+});
+
+test('purchases outside the income weeks still count toward the balance', () => {
+  const late = rows.concat(purchase(5, '2025-04-02', 20));
+  const ledger = buildLedger({ rows: late, openingBalance: 0, weeklyIncome: 100, from: '2025-03-03', to: '2025-04-02', incomeFrom: '2025-03-03', incomeTo: '2025-03-16' });
+  assert.deepEqual(ledger.entries.filter(e => e.kind === 'income').map(e => e.date), ['2025-03-03', '2025-03-10']);
+  assert.equal(ledger.closingBalance, 200 - 40 - 25.5 - 100 - 9 - 20);
+});
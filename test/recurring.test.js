@@ -0,0 +1,91 @@
+// test/recurring.test.js
+// recurring.js: which charge series count as bills, checked on made-up histories and on the
+// bundled dataset.
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RadiusCSV = require('../csv.js');
+const { addDaysISO } = require('../analytics.js');
+const { AMOUNT_TOLERANCE, detectRecurring, variableCategories, upcomingCharges, splitFixedSpending } = require('../recurring.js');
+const { DATASET_COLUMNS } = require('../server/store.js');
+
+// One charge per week from 2025-03-03 with the given amounts
+function weekly(type, amounts){
+  return amounts.map((a, i) => ({ purchase_type: type, purchase_amount: a, purchase_date: addDaysISO('2025-03-03', 7 * i) }));
+}
+
+test('defaults to a tight amount tolerance', () => {
+  assert.ok(AMOUNT_TOLERANCE > 0 && AMOUNT_TOLERANCE <= 0.15);
+});
+
+test('a weekly charge of a steady amount is a bill', () => {
+  const rows = weekly('Housing', [800, 800, 812, 800, 795, 800, 800, 806]);
+  const [series] = detectRecurring(rows, { asOf: '2025-04-21' });
+  assert.deepEqual(
+    { type: series.type, scope: series.scope, cadence: series.cadence, amount: series.amount, nextDate: series.nextDate, active: series.active },
+    { type: 'Housing', scope: 'category', cadence: 'weekly', amount: 800, nextDate: '2025-04-28', active: true }
+  );
+  assert.deepEqual(upcomingCharges([series], '2025-04-22', '2025-05-05').map(c => c.date), ['2025-04-28', '2025-05-05']);
+});
+
+test('weekly everyday spending whose amount swings is not a bill', () => {
+  // Roughly ±35% around $60, like the categories of the bundled dataset
+  const rows = weekly('Food', [69.93, 68.06, 54.45, 39.92, 83.09, 65.11, 41.93, 53, 44.82, 70, 80.38, 60.78]);
+  assert.deepEqual(detectRecurring(rows), []);
+  // The old ±50% band would have called it one
+  assert.equal(detectRecurring(rows, { tolerance: 0.5 }).length, 1);
+});
+
+test('finds a monthly subscription among other spending of its category', () => {
+  const rows = weekly('Entertainment', [25, 80, 12, 43, 61, 9, 37, 70, 18, 55, 33, 90, 14, 47, 66, 21]);
+  for(const date of ['2025-03-05', '2025-04-05', '2025-05-05', '2025-06-05']) rows.push({ purchase_type: 'Entertainment', purchase_amount: 15.99, purchase_date: date });
+  const series = detectRecurring(rows);
+  assert.equal(series.length, 1);
+  assert.deepEqual([series[0].scope, series[0].cadence, series[0].amount, series[0].low, series[0].high], ['amount', 'monthly', 15.99, 15.99, 15.99]);
+  const split = splitFixedSpending(rows, series);
+  assert.equal(split.fixed, 63.96);
+  assert.deepEqual(split.fixedTypes, ['Entertainment']);
+});
+
+test('a chance run of similar amounts with a skipped week is not a subscription', () => {
+  // 161.59, 162.61, 157.77, 158.98, 155.75 fall within 5% of each other but skip a week
+  const rows = weekly('Healthcare', [161.59, 162.61, 127.93, 157.77, 158.98, 155.75, 110.76, 267.92, 209.81, 94.5, 165.97, 50.61]);
+  assert.deepEqual(detectRecurring(rows), []);
+});
+
+test('the bundled dataset has no whole category of bills, and user 1 none at all', () => {
+  const text = fs.readFileSync(path.join(__dirname, '..', 'assets', 'dataset.csv'), 'utf8');
+  const { rows } = RadiusCSV.parseCSV(text, { columns: DATASET_COLUMNS });
+  const byUser = new Map();
+  for(const r of rows){
+    if(!byUser.has(r.id)) byUser.set(r.id, []);
+    byUser.get(r.id).push(r);
+  }
+  assert.equal(byUser.size, 30);
+  for(const [id, list] of byUser){
+    const series = detectRecurring(list, { asOf: '2025-06-30' });
+    assert.deepEqual(series.filter(s => s.scope === 'category').map(s => s.type), [], 'user ' + id);
+    if(id === '1') assert.deepEqual(series, []);
+    // Housing and Utilities come every week but vary too much to be bills, even at the
+    // dashboard's widest tolerance
+    for(const tolerance of [AMOUNT_TOLERANCE, 0.25]){
+      assert.deepEqual(detectRecurring(list, { tolerance }).filter(s => s.type === 'Housing' || s.type === 'Utilities'), [], 'user ' + id);
+      const variable = variableCategories(list, { tolerance });
+      for(const type of ['Housing', 'Utilities']){
+        const v = variable.find(c => c.type === type);
+        assert.ok(v, type + ' of user ' + id);
+        assert.deepEqual([v.cadence, v.occurrences], ['weekly', 18]);
+        assert.ok(v.high > v.amount * (1 + tolerance) || v.low < v.amount * (1 - tolerance));
+      }
+    }
+  }
+});
+
+test('lists categories that recur in time but not in amount', () => {
+  const rows = weekly('Food', [69.93, 68.06, 54.45, 39.92, 83.09, 65.11, 41.93, 53, 44.82, 70, 80.38, 60.78])
+    .concat(weekly('Housing', [800, 800, 812, 800, 795, 800, 800, 806]));
+  assert.deepEqual(variableCategories(rows), [{ type: 'Food', cadence: 'weekly', occurrences: 12, amount: 62.95, low: 39.92, high: 83.09 }]);
+  assert.deepEqual(variableCategories(rows, { tolerance: 0.5 }), []);
+});
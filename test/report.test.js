@@ -0,0 +1,85 @@
+// test/report.test.js
+// report.js and tools/radius.js: the report's totals against a cohort and the command line's
+// argument errors.
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, buildReport, formatText } = require('../tools/radius.js');
+const { row, makeStore } = require('./support/server.js');
+
+// Georgia: three users buy Food over two weeks, user 1 also Healthcare. Texas has two users.
+const ROWS = [
+  row('1', 'Georgia', 'Food', 30, '2025-03-03'),
+  row('1', 'Georgia', 'Healthcare', 200, '2025-03-04'),
+  row('1', 'Georgia', 'Food', 40, '2025-03-12'),
+  row('2', 'Georgia', 'Food', 50, '2025-03-05'),
+  row('3', 'Georgia', 'Food', 70, '2025-03-06'),
+  row('4', 'Texas', 'Food', 20, '2025-03-03'),
+  row('5', 'Texas', 'Food', 25, '2025-03-10')
+];
+
+function report(store, ...argv){
+  return buildReport(store, parseArgs(['report', ...argv]));
+}
+
+test('compares the user\'s weekly totals with the state average, overall and per type', async () => {
+  const store = await makeStore(ROWS);
+  const doc = report(store, '--user', '1', '--from', '2025-03-03', '--to', '2025-03-16');
+  assert.deepEqual(doc.periods, ['2025-03-03', '2025-03-10']);
+  assert.deepEqual(doc.series.you, [230, 40]);
+  assert.equal(doc.cohort.userCount, 3);
+  // Per user per week: (230 + 50 + 70) / 3, then 40 / 3
+  assert.deepEqual(doc.series.average, [116.67, 13.33]);
+  assert.equal(doc.report.total.you, 135);
+  assert.equal(doc.report.total.cohort, 65);
+  assert.equal(doc.report.total.relation, 'higher');
+  // Only user 1 bought Healthcare: Food is compared, Healthcare is theirs alone
+  const byType = Object.fromEntries(doc.report.byType.map(e => [e.type, [e.you, e.cohort]]));
+  assert.deepEqual(byType, { Food: [35, 31.665], Healthcare: [100, null] });
+  const text = formatText(doc);
+  assert.match(text, /Healthcare: the Georgia average is not available/);
+  assert.match(text, /\n2025-03-03 +\$230\.00 +\$116\.67\n2025-03-10 +\$40\.00 +\$13\.33$/);
+});
+
+test('reports the user\'s side alone when the cohort is too small to publish', async () => {
+  const store = await makeStore(ROWS);
+  const doc = report(store, '--user', '4', '--types', 'Food');
+  assert.equal(doc.series.average, null);
+  assert.equal(doc.report.total.you, 10);
+  assert.match(doc.cohort.withheld, /Not enough users in Texas/);
+});
+
+test('rejects bad arguments with a message naming the option', () => {
+  const cases = [
+    [[], /Unknown command: \(none\)/],
+    [['report'], /--user is required/],
+    [['report', '--user', '1', '--from', '2025-13-40'], /--from must be a date \(YYYY-MM-DD\): 2025-13-40/],
+    [['report', '--user', '1', '--to', '2025-02-30'], /--to must be a date/],
+    [['report', '--user', '1', '--from', '2025-3-1'], /--from must be a date/],
+    [['report', '--user', '1', '--from', '2025-04-01', '--to', '2025-03-01'], /--from must not be after --to/],
+    [['report', '--user', '1', '--types'], /--types needs a value/],
+    [['report', '--user', '--from', '2025-03-01'], /--user needs a value/],
+    [['report', '--user', '1', '--format', 'xml'], /--format must be one of text, json/],
+    [['report', '--user', '1', '--granularity', 'year'], /--granularity must be one of/],
+    [['report', '--user', '1', '--tolerance', '0'], /--tolerance must be a positive number/],
+    [['report', '--user', '1', '--verbose'], /Unknown argument: --verbose/]
+  ];
+  for(const [argv, message] of cases) assert.throws(() => parseArgs(argv), message, argv.join(' '));
+});
+
+test('rejects an unknown user or purchase type', async () => {
+  const store = await makeStore(ROWS);
+  assert.throws(() => report(store, '--user', '9'), /Unknown user: 9/);
+  assert.throws(() => report(store, '--user', '1', '--types', 'Food,Rent'), /Unknown purchase type: Rent/);
+});
+
+test('the command prints the error and exits with 1', () => {
+  const bin = path.join(__dirname, '..', 'tools', 'radius.js');
+  assert.throws(() => execFileSync(process.execPath, [bin, 'report', '--user', '1', '--from', '2025-13-40'], { stdio: 'pipe' }), err => {
+    assert.equal(err.status, 1);
+    assert.equal(err.stderr.toString(), 'radius: --from must be a date (YYYY-MM-DD): 2025-13-40\n');
+    return true;
+  });
+});
@@ -0,0 +1,134 @@
+// test/store.test.js
+// server/store.js: range parameters, the minimum cohort size, the per-user queries and the changes
+// users make to their own transactions.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StoreError } = require('../server/store.js');
+const { row, makeStore, reloadStore } = require('./support/server.js');
+
+// Georgia: three users buy Food, only user 1 buys Healthcare. Texas has two users.
+const ROWS = [
+  row('1', 'Georgia', 'Food', 30, '2025-03-03'),
+  row('1', 'Georgia', 'Healthcare', 200, '2025-03-04'),
+  row('1', 'Georgia', 'Food', 40, '2025-03-12'),
+  row('2', 'Georgia', 'Food', 50, '2025-03-05'),
+  row('3', 'Georgia', 'Food', 70, '2025-03-06'),
+  row('4', 'Texas', 'Food', 20, '2025-03-03'),
+  row('5', 'Texas', 'Food', 25, '2025-03-10')
+];
+
+test('userTransactions returns one user\'s rows in the range, in date order', async () => {
+  const store = await makeStore(ROWS);
+  const res = store.userTransactions('1', { from: '2025-03-04', to: '2025-03-31', types: 'Food,Healthcare' });
+  assert.deepEqual(res.transactions.map(t => [t.purchase_date, t.purchase_type, t.purchase_amount]), [
+    ['2025-03-04', 'Healthcare', 200],
+    ['2025-03-12', 'Food', 40]
+  ]);
+  assert.deepEqual(store.userTransactions('2', { from: '2025-03-31', to: '2025-03-01' }).transactions.length, 1);
+});
+
+test('rejects dates that are not real calendar days with a 400', async () => {
+  const store = await makeStore(ROWS);
+  for(const from of ['2025-13-45', '2025-02-30', '2025-3-1', 'yesterday']){
+    assert.throws(() => store.userTransactions('1', { from }), err => err instanceof StoreError && err.status === 400, from);
+    assert.throws(() => store.cohortBenchmark('state', 'Georgia', { from }), err => err instanceof StoreError && err.status === 400, from);
+  }
+  assert.equal(store.userTransactions('1', { from: '2024-02-29', to: '2025-12-31' }).transactions.length, 3);
+});
+
+test('publishes a cohort only when enough users bought the requested types', async () => {
+  const store = await makeStore(ROWS);
+  const food = store.cohortBenchmark('state', 'Georgia', { types: 'Food' });
+  assert.equal(food.userCount, 3);
+  assert.deepEqual(food.withheldTypes, []);
+  // Three members, but a single one bought Healthcare: their spending must not be published
+  assert.throws(() => store.cohortBenchmark('state', 'Georgia', { types: 'Healthcare' }), err => err.status === 403);
+  assert.throws(() => store.cohortBenchmark('state', 'Texas', { types: 'Food' }), err => err.status === 403);
+});
+
+test('leaves out a single type too few users bought, and its rank', async () => {
+  const store = await makeStore(ROWS);
+  const res = store.cohortBenchmark('state', 'Georgia', { types: 'Food,Healthcare' }, '1');
+  assert.deepEqual(Object.keys(res.byType), ['Food']);
+  assert.deepEqual(res.withheldTypes, ['Healthcare']);
+  assert.deepEqual(Object.keys(res.you.byType), ['Food']);
+  assert.equal(res.userCount, 3);
+});
+
+test('publishes no percentiles for a small cohort, and only those with enough users either side', async () => {
+  const store = await makeStore(ROWS);
+  const small = store.cohortBenchmark('state', 'Georgia', { types: 'Food' });
+  assert.deepEqual(small.percentiles, {});
+  assert.deepEqual(small.withheldPercentiles, [10, 25, 50, 75, 90]);
+  assert.equal(small.average.length, small.periods.length);
+  // 20 users: five of them on each side of the quartiles, too few below the 10th percentile
+  const rows = [];
+  for(let i = 1; i <= 20; i++) rows.push(row(String(i), 'Ohio', 'Food', 10 * i, '2025-03-03'));
+  const large = (await makeStore(rows)).cohortBenchmark('state', 'Ohio', { from: '2025-03-03', to: '2025-03-09' });
+  assert.deepEqual(Object.keys(large.percentiles), ['p25', 'p50', 'p75']);
+  assert.deepEqual(large.withheldPercentiles, [10, 90]);
+  assert.deepEqual(large.percentiles.p50, [105]);
+});
+
+test('users add, edit and delete their own transactions, and their balance follows', async () => {
+  const store = await makeStore(ROWS);
+  const { transaction } = store.addTransaction('1', { purchase_type: 'Food', purchase_amount: 12.504, purchase_date: '2025-03-05', note: ' Lunch ' });
+  assert.deepEqual(transaction, { tx_id: 'n1', purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-03-05', note: 'Lunch' });
+  store.updateTransaction('1', '2', { purchase_type: 'Food', purchase_amount: 35, purchase_date: '2025-03-03', original_amount: 30 });
+  assert.deepEqual(store.deleteTransaction('1', '3', { original_amount: 200 }), { deleted: '3' });
+  assert.deepEqual(store.userTransactions('1', {}).transactions.map(t => [t.tx_id, t.purchase_amount]), [['2', 35], ['n1', 12.5], ['4', 40]]);
+  // 1000 - 12.50 - 5 + 200
+  assert.equal(store.findUser('1').balance, 1182.5);
+  assert.equal(store.findUser('2').balance, 1000);
+  // Cohorts see the change: user 1 spent 35 + 12.50 on Food that week, and no longer bought Healthcare
+  assert.deepEqual(store.cohortBenchmark('state', 'Georgia', { types: 'Food', from: '2025-03-03', to: '2025-03-09' }).average, [55.83]);
+  assert.deepEqual(Object.keys(store.cohortBenchmark('state', 'Georgia', {}, '1').you.byType), ['Food']);
+});
+
+test('refuses other users\' rows, bad fields and edits of a row changed since', async () => {
+  const store = await makeStore(ROWS);
+  const food = { purchase_type: 'Food', purchase_amount: 10, purchase_date: '2025-03-03' };
+  // User 2's row is not found for user 1, as a row that does not exist
+  for(const txId of ['5', 'n9']){
+    assert.throws(() => store.updateTransaction('1', txId, food), err => err.status === 404, txId);
+    assert.throws(() => store.deleteTransaction('1', txId, {}), err => err.status === 404, txId);
+  }
+  assert.throws(() => store.addTransaction('9', food), /User not found/);
+  for(const bad of [{ purchase_amount: 0 }, { purchase_date: '2025-02-30' }, { purchase_type: 'Rent' }]){
+    assert.throws(() => store.addTransaction('1', Object.assign({}, food, bad)), err => err.status === 400, JSON.stringify(bad));
+  }
+  assert.throws(() => store.updateTransaction('1', '2', Object.assign({ original_amount: 25 }, food)), err => {
+    assert.equal(err.status, 409);
+    assert.deepEqual(err.details.transaction, { tx_id: '2', purchase_type: 'Food', purchase_amount: 30, purchase_date: '2025-03-03' });
+    return true;
+  });
+  assert.throws(() => store.deleteTransaction('1', '2', { original_amount: 25 }), err => err.status === 409);
+  assert.deepEqual(store.userTransactions('1', {}).transactions.map(t => t.purchase_amount), [30, 200, 40]);
+});
+
+test('an addition repeated with the same client_id is stored once', async () => {
+  const store = await makeStore(ROWS);
+  const lunch = { purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-03-05', client_id: 'local-1' };
+  assert.equal(store.addTransaction('1', lunch).replayed, false);
+  assert.deepEqual(store.addTransaction('1', lunch), { transaction: { tx_id: 'n1', purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-03-05' }, replayed: true });
+  // Another user's client ids are their own
+  assert.equal(store.addTransaction('2', lunch).transaction.tx_id, 'n2');
+  store.deleteTransaction('1', 'n1', {});
+  assert.deepEqual(store.addTransaction('1', lunch), { transaction: null, replayed: true });
+  assert.equal(store.userTransactions('1', {}).transactions.length, 3);
+});
+
+test('changes survive a restart through the journal', async () => {
+  const store = await makeStore(ROWS);
+  store.addTransaction('1', { purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-03-05', client_id: 'local-1' });
+  store.updateTransaction('2', '5', { purchase_type: 'Food', purchase_amount: 55, purchase_date: '2025-03-05' });
+  store.deleteTransaction('1', '3', {});
+  const again = await reloadStore(store);
+  for(const id of ['1', '2']){
+    assert.deepEqual(again.userTransactions(id, {}), store.userTransactions(id, {}), id);
+    assert.equal(again.findUser(id).balance, store.findUser(id).balance, id);
+  }
+  assert.equal(again.addTransaction('1', { purchase_type: 'Food', purchase_amount: 1, purchase_date: '2025-03-05', client_id: 'local-1' }).replayed, true);
+  assert.equal(again.addTransaction('1', { purchase_type: 'Food', purchase_amount: 1, purchase_date: '2025-03-05' }).transaction.tx_id, 'n2');
+});
@@ -0,0 +1,75 @@
+// test/support/server.js
+// Builds a store from a handful of dataset rows in a temporary directory and serves the API on a
+// free local port, for the server tests.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const RadiusCSV = require('../../csv.js');
+const RadiusCredentials = require('../../credentials.js');
+const { loadStore, DATASET_COLUMNS } = require('../../server/store.js');
+const { createSessionStore } = require('../../server/sessions.js');
+const { createLoginThrottle, ACCOUNT_DEFAULTS, CLIENT_DEFAULTS } = require('../../server/throttle.js');
+const { createAuditLog } = require('../../server/audit.js');
+const { createApp } = require('../../server/app.js');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+// Few iterations keep the tests fast; the records are otherwise the real thing
+const TEST_ITERATIONS = 1000;
+
+// One dataset row per purchase: row(id, location, purchase_type, purchase_amount, purchase_date)
+function row(id, location, type, amount, date){
+  return { id, name: 'User ' + id, location, balance: 1000, income_yearly: 60000, purchase_type: type, purchase_amount: amount, purchase_date: date, income_weekly: 1153.85 };
+}
+
+// Where each test store's files are, so reloadStore can read them again
+const storeFiles = new WeakMap();
+
+// makeStore(rows, accounts) -> store; accounts: [{ id, password }] get credential records. Changes
+// users make go to a journal beside the dataset.
+async function makeStore(rows, accounts){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'radius-test-'));
+  const dataFile = path.join(dir, 'dataset.csv');
+  fs.writeFileSync(dataFile, RadiusCSV.stringifyCSV(Object.keys(DATASET_COLUMNS), rows));
+  const credentialsDir = path.join(dir, 'credentials');
+  fs.mkdirSync(credentialsDir);
+  for(const a of accounts || []){
+    const record = await RadiusCredentials.createCredential(a.id, 'User ' + a.id, a.password, { iterations: TEST_ITERATIONS });
+    const key = await RadiusCredentials.credentialKey(a.id, 'User ' + a.id);
+    fs.writeFileSync(path.join(credentialsDir, key + '.json'), JSON.stringify(record));
+  }
+  const files = { dataFile, credentialsDir, changesFile: path.join(dir, 'changes.jsonl') };
+  const store = await loadStore(files);
+  storeFiles.set(store, files);
+  return store;
+}
+
+// reloadStore(store) -> a new store over the same dataset and journal, as after a restart
+function reloadStore(store){
+  return loadStore(storeFiles.get(store));
+}
+
+// startServer(store) -> { url, audit, close() }
+function startServer(store){
+  const audit = createAuditLog();
+  const app = createApp({
+    store,
+    sessions: createSessionStore({ secret: 'test-secret' }),
+    throttles: { account: createLoginThrottle(ACCOUNT_DEFAULTS), client: createLoginThrottle(CLIENT_DEFAULTS) },
+    audit,
+    rootDir: ROOT_DIR
+  });
+  const server = http.createServer(app);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port,
+        audit,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { row, makeStore, reloadStore, startServer };
@@ -0,0 +1,79 @@
+// test/throttle.test.js
+// server/throttle.js on a fake clock, and the login route's use of it under parallel attempts.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginThrottle } = require('../server/throttle.js');
+const { row, makeStore, startServer } = require('./support/server.js');
+
+function fakeClock(){
+  let t = 1000000;
+  return { now: () => t, advance: ms => { t += ms; } };
+}
+
+test('doubles the wait after the free failures and locks out at the threshold', () => {
+  const clock = fakeClock();
+  const throttle = createLoginThrottle({ freeFailures: 2, baseDelayMs: 1000, maxDelayMs: 60000, lockoutThreshold: 5, lockoutMs: 900000, resetAfterMs: 1800000, now: clock.now });
+  assert.equal(throttle.recordFailure('a'), false);
+  assert.equal(throttle.recordFailure('a'), false);
+  assert.deepEqual(throttle.check('a'), { allowed: true });
+  throttle.recordFailure('a');
+  assert.deepEqual(throttle.check('a'), { allowed: false, retryAfterMs: 1000, locked: false });
+  clock.advance(1000);
+  throttle.recordFailure('a');
+  assert.equal(throttle.check('a').retryAfterMs, 2000);
+  clock.advance(2000);
+  assert.equal(throttle.recordFailure('a'), true);
+  assert.deepEqual(throttle.check('a'), { allowed: false, retryAfterMs: 900000, locked: true });
+  assert.deepEqual(throttle.check('b'), { allowed: true });
+});
+
+test('forgets failures after a success or a quiet period', () => {
+  const clock = fakeClock();
+  const throttle = createLoginThrottle({ freeFailures: 0, baseDelayMs: 1000, lockoutThreshold: 10, resetAfterMs: 60000, now: clock.now });
+  throttle.recordFailure('a');
+  throttle.recordSuccess('a');
+  assert.deepEqual(throttle.check('a'), { allowed: true });
+  throttle.recordFailure('b');
+  clock.advance(60000);
+  throttle.recordFailure('b');
+  assert.equal(throttle.check('b').retryAfterMs, 1000); // counted as the first failure again
+});
+
+test('sweeps out forgotten keys and caps how many it keeps', () => {
+  const clock = fakeClock();
+  const throttle = createLoginThrottle({ resetAfterMs: 60000, pruneIntervalMs: 10000, maxEntries: 100, now: clock.now });
+  for(let i = 0; i < 50; i++) throttle.recordFailure('old-' + i);
+  clock.advance(60000);
+  throttle.recordFailure('new');
+  assert.equal(throttle.size(), 1);
+  // A spray of distinct keys inside the window keeps the most recent maxEntries
+  for(let i = 0; i < 500; i++) throttle.recordFailure('spray-' + i);
+  assert.equal(throttle.size(), 100);
+  assert.equal(throttle.check('spray-499').allowed, true);
+  throttle.recordFailure('spray-499');
+  throttle.recordFailure('spray-499');
+  assert.equal(throttle.check('spray-499').allowed, false);
+});
+
+test('parallel wrong passwords cannot get past the lockout', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03')], [{ id: '1', password: 'right-password' }]));
+  t.after(() => server.close());
+  const attempt = password => fetch(server.url + '/api/login', { method: 'POST', body: JSON.stringify({ id: '1', name: 'User 1', password }) });
+  const statuses = (await Promise.all(Array.from({ length: 12 }, () => attempt('wrong')))).map(r => r.status);
+  // Two free failures, then the third starts the back-off: only those three reach the password check
+  assert.equal(statuses.filter(s => s === 401).length, 3);
+  assert.equal(statuses.filter(s => s === 429).length, 9);
+  assert.equal(server.audit.query({ event: 'login.failure' }).filter(e => e.reason === 'bad_password').length, 3);
+  // Still throttled, even with the right password
+  assert.equal((await attempt('right-password')).status, 429);
+});
+
+test('a correct password releases the attempt it counted', async t => {
+  const server = await startServer(await makeStore([row('1', 'Georgia', 'Food', 10, '2025-03-03')], [{ id: '1', password: 'right-password' }]));
+  t.after(() => server.close());
+  const attempt = password => fetch(server.url + '/api/login', { method: 'POST', body: JSON.stringify({ id: '1', name: 'User 1', password }) });
+  for(let i = 0; i < 4; i++) assert.equal((await attempt('right-password')).status, 200);
+  assert.equal((await attempt('wrong')).status, 401);
+  assert.equal((await attempt('right-password')).status, 200);
+});
@@ -0,0 +1,191 @@
+// test/txstore.test.js
+// txstore.js flush(): sending local changes to the server store, with its conflicts and failures.
+// Runs on the in-memory fallback the store uses when IndexedDB is unavailable.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { row, makeStore } = require('./support/server.js');
+
+global.self = global;
+global.RadiusCSV = require('../csv.js');
+const warn = console.warn;
+console.warn = () => {};
+require('../txstore.js');
+console.warn = warn;
+const { RadiusTxStore } = global;
+
+let nextUser = 1;
+const newUser = () => 'u' + nextUser++;
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const lunch = { purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-06-02', note: 'Lunch' };
+
+// A user of their own store with the given [type, amount, date] rows; their tx_ids are '2', '3', …
+async function serverFor(user, rows){
+  return makeStore(rows.map(([type, amount, date]) => row(user, 'Georgia', type, amount, date)));
+}
+
+// RadiusAPI stand-in over a store: StoreErrors fail like ApiErrors (status and body), requests
+// fail like fetch does while offline, and beforeReply runs between the write and its response
+function storeApi(store){
+  const api = { offline: false, calls: 0, beforeReply: null };
+  const call = fn => new Promise((resolve, reject) => {
+    api.calls++;
+    if(api.offline) return reject(new TypeError('Failed to fetch'));
+    try{ resolve(fn()); }catch(err){ reject(Object.assign(err, { body: err.details })); }
+  }).then(async res => {
+    if(api.beforeReply) await api.beforeReply();
+    return res;
+  });
+  api.addTransaction = (userId, body) => call(() => store.addTransaction(userId, body));
+  api.updateTransaction = (userId, txId, body) => call(() => store.updateTransaction(userId, txId, body));
+  api.deleteTransaction = (userId, txId, body) => call(() => store.deleteTransaction(userId, txId, body));
+  return api;
+}
+
+const shown = (store, user) => store.userTransactions(user, {}).transactions.map(r => Object.assign({ source: 'dataset' }, r));
+const amounts = (store, user) => store.userTransactions(user, {}).transactions.map(r => [r.tx_id, r.purchase_amount]);
+
+test('queued additions, edits and deletions reach the server and leave the device', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02'], ['Transport', 20, '2025-06-09']]);
+  const [food, transport] = shown(store, user);
+  await RadiusTxStore.add(user, lunch);
+  await RadiusTxStore.update(user, food, { purchase_type: 'Food', purchase_amount: 45, purchase_date: '2025-06-02' });
+  await RadiusTxStore.remove(user, transport);
+  const report = await RadiusTxStore.flush(user, storeApi(store));
+  assert.deepEqual([report.sent.length, report.conflicts.length, report.rejected.length, report.left], [3, 0, 0, 0]);
+  assert.deepEqual(await RadiusTxStore.list(user), []);
+  assert.deepEqual(store.userTransactions(user, {}).transactions, [
+    { tx_id: '2', purchase_type: 'Food', purchase_amount: 45, purchase_date: '2025-06-02' },
+    { tx_id: 'n1', purchase_type: 'Food', purchase_amount: 12.5, purchase_date: '2025-06-02', note: 'Lunch' }
+  ]);
+  // 12.50 spent, 5 more on the edited row, 20 back from the deleted one
+  assert.equal(store.findUser(user).balance, 1002.5);
+});
+
+test('an unreachable server leaves everything queued for the next flush', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02']]);
+  const api = storeApi(store);
+  await RadiusTxStore.add(user, lunch);
+  await tick();
+  await RadiusTxStore.remove(user, shown(store, user)[0]);
+  api.offline = true;
+  const report = await RadiusTxStore.flush(user, api);
+  assert.deepEqual([report.sent.length, report.left, api.calls], [0, 2, 1]);
+  assert.equal((await RadiusTxStore.list(user)).length, 2);
+  api.offline = false;
+  assert.equal((await RadiusTxStore.flush(user, api)).sent.length, 2);
+  assert.deepEqual(amounts(store, user), [['n1', 12.5]]);
+});
+
+test('an addition whose response was lost is not added twice', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02']]);
+  const api = storeApi(store);
+  await RadiusTxStore.add(user, lunch);
+  // The server stores it, then the connection drops before the answer arrives
+  api.beforeReply = () => { throw new TypeError('Failed to fetch'); };
+  assert.equal((await RadiusTxStore.flush(user, api)).left, 1);
+  api.beforeReply = null;
+  const report = await RadiusTxStore.flush(user, api);
+  assert.equal(report.sent.length, 1);
+  assert.deepEqual(amounts(store, user), [['2', 40], ['n1', 12.5]]);
+  assert.deepEqual(await RadiusTxStore.list(user), []);
+});
+
+test('an edit of a row changed on the server is held until saved again', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02']]);
+  const api = storeApi(store);
+  await RadiusTxStore.update(user, shown(store, user)[0], { purchase_type: 'Food', purchase_amount: 45, purchase_date: '2025-06-02' });
+  // Another device changed the row meanwhile
+  store.updateTransaction(user, '2', { purchase_type: 'Food', purchase_amount: 42, purchase_date: '2025-06-02', original_amount: 40 });
+  const report = await RadiusTxStore.flush(user, api);
+  assert.deepEqual([report.sent.length, report.conflicts.length], [0, 1]);
+  const [held] = await RadiusTxStore.list(user);
+  assert.deepEqual([held.held, held.heldReason, held.original_amount], ['conflict', 'Transaction changed on the server', 42]);
+  assert.deepEqual(amounts(store, user), [['2', 42]]);
+  assert.equal(RadiusTxStore.balanceDelta([held]), -3);
+  // Held changes are not sent again on their own
+  const calls = api.calls;
+  assert.equal((await RadiusTxStore.flush(user, api)).sent.length, 0);
+  assert.equal(api.calls, calls);
+  // Saving it again overwrites the server's change
+  const [overlaid] = RadiusTxStore.applyOverlay(shown(store, user), [held]);
+  assert.equal(overlaid.held, 'conflict');
+  await RadiusTxStore.update(user, overlaid, { purchase_type: 'Food', purchase_amount: 45, purchase_date: '2025-06-02' });
+  assert.equal((await RadiusTxStore.flush(user, api)).sent.length, 1);
+  assert.deepEqual(amounts(store, user), [['2', 45]]);
+});
+
+test('a deletion of a row changed on the server is dropped, bringing the row back', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02']]);
+  await RadiusTxStore.remove(user, shown(store, user)[0]);
+  store.updateTransaction(user, '2', { purchase_type: 'Food', purchase_amount: 42, purchase_date: '2025-06-02' });
+  const report = await RadiusTxStore.flush(user, storeApi(store));
+  assert.deepEqual(report.conflicts.map(r => r.kind), ['deleted']);
+  assert.deepEqual(await RadiusTxStore.list(user), []);
+  assert.deepEqual(amounts(store, user), [['2', 42]]);
+});
+
+test('changes to rows gone from the server: an edit is added anew, a deletion is done', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02'], ['Transport', 20, '2025-06-09'], ['Food', 30, '2025-06-16']]);
+  const [food, transport] = shown(store, user);
+  await RadiusTxStore.update(user, food, { purchase_type: 'Food', purchase_amount: 45, purchase_date: '2025-06-02' });
+  await RadiusTxStore.remove(user, transport);
+  store.deleteTransaction(user, '2', {});
+  store.deleteTransaction(user, '3', {});
+  const report = await RadiusTxStore.flush(user, storeApi(store));
+  assert.deepEqual([report.sent.length, report.conflicts.length], [2, 0]);
+  assert.deepEqual(amounts(store, user), [['n1', 45], ['4', 30]]);
+});
+
+test('a change the server refuses is held with its message until edited', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02']]);
+  const api = storeApi(store);
+  const pet = await RadiusTxStore.add(user, { purchase_type: 'Pets', purchase_amount: 30, purchase_date: '2025-06-03' });
+  await tick();
+  await RadiusTxStore.add(user, lunch);
+  const report = await RadiusTxStore.flush(user, api);
+  assert.deepEqual([report.sent.length, report.rejected.length], [1, 1]);
+  const [held] = await RadiusTxStore.list(user);
+  assert.deepEqual([held.id, held.held], [pet.id, 'rejected']);
+  assert.match(held.heldReason, /purchase_type must be one of Food/);
+  await RadiusTxStore.update(user, { source: 'local', tx_id: pet.id }, { purchase_type: 'Food', purchase_amount: 30, purchase_date: '2025-06-03' });
+  assert.equal((await RadiusTxStore.flush(user, api)).sent.length, 1);
+  assert.deepEqual(amounts(store, user).map(a => a[1]), [40, 12.5, 30]);
+});
+
+test('a change made while its request was out is kept and sent next', async () => {
+  const user = newUser();
+  const store = await serverFor(user, [['Food', 40, '2025-06-02']]);
+  const api = storeApi(store);
+  const added = await RadiusTxStore.add(user, lunch);
+  // The user edits the entry before the server's answer arrives
+  api.beforeReply = async () => {
+    api.beforeReply = null;
+    await tick();
+    await RadiusTxStore.update(user, { source: 'local', tx_id: added.id }, Object.assign({}, lunch, { purchase_amount: 14 }));
+  };
+  assert.equal((await RadiusTxStore.flush(user, api)).sent.length, 1);
+  const [edit] = await RadiusTxStore.list(user);
+  assert.deepEqual([edit.kind, edit.base_tx_id, edit.original_amount, edit.purchase_amount], ['edited', 'n1', 12.5, 14]);
+  assert.equal((await RadiusTxStore.flush(user, api)).sent.length, 1);
+  assert.deepEqual(amounts(store, user), [['2', 40], ['n1', 14]]);
+  assert.deepEqual(await RadiusTxStore.list(user), []);
+});
+
+test('entries need a real calendar date', async () => {
+  const user = newUser();
+  for(const date of ['2025-02-30', '2025-02-31', '2025-13-01', '2025-6-2', '']){
+    await assert.rejects(RadiusTxStore.add(user, Object.assign({}, lunch, { purchase_date: date })), /Date must be a valid date/, date);
+  }
+  await assert.rejects(RadiusTxStore.addMany(user, [lunch, Object.assign({}, lunch, { purchase_date: '2025-02-29' })]), /^Error: Entry 2: Date must be a valid date\.$/);
+  assert.deepEqual(await RadiusTxStore.list(user), []);
+  assert.equal((await RadiusTxStore.add(user, Object.assign({}, lunch, { purchase_date: '2024-02-29' }))).purchase_date, '2024-02-29');
+});
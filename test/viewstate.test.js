@@ -0,0 +1,23 @@
+// test/viewstate.test.js
+// viewstate.js: the dashboard view as a URL query string.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { viewQuery, parseViewQuery } = require('../viewstate.js');
+
+test('a view survives a round trip through the query string', () => {
+  const view = {
+    from: '2025-04-01', to: '2025-05-31', types: ['Food', 'Health & Fitness', 'A,B'], granularity: 'month',
+    cohort: 'region:South', compare: ['national', 'income:75000-100000'], hide: [], dollars: '2024', table: 'bls-ce'
+  };
+  const query = viewQuery(view);
+  assert.match(query, /^\?from=2025-04-01&to=2025-05-31&types=Food,Health%20%26%20Fitness,A%2CB&granularity=month&cohort=region:South&/);
+  assert.deepEqual(parseViewQuery(query), view);
+});
+
+test('unknown fields and invalid values are dropped', () => {
+  const view = parseViewQuery('?from=yesterday&granularity=fortnight&cohort=planet:Mars&compare=national,bogus&dollars=real&table=../x&theme=dark&types=%E0%A4%A&to=2025-06-30');
+  assert.deepEqual(view, { compare: ['national'], to: '2025-06-30' });
+  assert.deepEqual(parseViewQuery(''), {});
+  assert.deepEqual(parseViewQuery('?types='), { types: [] });
+});
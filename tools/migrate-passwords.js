@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// tools/migrate-passwords.js
+// One-off migration: moves the plaintext `password` column out of assets/dataset.csv into salted
+// PBKDF2 credential records (one JSON file per account, see credentials.js), then rewrites the
+// dataset without the column.
+//
+// Usage: node tools/migrate-passwords.js [--dataset assets/dataset.csv] [--out server/credentials]
+//                                        [--iterations 600000] [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const RadiusCSV = require('../csv.js');
+const RadiusCredentials = require('../credentials.js');
+
+function parseArgs(argv){
+  const root = path.join(__dirname, '..');
+  const args = {
+    dataset: path.join(root, 'assets', 'dataset.csv'),
+    out: path.join(root, 'server', 'credentials'),
+    iterations: RadiusCredentials.DEFAULT_ITERATIONS,
+    dryRun: false
+  };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(a === '--dataset') args.dataset = path.resolve(argv[++i]);
+    else if(a === '--out') args.out = path.resolve(argv[++i]);
+    else if(a === '--iterations') args.iterations = parseInt(argv[++i], 10);
+    else if(a === '--dry-run') args.dryRun = true;
+    else throw new Error('Unknown argument: ' + a);
+  }
+  if(!Number.isInteger(args.iterations) || args.iterations < 1) throw new Error('--iterations must be a positive integer');
+  return args;
+}
+
+async function main(){
+  const args = parseArgs(process.argv.slice(2));
+  const text = fs.readFileSync(args.dataset, 'utf8');
+  const { header, rows, errors } = RadiusCSV.parseCSV(text);
+  if(errors.length){
+    // Rewriting would drop these rows, so refuse until the file is fixed.
+    throw new Error(path.basename(args.dataset) + ' has ' + RadiusCSV.describeErrors(errors, errors.length));
+  }
+  if(!header.includes('password')){
+    console.log('No password column in ' + args.dataset + ' — nothing to migrate.');
+    return;
+  }
+
+  // Collect one password per account; every row of an account must agree.
+  const accounts = new Map();
+  for(const r of rows){
+    const prev = accounts.get(r.id);
+    if(prev && (prev.password !== r.password || prev.name !== r.name)){
+      throw new Error('Account ' + r.id + ' has conflicting name/password values across rows');
+    }
+    if(!prev) accounts.set(r.id, { name: r.name, password: r.password });
+  }
+
+  const records = [];
+  for(const [id, acct] of accounts){
+    if(!acct.password) throw new Error('Account ' + id + ' has an empty password');
+    const record = await RadiusCredentials.createCredential(id, acct.name, acct.password, { iterations: args.iterations });
+    const key = await RadiusCredentials.credentialKey(id, acct.name);
+    records.push({ key, record });
+  }
+
+  const newHeader = header.filter(h => h !== 'password');
+  const newText = RadiusCSV.stringifyCSV(newHeader, rows);
+  if(args.dryRun){
+    console.log('Would write ' + records.length + ' credential records to ' + args.out + ' and drop the password column from ' + args.dataset);
+    return;
+  }
+
+  fs.mkdirSync(args.out, { recursive: true });
+  for(const { key, record } of records){
+    fs.writeFileSync(path.join(args.out, key + '.json'), JSON.stringify(record, null, 2) + '\n');
+  }
+  // Write the dataset last and atomically so a failure above leaves the original untouched.
+  const tmp = args.dataset + '.tmp';
+  fs.writeFileSync(tmp, newText);
+  fs.renameSync(tmp, args.dataset);
+  console.log('Migrated ' + records.length + ' accounts; credential records written to ' + args.out);
+}
+
+main().catch(err => {
+  console.error('Migration failed: ' + err.message);
+  process.exit(1);
+});
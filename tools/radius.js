@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// tools/radius.js
+// Command-line spending report: the numbers of the dashboard's chart and Quick analysis box for
+// one user, computed from the data file with the server's store and the shared report.js rules.
+// Transactions the server accepted from users (its --changes journal) are included; changes still
+// queued on a device are not.
+//
+// Usage: radius report --user <id> [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//                       [--types Food,Housing] [--granularity day|week|month|quarter]
+//                       [--cohort state|region|income|national|<kind>:<value>]
+//                       [--tolerance 0.15] [--format text|json]
+//                       [--data assets/dataset.csv|file.sqlite] [--table transactions]
+//                       [--changes server/changes.jsonl]
+// The range defaults to the whole dataset, types to every purchase type and the cohort to the
+// user's own state. --cohort region (or income) picks the user's own region (income bracket);
+// a full key such as region:West or state:Texas picks another cohort. `radius` is the package's
+// bin entry for this file (node tools/radius.js works the same).
+
+const path = require('path');
+const RadiusCSV = require('../csv.js');
+const RadiusAnalytics = require('../analytics.js');
+const RadiusRecurring = require('../recurring.js');
+const RadiusReport = require('../report.js');
+const { loadStore, StoreError } = require('../server/store.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FORMATS = ['text', 'json'];
+
+function parseArgs(argv){
+  const args = {
+    command: argv[0],
+    user: null,
+    from: null,
+    to: null,
+    types: null,
+    granularity: 'week',
+    cohort: 'state',
+    tolerance: RadiusRecurring.AMOUNT_TOLERANCE,
+    format: 'text',
+    data: path.join(ROOT_DIR, 'assets', 'dataset.csv'),
+    table: 'transactions',
+    changes: path.join(ROOT_DIR, 'server', 'changes.jsonl')
+  };
+  if(args.command !== 'report') throw new Error('Unknown command: ' + (args.command || '(none)') + ' (expected report)');
+  for(let i = 1; i < argv.length; i++){
+    const a = argv[i];
+    // Every option takes a value; a missing one (end of line or another option) is an error
+    const value = () => {
+      const v = argv[++i];
+      if(v === undefined || v.startsWith('--')) throw new Error(a + ' needs a value');
+      return v;
+    };
+    if(a === '--user') args.user = value();
+    else if(a === '--from') args.from = value();
+    else if(a === '--to') args.to = value();
+    else if(a === '--types') args.types = value().split(',').map(s => s.trim()).filter(Boolean);
+    else if(a === '--granularity') args.granularity = value();
+    else if(a === '--cohort') args.cohort = value();
+    else if(a === '--tolerance') args.tolerance = Number(value());
+    else if(a === '--format') args.format = value();
+    else if(a === '--data') args.data = path.resolve(value());
+    else if(a === '--table') args.table = value();
+    else if(a === '--changes') args.changes = path.resolve(value());
+    else throw new Error('Unknown argument: ' + a);
+  }
+  if(!args.user) throw new Error('--user is required');
+  for(const key of ['from', 'to']){
+    if(args[key] !== null && !RadiusCSV.isCalendarDate(args[key])) throw new Error(`--${key} must be a date (YYYY-MM-DD): ${args[key]}`);
+  }
+  if(args.from && args.to && args.from > args.to) throw new Error('--from must not be after --to');
+  if(!FORMATS.includes(args.format)) throw new Error('--format must be one of ' + FORMATS.join(', '));
+  if(!RadiusAnalytics.GRANULARITIES.includes(args.granularity)) throw new Error('--granularity must be one of ' + RadiusAnalytics.GRANULARITIES.join(', '));
+  if(!(args.tolerance > 0)) throw new Error('--tolerance must be a positive number');
+  return args;
+}
+
+// Full cohort key for --cohort: the bare kinds stand for the user's own cohort
+function cohortKey(option, user){
+  if(option === 'state') return 'state:' + user.location;
+  if(option === 'region') return 'region:' + user.region;
+  if(option === 'income'){
+    const bracket = RadiusAnalytics.incomeBracket(user.income_yearly);
+    if(!bracket) throw new Error('User ' + user.id + ' has no income bracket');
+    return 'income:' + bracket.id;
+  }
+  return option;
+}
+
+// buildReport(store, args) -> the JSON document printed with --format json
+function buildReport(store, args){
+  const user = store.findUser(args.user);
+  if(!user) throw new Error('Unknown user: ' + args.user);
+  const from = args.from || store.dataRange.min;
+  const to = args.to || store.dataRange.max;
+  if(from > to) throw new Error('--from must not be after --to');
+  const types = args.types || store.purchaseTypes;
+  const unknown = types.filter(t => !store.purchaseTypes.includes(t));
+  if(unknown.length) throw new Error('Unknown purchase type: ' + unknown.join(', ') + ' (expected one of ' + store.purchaseTypes.join(', ') + ')');
+  const granularity = args.granularity;
+
+  // Same periods and queries as the dashboard: every period touching the range, shown whole
+  const periods = RadiusAnalytics.periodsFromRange(from, to, granularity);
+  const query = { from: periods[0], to: RadiusAnalytics.periodEndISO(periods[periods.length - 1], granularity), types: types.join(','), granularity };
+  const rows = store.userTransactions(user.id, query).transactions;
+  const cohort = RadiusReport.describeCohort(cohortKey(args.cohort, user));
+  let benchmark = null;
+  let withheld = null;
+  try{
+    benchmark = store.cohortBenchmark(cohort.kind, cohort.value === null ? undefined : cohort.value, query, user.id);
+  }catch(err){
+    // Small cohorts are withheld, as on the dashboard; the user's side is still reported
+    if(!(err instanceof StoreError && err.status === 403)) throw err;
+    withheld = err.message;
+  }
+
+  // Recurring charges come from the whole history, as of the end of the data (or today, if earlier)
+  const today = new Date().toISOString().slice(0, 10);
+  const asOf = store.dataRange.max < today ? store.dataRange.max : today;
+  const history = store.userTransactions(user.id, {}).transactions;
+  const recurring = RadiusRecurring.detectRecurring(history, { tolerance: args.tolerance, asOf });
+
+  const report = RadiusReport.spendingReport({ rows, benchmark, periods, granularity, types, recurring });
+  return {
+    user: { id: user.id, name: user.name, location: user.location },
+    cohort: { key: cohort.key, kind: cohort.kind, value: cohort.value, name: cohort.name, userCount: benchmark ? benchmark.userCount : null, withheld },
+    from,
+    to,
+    granularity,
+    types,
+    periods,
+    series: {
+      you: RadiusAnalytics.mapUserToWeeks(RadiusAnalytics.sumByPeriod(rows, granularity), periods),
+      average: benchmark ? benchmark.average : null,
+      percentiles: benchmark ? benchmark.percentiles : null
+    },
+    report,
+    summary: RadiusReport.summaryLines(report, cohort).map(l => l.text)
+  };
+}
+
+function formatText(doc){
+  const noun = doc.granularity + (doc.periods.length === 1 ? '' : 's');
+  const lines = [
+    `Spending report for ${doc.user.name} (user ${doc.user.id}, ${doc.user.location})`,
+    `Range: ${doc.from} to ${doc.to} (${doc.periods.length} ${noun}), compared with ${doc.cohort.name}`,
+    `Types: ${doc.types.join(', ')}`,
+    ''
+  ];
+  for(const text of doc.summary) lines.push('- ' + text);
+  if(doc.cohort.withheld) lines.push('', doc.cohort.withheld + '.');
+  lines.push('', `${doc.granularity[0].toUpperCase() + doc.granularity.slice(1)}`.padEnd(12) + 'You'.padStart(12) + (doc.series.average ? 'Average'.padStart(12) : ''));
+  doc.periods.forEach((p, i) => {
+    const avg = doc.series.average ? RadiusReport.formatMoney(doc.series.average[i]).padStart(12) : '';
+    lines.push(RadiusAnalytics.periodLabel(p, doc.granularity).padEnd(12) + RadiusReport.formatMoney(doc.series.you[i]).padStart(12) + avg);
+  });
+  return lines.join('\n');
+}
+
+async function main(){
+  const args = parseArgs(process.argv.slice(2));
+  // A report needs no credential records
+  const store = await loadStore({ dataFile: args.data, table: args.table, credentialsDir: null, changesFile: args.changes });
+  const doc = buildReport(store, args);
+  console.log(args.format === 'json' ? JSON.stringify(doc, null, 2) : formatText(doc));
+}
+
+if(require.main === module){
+  main().catch(err => {
+    console.error('radius: ' + err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, buildReport, formatText };
@@ -0,0 +1,316 @@
+// txstore.js
+// Locally entered transactions, kept in IndexedDB and layered on top of the dataset rows served
+// by the API. One record per change, keyed by id:
+//   { id: 'local-…', kind: 'added',   userId, purchase_type, purchase_amount, purchase_date, note, updatedAt }
+//   { id: 'tx-<tx_id>', kind: 'edited',  userId, base_tx_id, original_amount, purchase_type, purchase_amount, purchase_date, note, updatedAt }
+//   { id: 'tx-<tx_id>', kind: 'deleted', userId, base_tx_id, original_amount, updatedAt }
+// Deleting a locally added entry removes its record outright. The records are the queue of changes
+// the server does not have yet: flush() sends them to /api/users/:id/transactions and drops each
+// one it accepts. A change the server turns down stays on the device with held: 'conflict' (the
+// row changed on the server meanwhile) or 'rejected', and heldReason; it is not sent again until
+// the user changes it.
+// Expects csv.js (window.RadiusCSV) to be loaded for its date check.
+// Exposed as window.RadiusTxStore.
+
+(function(root){
+
+  const DB_NAME = 'radius-finance';
+  const DB_VERSION = 3;
+  const STORE = 'transactions';
+  // Version 2 noted when each server row was first seen, to guess which local entries the server
+  // had picked up; flush() sends them instead
+  const OLD_SEEN_STORE = 'serverRows';
+
+  let dbPromise = null;
+  let memory = null; // fallback when IndexedDB is unavailable (e.g. some private browsing modes)
+
+  function openDB(){
+    if(dbPromise) return dbPromise;
+    if(typeof indexedDB === 'undefined'){
+      console.warn('IndexedDB not available; local transactions will not survive a reload');
+      memory = new Map();
+      dbPromise = Promise.resolve(null);
+      return dbPromise;
+    }
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if(!db.objectStoreNames.contains(STORE)){
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('userId', 'userId', { unique: false });
+        }
+        if(db.objectStoreNames.contains(OLD_SEEN_STORE)) db.deleteObjectStore(OLD_SEEN_STORE);
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer version of the page (another tab) upgrade the database; reopen on next use
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  function requestToPromise(req){
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withStore(mode, fn){
+    const db = await openDB();
+    if(!db) return fn(null);
+    const tx = db.transaction(STORE, mode);
+    const result = await fn(tx.objectStore(STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  function getRecord(id){
+    return withStore('readonly', store => {
+      if(!store) return memory.get(id) || null;
+      return requestToPromise(store.get(id)).then(r => r || null);
+    });
+  }
+
+  function putRecord(record){
+    return withStore('readwrite', store => {
+      if(!store){ memory.set(record.id, record); return record; }
+      return requestToPromise(store.put(record)).then(() => record);
+    });
+  }
+
+  function deleteRecord(id){
+    return withStore('readwrite', store => {
+      if(!store){ memory.delete(id); return; }
+      return requestToPromise(store.delete(id));
+    });
+  }
+
+  // All change records for a user
+  function list(userId){
+    return withStore('readonly', store => {
+      if(!store) return Array.from(memory.values()).filter(r => r.userId === String(userId));
+      return requestToPromise(store.index('userId').getAll(String(userId)));
+    });
+  }
+
+  // Validate and normalise the editable fields; throws with a user-facing message.
+  function cleanFields(fields){
+    const amount = Number(fields.purchase_amount);
+    if(!Number.isFinite(amount) || amount <= 0) throw new Error('Amount must be a positive number.');
+    const date = String(fields.purchase_date || '');
+    if(!root.RadiusCSV.isCalendarDate(date)) throw new Error('Date must be a valid date.');
+    const type = String(fields.purchase_type || '').trim();
+    if(!type) throw new Error('Choose a purchase type.');
+    return {
+      purchase_type: type,
+      purchase_amount: Math.round(amount * 100) / 100,
+      purchase_date: date,
+      note: String(fields.note || '').trim().slice(0, 200)
+    };
+  }
+
+  function newId(){
+    if(typeof crypto !== 'undefined' && crypto.randomUUID) return 'local-' + crypto.randomUUID();
+    return 'local-' + Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+
+  async function add(userId, fields){
+    const record = Object.assign({ id: newId(), kind: 'added', userId: String(userId) }, cleanFields(fields), { updatedAt: new Date().toISOString() });
+    return putRecord(record);
+  }
+
+  // Add several entries at once (a statement import). Every entry is validated before any is
+  // stored; a bad one throws with its position in the list.
+  async function addMany(userId, list){
+    const now = new Date().toISOString();
+    const records = list.map((fields, i) => {
+      try{
+        return Object.assign({ id: newId(), kind: 'added', userId: String(userId) }, cleanFields(fields), { updatedAt: now });
+      }catch(err){
+        throw new Error(`Entry ${i + 1}: ${err.message}`);
+      }
+    });
+    await withStore('readwrite', store => {
+      if(!store){ records.forEach(r => memory.set(r.id, r)); return; }
+      return Promise.all(records.map(r => requestToPromise(store.put(r))));
+    });
+    return records;
+  }
+
+  // Update a transaction shown in the merged list: row is the merged row being edited
+  // (a locally added one, or a dataset row identified by tx_id, possibly already edited).
+  async function update(userId, row, fields){
+    const clean = cleanFields(fields);
+    const now = new Date().toISOString();
+    if(row.source === 'local'){
+      const existing = await getRecord(row.tx_id);
+      if(!existing) throw new Error('That entry no longer exists.');
+      // A held entry is sent again once changed
+      const next = Object.assign({}, existing, clean, { updatedAt: now });
+      delete next.held;
+      delete next.heldReason;
+      return putRecord(next);
+    }
+    const id = 'tx-' + row.tx_id;
+    const existing = await getRecord(id);
+    const original = existing ? existing.original_amount : row.purchase_amount;
+    return putRecord(Object.assign({ id, kind: 'edited', userId: String(userId), base_tx_id: String(row.tx_id), original_amount: original }, clean, { updatedAt: now }));
+  }
+
+  async function remove(userId, row){
+    if(row.source === 'local') return deleteRecord(row.tx_id);
+    const id = 'tx-' + row.tx_id;
+    const existing = await getRecord(id);
+    const original = existing ? existing.original_amount : row.purchase_amount;
+    return putRecord({ id, kind: 'deleted', userId: String(userId), base_tx_id: String(row.tx_id), original_amount: original, updatedAt: new Date().toISOString() });
+  }
+
+  // Merge change records into dataset rows fetched for { from, to, types }. Every returned row has
+  // source 'dataset' | 'edited' | 'local'; local rows use their record id as tx_id. Rows of local
+  // changes carry held and heldReason (null unless the server turned the change down).
+  function applyOverlay(rows, records, filter){
+    const f = filter || {};
+    const typesSet = f.types ? new Set(f.types) : null;
+    const matches = r => (!f.from || r.purchase_date >= f.from) && (!f.to || r.purchase_date <= f.to) && (!typesSet || typesSet.has(r.purchase_type));
+    const replaced = new Set();
+    const extra = [];
+    for(const rec of records || []){
+      if(rec.kind === 'deleted' || rec.kind === 'edited') replaced.add(rec.base_tx_id);
+      if(rec.kind === 'deleted') continue;
+      const row = {
+        tx_id: rec.kind === 'added' ? rec.id : rec.base_tx_id,
+        purchase_type: rec.purchase_type,
+        purchase_amount: rec.purchase_amount,
+        purchase_date: rec.purchase_date,
+        note: rec.note || '',
+        source: rec.kind === 'added' ? 'local' : 'edited',
+        held: rec.held || null,
+        heldReason: rec.heldReason || null
+      };
+      if(matches(row)) extra.push(row);
+    }
+    const out = rows.filter(r => !replaced.has(String(r.tx_id))).map(r => Object.assign({ source: 'dataset', note: '' }, r));
+    return out.concat(extra).sort((a, b) => a.purchase_date < b.purchase_date ? -1 : a.purchase_date > b.purchase_date ? 1 : 0);
+  }
+
+  // How much the local changes move the account balance: new purchases and increases lower it,
+  // deletions and decreases raise it.
+  function balanceDelta(records){
+    let delta = 0;
+    for(const rec of records || []){
+      if(rec.kind === 'added') delta -= rec.purchase_amount;
+      else if(rec.kind === 'edited') delta -= rec.purchase_amount - rec.original_amount;
+      else if(rec.kind === 'deleted') delta += rec.original_amount;
+    }
+    return Math.round(delta * 100) / 100;
+  }
+
+  function byUpdatedAt(a, b){
+    return a.updatedAt < b.updatedAt ? -1 : a.updatedAt > b.updatedAt ? 1 : 0;
+  }
+
+  function changeBody(rec){
+    return { purchase_type: rec.purchase_type, purchase_amount: rec.purchase_amount, purchase_date: rec.purchase_date, note: rec.note || '' };
+  }
+
+  // Failures worth retrying on the next flush rather than holding the change: the server could not
+  // be reached (no status), was busy or failing, or the session is over
+  function retryLater(err){
+    const status = err && err.status;
+    return !status || status === 401 || status === 408 || status === 429 || status >= 500;
+  }
+
+  // Drop a record the server accepted (txId: the row it now is, null when gone), unless the user
+  // changed it while the request was out. Then the newer change is kept and counts from what the
+  // server now holds: an edited addition becomes an edit of the new row, a deleted one a deletion.
+  async function settle(rec, txId){
+    const now = await getRecord(rec.id);
+    if((now && now.updatedAt === rec.updatedAt) || !txId) return deleteRecord(rec.id);
+    if(rec.kind === 'added'){
+      const base = { id: 'tx-' + txId, userId: rec.userId, base_tx_id: txId, original_amount: rec.purchase_amount };
+      if(!now) return putRecord(Object.assign(base, { kind: 'deleted', updatedAt: new Date().toISOString() }));
+      await deleteRecord(rec.id);
+      return putRecord(Object.assign(base, { kind: 'edited' }, changeBody(now), { updatedAt: now.updatedAt }));
+    }
+    if(now && rec.kind === 'edited') return putRecord(Object.assign({}, now, { original_amount: rec.purchase_amount }));
+  }
+
+  // The row an addition became; null when a repeated one finds it deleted since
+  function addedId(res){
+    return res && res.transaction ? res.transaction.tx_id : null;
+  }
+
+  // Mark a record the server turned down, unless the user changed it meanwhile
+  async function hold(rec, fields){
+    const now = await getRecord(rec.id);
+    if(!now || now.updatedAt !== rec.updatedAt) return null;
+    return putRecord(Object.assign({}, rec, fields));
+  }
+
+  // Send a user's queued changes to the server, oldest first. api is RadiusAPI (or anything with
+  // its addTransaction, updateTransaction and deleteTransaction). Additions carry their record id
+  // as client_id, so one the server already took is not added twice; edits and deletions carry
+  // original_amount, so a row changed on the server meanwhile is not overwritten.
+  //   sent       accepted, and dropped from the queue. An edit of a row the server no longer has
+  //              is sent as a new transaction; a deletion of one is done already.
+  //   conflicts  edits and deletions of rows whose amount changed on the server (409). An edit is
+  //              held, original_amount taking the server's amount so saving it again overwrites
+  //              the row; a deletion is dropped, which brings the changed row back.
+  //   rejected   changes refused for another reason (a 4xx), held with the server's message
+  // Held records are skipped. When the server cannot be reached (or fails, or the session is
+  // over) the flush stops and left counts the changes still queued for the next one.
+  // Returns { sent, conflicts, rejected, left } (record lists and a count).
+  async function flush(userId, api){
+    const records = (await list(userId)).filter(rec => !rec.held).sort(byUpdatedAt);
+    const report = { sent: [], conflicts: [], rejected: [], left: 0 };
+    for(let i = 0; i < records.length; i++){
+      const rec = records[i];
+      try{
+        let txId = rec.base_tx_id;
+        if(rec.kind === 'added'){
+          txId = addedId(await api.addTransaction(userId, Object.assign(changeBody(rec), { client_id: rec.id })));
+        }else if(rec.kind === 'edited'){
+          try{
+            await api.updateTransaction(userId, rec.base_tx_id, Object.assign(changeBody(rec), { original_amount: rec.original_amount }));
+          }catch(err){
+            if(!err || err.status !== 404) throw err;
+            txId = addedId(await api.addTransaction(userId, Object.assign(changeBody(rec), { client_id: rec.id + '@' + rec.updatedAt })));
+          }
+        }else{
+          try{ await api.deleteTransaction(userId, rec.base_tx_id, { original_amount: rec.original_amount }); }
+          catch(err){ if(!err || err.status !== 404) throw err; }
+        }
+        await settle(rec, txId);
+        report.sent.push(rec);
+      }catch(err){
+        if(retryLater(err)){
+          report.left = records.length - i;
+          break;
+        }
+        if(err.status === 409 && rec.kind === 'deleted'){
+          await deleteRecord(rec.id);
+          report.conflicts.push(rec);
+        }else if(err.status === 409){
+          const current = err.body && err.body.transaction;
+          const held = await hold(rec, Object.assign({ held: 'conflict', heldReason: err.message }, current ? { original_amount: current.purchase_amount } : {}));
+          if(held) report.conflicts.push(held);
+        }else{
+          const held = await hold(rec, { held: 'rejected', heldReason: err.message });
+          if(held) report.rejected.push(held);
+        }
+      }
+    }
+    return report;
+  }
+
+  root.RadiusTxStore = { list, add, addMany, update, remove, flush, applyOverlay, balanceDelta };
+})(self);
@@ -0,0 +1,81 @@
+// viewstate.js
+// The dashboard's view as a URL query string, so a view can be bookmarked, shared and stepped
+// through with back/forward:
+//   from, to      date range (YYYY-MM-DD)
+//   types         selected purchase types, comma-separated (empty for none)
+//   granularity   day, week, month or quarter
+//   cohort        comparison cohort key (state:Georgia, region:South, income:75000-100000, national)
+//   compare       overlay cohort keys, comma-separated
+//   hide          ids of hidden chart series, comma-separated (avg, band90, type:Food, ...)
+//   dollars       'nominal' or the base year of constant dollars
+//   table         benchmark table id (benchmarks/index.json)
+// List items are encoded one by one, so a comma always separates items.
+// Exposed as window.RadiusViewState in the browser and via module.exports under Node.
+
+(function(root, factory){
+  const api = factory(root.RadiusAnalytics || (typeof require === 'function' ? require('./analytics.js') : null));
+  if(typeof module === 'object' && module.exports) module.exports = api;
+  else root.RadiusViewState = api;
+})(typeof self !== 'undefined' ? self : this, function(RadiusAnalytics){
+
+  const VIEW_FIELDS = ['from', 'to', 'types', 'granularity', 'cohort', 'compare', 'hide', 'dollars', 'table'];
+  const LIST_FIELDS = ['types', 'compare', 'hide'];
+
+  const ISO_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const COHORT_RE = /^(?:(?:state|region|income):.+|national)$/;
+  // Which values each field accepts; anything else is dropped when parsing
+  const VALID = {
+    from: v => ISO_RE.test(v),
+    to: v => ISO_RE.test(v),
+    granularity: v => RadiusAnalytics.GRANULARITIES.includes(v),
+    cohort: v => COHORT_RE.test(v),
+    dollars: v => v === 'nominal' || /^\d{4}$/.test(v),
+    table: v => /^[\w-]+$/.test(v)
+  };
+
+  // Readable keys: ':' and other characters allowed in a query stay as they are
+  function encodeItem(v){
+    return encodeURIComponent(String(v)).replace(/%3A/gi, ':');
+  }
+
+  function decodeItem(v){
+    return decodeURIComponent(v.replace(/\+/g, ' '));
+  }
+
+  // viewQuery(view) -> '?from=…&to=…' with the fields of view that are set, in VIEW_FIELDS order
+  function viewQuery(view){
+    const parts = [];
+    for(const field of VIEW_FIELDS){
+      const v = view[field];
+      if(v === undefined || v === null) continue;
+      parts.push(field + '=' + (LIST_FIELDS.includes(field) ? v.map(encodeItem).join(',') : encodeItem(v)));
+    }
+    return parts.length ? '?' + parts.join('&') : '';
+  }
+
+  // parseViewQuery(search) -> a view holding only the fields the query sets with a valid value.
+  // Malformed or unknown parameters are ignored.
+  function parseViewQuery(search){
+    const view = {};
+    for(const pair of String(search || '').replace(/^\?/, '').split('&')){
+      const eq = pair.indexOf('=');
+      if(eq < 1) continue;
+      try{
+        const field = decodeItem(pair.slice(0, eq));
+        const raw = pair.slice(eq + 1);
+        if(!VIEW_FIELDS.includes(field)) continue;
+        if(LIST_FIELDS.includes(field)){
+          let items = raw === '' ? [] : raw.split(',').map(decodeItem).filter(Boolean);
+          if(field === 'compare') items = items.filter(VALID.cohort);
+          view[field] = items;
+        }else{
+          const v = decodeItem(raw);
+          if(VALID[field](v)) view[field] = v;
+        }
+      }catch(e){ /* malformed escape: skip the parameter */ }
+    }
+    return view;
+  }
+
+  return { VIEW_FIELDS, viewQuery, parseViewQuery };
+});